@@ -3,78 +3,169 @@ const WebSocket = require('ws');
 
 console.log('Starting WebSocket client test for ICT Silver Bullet...');
 const server = process.env.SERVER || 'localhost:8080';
+// Comma separated channels to subscribe to, e.g. signals:EUR/USD,candles:BTC/USD:M5
+const channels = (process.env.CHANNELS || 'signals:*').split(',');
+// Credentials: an API key with the signals:read scope, or an account to log in with
+const apiKey = process.env.WS_API_KEY;
+const username = process.env.WS_USERNAME;
+const password = process.env.WS_PASSWORD;
 
-// Create a WebSocket connection
-const ws = new WebSocket(`ws://${server}`);
+// Last frame number and last closed bar seen per candles channel, to spot and fill gaps
+const candleStreams = new Map();
 
-// Connection opened
-ws.on('open', () => {
-  console.log('Connected to WebSocket server');
-  
-  // Send test message
-  ws.send(JSON.stringify({
-    type: 'client_connect',
-    client: 'test_client',
-    timestamp: new Date().toISOString()
-  }));
+// Session to resume after a reconnect and the last signal event received on it
+let session = null;
+let lastEventId = 0;
+let ws = null;
+
+let heartbeatInterval = 30000;
+
+// Log in over HTTP and return the session cookie to send with the upgrade
+async function login() {
+  if (!username) {
+    return null;
+  }
   
-  // Set up a ping interval to keep the connection alive
-  setInterval(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        type: 'ping',
-        timestamp: new Date().toISOString()
-      }));
-      console.log('Sent ping to keep connection alive');
-    }
-  }, 30000);
-});
+  const res = await fetch(`http://${server}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!res.ok) {
+    throw new Error(`Login failed with status ${res.status}`);
+  }
+  return res.headers.get('set-cookie').split(';')[0];
+}
 
-// Listen for messages
-ws.on('message', (data) => {
+// Connect, resuming the previous session if there is one
+async function connect() {
+  let cookie = null;
   try {
-    const message = JSON.parse(data);
-    console.log('Received message:', message);
-    
-    if (message.type === 'buy' || message.type === 'sell') {
-      console.log(`
-        ============================================================
-        🚨 NEW SIGNAL ALERT 🚨
-        
-        Symbol: ${message.symbol}
-        Type: ${message.type.toUpperCase()}
-        Price: ${message.entryPrice}
-        Time: ${new Date(message.timestamp).toLocaleString()}
-        ============================================================
-      `);
-    }
+    cookie = await login();
   } catch (err) {
-    console.error('Error parsing message:', err);
-    console.log('Raw message:', data);
+    console.error(err.message);
+    setTimeout(connect, 5000);
+    return;
   }
-});
+  
+  // Create a WebSocket connection
+  const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+  ws = new WebSocket(`ws://${server}${query}`, { headers: cookie ? { Cookie: cookie } : {} });
+  let heartbeatTimer = null;
+  // Session the server opened for this connection, used if the old one cannot be resumed
+  let offeredSession = null;
 
-// Handle errors
-ws.on('error', (error) => {
-  console.error('WebSocket error:', error);
-});
+  // The server pings every heartbeatInterval; without one for two intervals the link is dead
+  function expectHeartbeat(interval) {
+    clearTimeout(heartbeatTimer);
+    heartbeatTimer = setTimeout(() => {
+      console.log('No heartbeat from server, dropping connection');
+      ws.terminate();
+    }, interval * 2);
+  }
 
-// Handle close
-ws.on('close', () => {
-  console.log('Connection closed');
-  
-  // Try to reconnect after 5 seconds
-  console.log('Attempting to reconnect in 5 seconds...');
-  setTimeout(() => {
-    console.log('Reconnecting...');
-    // Restart process
-    process.exit(0);
-  }, 5000);
-});
+  // Connection opened
+  ws.on('open', () => {
+    console.log('Connected to WebSocket server');
+  });
+
+  ws.on('ping', () => expectHeartbeat(heartbeatInterval));
+
+  // Listen for messages
+  ws.on('message', (data) => {
+    try {
+      const message = JSON.parse(data);
+      console.log('Received message:', message);
+      
+      if (message.eventId) {
+        lastEventId = message.eventId;
+      }
+      
+      if (message.type === 'connection') {
+        heartbeatInterval = message.heartbeatInterval;
+        expectHeartbeat(heartbeatInterval);
+        offeredSession = message.session;
+        
+        // Pick up the previous session and what it missed, or start with fresh subscriptions
+        if (session) {
+          ws.send(JSON.stringify({ v: 1, type: 'resume', session, lastEventId }));
+        } else {
+          session = offeredSession;
+          ws.send(JSON.stringify({ v: 1, type: 'subscribe', channels }));
+        }
+      } else if (message.type === 'resumed') {
+        console.log(`Resumed session, ${message.replayed} missed frames replayed${message.truncated ? ' (some were lost)' : ''}`);
+      } else if (message.type === 'signal') {
+        const signal = message.data;
+        console.log(`
+          ============================================================
+          🚨 NEW SIGNAL ALERT 🚨
+          
+          Symbol: ${signal.symbol}
+          Type: ${signal.type.toUpperCase()}
+          Price: ${signal.entryPrice}
+          Time: ${new Date(signal.timestamp).toLocaleString()}
+          ============================================================
+        `);
+      } else if (message.type === 'signal_update') {
+        console.log(`Signal ${message.data.id} (${message.data.symbol}) is now ${message.data.status}`);
+      } else if (message.type === 'candle') {
+        const candle = message.data;
+        const stream = candleStreams.get(message.channel);
+        
+        if (stream && candle.seq !== stream.seq + 1 && stream.lastClosed !== null) {
+          console.log(`Missed frames on ${message.channel}, requesting backfill`);
+          ws.send(JSON.stringify({ v: 1, type: 'backfill', channel: message.channel, since: stream.lastClosed }));
+        }
+        candleStreams.set(message.channel, {
+          seq: candle.seq,
+          lastClosed: candle.closed ? candle.timestamp : (stream ? stream.lastClosed : null)
+        });
+        
+        console.log(`${message.channel} ${candle.closed ? 'closed' : 'forming'} O ${candle.open} H ${candle.high} L ${candle.low} C ${candle.close}`);
+      } else if (message.type === 'backfill') {
+        console.log(`Backfilled ${message.data.candles.length} bars on ${message.channel}`);
+      } else if (message.type === 'error' && message.code === 'session_expired') {
+        console.log('Session expired, subscribing again');
+        session = offeredSession;
+        lastEventId = 0;
+        ws.send(JSON.stringify({ v: 1, type: 'subscribe', channels }));
+      } else if (message.type === 'error') {
+        console.error(`Server error ${message.code}: ${message.message}`);
+      }
+    } catch (err) {
+      console.error('Error parsing message:', err);
+      console.log('Raw message:', data);
+    }
+  });
+
+  // Handle errors
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+  });
+
+  // Handle close
+  ws.on('close', () => {
+    console.log('Connection closed');
+    
+    clearTimeout(heartbeatTimer);
+    
+    // Try to reconnect after 5 seconds
+    console.log('Attempting to reconnect in 5 seconds...');
+    setTimeout(() => {
+      console.log('Reconnecting...');
+      connect();
+    }, 5000);
+  });
+}
+
+connect();
 
 // Handle process termination
 process.on('SIGINT', () => {
   console.log('Closing connection...');
-  ws.close();
+  if (ws) {
+    ws.close();
+  }
   process.exit(0);
 });
\ No newline at end of file
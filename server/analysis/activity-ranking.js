@@ -0,0 +1,107 @@
+// Ranks markets by how much they are moving, for the "most active" markets routes show when
+// asked for `market=all`. Each market is measured on its recent H1 candles against the ones
+// before them:
+//   volume   average volume of the last day relative to the days before, 1 being usual
+//   range    average true range of the last day relative to the ATR of the days before
+//   setups   Silver Bullet setups on the setup timeframe that are still open, i.e. price has
+//            reached neither their stop nor their first target
+// and scored by the weighted sum of the three, each divided by its highest value across the
+// markets so no single measure drowns out the others.
+import { findSilverBulletSetups } from './silver-bullet-setups.js';
+
+export const ACTIVITY_MEASURES = ['volume', 'range', 'setups'];
+export const ACTIVITY_SORTS = ['score', ...ACTIVITY_MEASURES];
+export const DEFAULT_ACTIVITY_WEIGHTS = { volume: 1, range: 1, setups: 1 };
+
+const TIMEFRAME = 'H1';
+const RECENT_BARS = 24;
+const BASELINE_BARS = 72;
+// Scores are reused for this long, as every markets route asks for them
+const CACHE_TTL = 60000;
+
+// Options:
+// - getSymbols(): the markets to rank, in their usual order
+// - getCandles(symbol, timeframe): closed candles, oldest first
+// - windows, setupTimeframe: where and on what Silver Bullet setups are looked for
+// - weights: how much each measure counts towards the score
+export function createActivityRanking({ getSymbols, getCandles, windows, setupTimeframe, weights = DEFAULT_ACTIVITY_WEIGHTS }) {
+  let cached = null;
+
+  function measure(symbol) {
+    const candles = getCandles(symbol, TIMEFRAME).slice(-(RECENT_BARS + BASELINE_BARS));
+    const recent = candles.slice(-RECENT_BARS);
+    const baseline = candles.slice(0, -RECENT_BARS);
+
+    return {
+      symbol,
+      volume: ratio(average(recent.map(candle => candle.volume || 0)), average(baseline.map(candle => candle.volume || 0))),
+      range: ratio(averageTrueRange(candles, candles.length - recent.length), averageTrueRange(baseline, 0)),
+      setups: countOpenSetups(getCandles(symbol, setupTimeframe), windows)
+    };
+  }
+
+  function score() {
+    const entries = getSymbols().map(measure);
+    const highest = {};
+    ACTIVITY_MEASURES.forEach(key => {
+      highest[key] = Math.max(0, ...entries.map(entry => entry[key]));
+    });
+
+    return entries.map(entry => ({
+      symbol: entry.symbol,
+      score: round(ACTIVITY_MEASURES.reduce((sum, key) =>
+        sum + (highest[key] > 0 ? (weights[key] || 0) * entry[key] / highest[key] : 0), 0)),
+      volume: round(entry.volume),
+      range: round(entry.range),
+      setups: entry.setups
+    }));
+  }
+
+  return {
+    // Every market with its measures and score, highest `sort` first
+    rank(sort = 'score') {
+      if (!cached || Date.now() - cached.at > CACHE_TTL) {
+        cached = { at: Date.now(), entries: score() };
+      }
+      return cached.entries.slice().sort((a, b) => b[sort] - a[sort]);
+    },
+
+    // Forget the cached scores, e.g. after the markets changed
+    clear() {
+      cached = null;
+    }
+  };
+}
+
+// Average true range of the candles from index `from` on, using the close before each
+function averageTrueRange(candles, from) {
+  const ranges = [];
+  for (let i = Math.max(from, 1); i < candles.length; i++) {
+    const previousClose = candles[i - 1].close;
+    ranges.push(Math.max(candles[i].high, previousClose) - Math.min(candles[i].low, previousClose));
+  }
+  return average(ranges);
+}
+
+function countOpenSetups(candles, windows) {
+  return findSilverBulletSetups(candles, { windows }).filter(setup => {
+    const bullish = setup.type === 'buy';
+    const target = setup.takeProfits[0];
+
+    return !candles.slice(setup.confirmedIndex + 1).some(candle => bullish
+      ? candle.low <= setup.stopLoss || candle.high >= target
+      : candle.high >= setup.stopLoss || candle.low <= target);
+  }).length;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function ratio(value, baseline) {
+  return baseline > 0 ? value / baseline : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
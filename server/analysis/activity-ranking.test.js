@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createActivityRanking } from './activity-ranking.js';
+
+const HOUR = 3600000;
+const MINUTE = 60000;
+// 10:00 New York, the start of the AM Silver Bullet window
+const AM_WINDOW = Date.UTC(2026, 0, 14, 15);
+
+// 72 baseline hours and 24 recent ones at a flat 100, with the recent volume and range scaled
+function hourly({ volume = 1, range = 1 } = {}) {
+  return Array.from({ length: 96 }, (_, i) => {
+    const recent = i >= 72;
+    const half = (recent ? range : 1) / 2;
+    return { timestamp: i * HOUR, open: 100, high: 100 + half, low: 100 - half, close: 100, volume: 100 * (recent ? volume : 1) };
+  });
+}
+
+// A long whose gap formed at 14 and that has reached neither its stop nor its target,
+// see silver-bullet-setups.test.js
+function withOpenSetup() {
+  const closes = [26, 33, 35, 26, 22, 20, 18, 19, 20.5, 19, 18, 18.5, 19.5, 21.5, 22, 21];
+  const overrides = { 11: { low: 17.5 }, 13: { low: 18.5 }, 14: { low: 21.25 } };
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return { timestamp: AM_WINDOW + i * MINUTE, open, high: Math.max(open, close) + 0.25, low: Math.min(open, close) - 0.25, close, ...overrides[i] };
+  });
+}
+
+const CANDLES = {
+  'SETUP/USD': { H1: hourly(), M5: withOpenSetup() },
+  'VOLUME/USD': { H1: hourly({ volume: 2 }), M5: [] },
+  'RANGE/USD': { H1: hourly({ range: 3 }), M5: [] }
+};
+
+function createRanking(weights) {
+  return createActivityRanking({
+    getSymbols: () => Object.keys(CANDLES),
+    getCandles: (symbol, timeframe) => CANDLES[symbol][timeframe],
+    setupTimeframe: 'M5',
+    weights
+  });
+}
+
+test('measures each market against its own baseline', () => {
+  const entries = createRanking().rank();
+  const bySymbol = Object.fromEntries(entries.map(entry => [entry.symbol, entry]));
+
+  assert.deepEqual(bySymbol['SETUP/USD'], { symbol: 'SETUP/USD', score: 1.833, volume: 1, range: 1, setups: 1 });
+  assert.deepEqual(bySymbol['VOLUME/USD'], { symbol: 'VOLUME/USD', score: 1.333, volume: 2, range: 1, setups: 0 });
+  assert.deepEqual(bySymbol['RANGE/USD'], { symbol: 'RANGE/USD', score: 1.5, volume: 1, range: 3, setups: 0 });
+});
+
+test('orders markets by score or by one measure', () => {
+  const ranking = createRanking();
+  const order = sort => ranking.rank(sort).map(entry => entry.symbol);
+
+  assert.deepEqual(order(), ['SETUP/USD', 'RANGE/USD', 'VOLUME/USD']);
+  assert.equal(order('volume')[0], 'VOLUME/USD');
+  assert.equal(order('range')[0], 'RANGE/USD');
+  assert.equal(order('setups')[0], 'SETUP/USD');
+});
+
+test('weights decide which measures count towards the score', () => {
+  const entries = createRanking({ volume: 0, range: 2, setups: 0 }).rank();
+
+  assert.deepEqual(entries.map(entry => [entry.symbol, entry.score]), [
+    ['RANGE/USD', 2],
+    ['SETUP/USD', 0.667],
+    ['VOLUME/USD', 0.667]
+  ]);
+});
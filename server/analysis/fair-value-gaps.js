@@ -0,0 +1,61 @@
+// Three-candle fair value gap (FVG) detection for the ICT Silver Bullet analysis
+
+// A bullish gap is left when the high of candle 1 sits below the low of candle 3,
+// a bearish gap when the low of candle 1 sits above the high of candle 3.
+// Candles are expected oldest first, in the shape returned by generateCandleData.
+export function detectFairValueGaps(candles, options = {}) {
+  const minSize = options.minSize || 0;
+  const gaps = [];
+
+  for (let i = 2; i < candles.length; i++) {
+    const first = candles[i - 2];
+    const third = candles[i];
+
+    if (third.low > first.high && third.low - first.high > minSize) {
+      gaps.push(createGap('bullish', third.low, first.high, candles, i));
+    } else if (third.high < first.low && first.low - third.high > minSize) {
+      gaps.push(createGap('bearish', first.low, third.high, candles, i));
+    }
+  }
+
+  gaps.forEach(gap => trackMitigation(gap, candles));
+
+  return gaps;
+}
+
+function createGap(type, top, bottom, candles, index) {
+  return {
+    type,
+    top,
+    bottom,
+    size: top - bottom,
+    // The gap exists once the third candle closes
+    index,
+    timestamp: candles[index].timestamp,
+    displacementTimestamp: candles[index - 1].timestamp,
+    mitigated: false,
+    mitigatedAt: null,
+    filled: false,
+    filledAt: null
+  };
+}
+
+// Price trading back into the gap mitigates it, trading through the far side fills it
+function trackMitigation(gap, candles) {
+  for (let i = gap.index + 1; i < candles.length; i++) {
+    const candle = candles[i];
+    const entered = gap.type === 'bullish' ? candle.low <= gap.top : candle.high >= gap.bottom;
+    const closed = gap.type === 'bullish' ? candle.low <= gap.bottom : candle.high >= gap.top;
+
+    if (entered && !gap.mitigated) {
+      gap.mitigated = true;
+      gap.mitigatedAt = candle.timestamp;
+    }
+
+    if (closed) {
+      gap.filled = true;
+      gap.filledAt = candle.timestamp;
+      break;
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFairValueGaps } from './fair-value-gaps.js';
+
+const MINUTE = 60000;
+
+function toCandles(bars) {
+  return bars.map(([open, high, low, close], i) => ({ timestamp: i * MINUTE, open, high, low, close }));
+}
+
+test('finds a bullish gap between the first high and the third low', () => {
+  const gaps = detectFairValueGaps(toCandles([
+    [10, 11, 9, 10.5],
+    [10.5, 14, 10.4, 13.8],
+    [13.8, 15, 12, 14.5]
+  ]));
+
+  assert.equal(gaps.length, 1);
+  assert.equal(gaps[0].type, 'bullish');
+  assert.equal(gaps[0].top, 12);
+  assert.equal(gaps[0].bottom, 11);
+  assert.equal(gaps[0].index, 2);
+  assert.equal(gaps[0].displacementTimestamp, MINUTE);
+});
+
+test('finds a bearish gap between the first low and the third high', () => {
+  const [gap] = detectFairValueGaps(toCandles([
+    [20, 21, 19, 19.5],
+    [19.5, 19.6, 15, 15.2],
+    [15.2, 17, 14, 14.5]
+  ]));
+
+  assert.equal(gap.type, 'bearish');
+  assert.equal(gap.top, 19);
+  assert.equal(gap.bottom, 17);
+});
+
+test('ignores overlapping candles and gaps up to minSize', () => {
+  const overlapping = toCandles([[10, 11, 9, 10], [10, 12, 10, 11], [11, 12, 10.5, 11]]);
+  const small = toCandles([[10, 11, 9, 10.5], [10.5, 12, 10.4, 11.8], [11.8, 12, 11.5, 11.9]]);
+
+  assert.deepEqual(detectFairValueGaps(overlapping), []);
+  assert.deepEqual(detectFairValueGaps(small, { minSize: 0.5 }), []);
+  assert.equal(detectFairValueGaps(small, { minSize: 0.4 }).length, 1);
+});
+
+test('tracks mitigation and the fill of a gap', () => {
+  const [gap] = detectFairValueGaps(toCandles([
+    [10, 11, 9, 10.5],
+    [10.5, 14, 10.4, 13.8],
+    [13.8, 15, 12, 14.5],
+    [14.5, 14.6, 11.5, 12],
+    [12, 12.2, 10.8, 11]
+  ]));
+
+  assert.equal(gap.mitigated, true);
+  assert.equal(gap.mitigatedAt, 3 * MINUTE);
+  assert.equal(gap.filled, true);
+  assert.equal(gap.filledAt, 4 * MINUTE);
+});
@@ -0,0 +1,174 @@
+// Liquidity pools: clusters of equal highs / equal lows and the candles that sweep them
+import { DEFAULT_FRACTAL_LENGTH, findSwingPoints } from './swing-points.js';
+import { getSymbolSpec } from '../market-data/symbol-specs.js';
+
+// How far apart two swing points may be and still count as "equal", in pips of the instrument
+const EQUAL_LEVEL_PIPS = 3;
+
+// From the symbol's contract spec, guessed from its name for symbols without one
+export function getPipSize(symbol) {
+  const spec = getSymbolSpec(symbol);
+  if (spec) {
+    return spec.pipSize;
+  } else if (symbol.includes('JPY')) {
+    return 0.01;
+  } else if (symbol.includes('BTC')) {
+    return 1;
+  } else if (symbol.includes('ETH') || symbol.includes('XAU')) {
+    return 0.1;
+  } else if (symbol.includes('OIL')) {
+    return 0.01;
+  } else {
+    return 0.0001;
+  }
+}
+
+export function getEqualLevelTolerance(symbol) {
+  return EQUAL_LEVEL_PIPS * getPipSize(symbol);
+}
+
+// Options: fractalLength for the swing detection and tolerance (in price) for clustering
+export function findLiquidityPools(candles, options = {}) {
+  const swings = findSwingPoints(candles, options.fractalLength);
+  const tolerance = options.tolerance || 0;
+
+  const pools = [
+    ...trackPools(candles, swings.filter(swing => swing.type === 'high'), tolerance, 'equalHighs'),
+    ...trackPools(candles, swings.filter(swing => swing.type === 'low'), tolerance, 'equalLows')
+  ];
+
+  return pools.sort((a, b) => a.start - b.start);
+}
+
+// Walks the candles in time order. Every swing opens a level, or joins an open level within
+// `tolerance` of it; the first other candle that trades through a level closes it, so a
+// level taken out between two touches is never reported as resting liquidity and open levels
+// never overlap. Levels touched more than once are the pools.
+function trackPools(candles, swings, tolerance, type) {
+  const highs = type === 'equalHighs';
+  const swingAt = new Map(swings.map(swing => [swing.index, swing]));
+  const open = [];
+  const pools = [];
+
+  const beyond = (price, level) => highs ? price > level : price < level;
+
+  candles.forEach((candle, i) => {
+    const swing = swingAt.get(i);
+    let joined = null;
+
+    if (swing) {
+      joined = open
+        .filter(pool => Math.abs(swing.price - pool.level) <= tolerance)
+        .sort((a, b) => Math.abs(swing.price - a.level) - Math.abs(swing.price - b.level))[0] || null;
+      if (joined) {
+        joined.touches.push(swing);
+        // Stops rest beyond the extreme touch
+        joined.level = highs ? Math.max(joined.level, swing.price) : Math.min(joined.level, swing.price);
+      }
+    }
+
+    for (let j = open.length - 1; j >= 0; j--) {
+      const pool = open[j];
+      if (pool === joined || !beyond(highs ? candle.high : candle.low, pool.level)) {
+        continue;
+      }
+
+      open.splice(j, 1);
+      if (pool.touches.length > 1) {
+        pools.push(closePool(pool, type, candle, i, beyond(candle.close, pool.level)));
+      }
+    }
+
+    if (swing && !joined) {
+      open.push({ level: swing.price, touches: [swing] });
+    }
+  });
+
+  open.filter(pool => pool.touches.length > 1).forEach(pool => {
+    pools.push({ ...toPool(pool, type), end: candles[candles.length - 1].timestamp });
+  });
+  return pools;
+}
+
+// A sweep wicks through the level and closes back on the original side of it.
+// A close beyond the level breaks the pool instead.
+function closePool(pool, type, candle, index, closedBeyond) {
+  return {
+    ...toPool(pool, type),
+    end: candle.timestamp,
+    state: closedBeyond ? 'broken' : 'swept',
+    sweptBy: closedBeyond ? null : {
+      index,
+      timestamp: candle.timestamp,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close
+    }
+  };
+}
+
+function toPool(pool, type) {
+  return {
+    type,
+    level: pool.level,
+    touches: pool.touches,
+    start: pool.touches[0].timestamp,
+    end: null,
+    state: 'untouched',
+    sweptBy: null
+  };
+}
+
+// Single swing highs / lows taken by a wick that closes back on the original side.
+// Buy-side liquidity rests above swing highs, sell-side liquidity below swing lows.
+// The search starts at the candle that confirms the swing, so a sweep is never
+// credited to a level that was not yet known.
+export function findSwingSweeps(candles, options = {}) {
+  const length = options.fractalLength || DEFAULT_FRACTAL_LENGTH;
+  const swings = findSwingPoints(candles, length);
+  const sweeps = [];
+
+  swings.forEach(swing => {
+    const high = swing.type === 'high';
+
+    for (let i = swing.index + length; i < candles.length; i++) {
+      const candle = candles[i];
+      if (high ? candle.high <= swing.price : candle.low >= swing.price) {
+        continue;
+      }
+
+      if (high ? candle.close < swing.price : candle.close > swing.price) {
+        sweeps.push({
+          side: high ? 'buySide' : 'sellSide',
+          level: swing.price,
+          swing,
+          sweptBy: {
+            index: i,
+            timestamp: candle.timestamp,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close
+          }
+        });
+      }
+      break;
+    }
+  });
+
+  return sweeps.sort((a, b) => a.sweptBy.index - b.sweptBy.index);
+}
+
+// Inducement: since the latest structure break, price has swept a swing that formed after the
+// break on the side against it, such as a low inside a bullish leg taken out before the move
+// carries on
+export function hasInducement(candles, structure, options = {}) {
+  const latest = structure.events[structure.events.length - 1];
+  if (!latest) {
+    return false;
+  }
+
+  const side = latest.direction === 'bullish' ? 'sellSide' : 'buySide';
+  return findSwingSweeps(candles, options).some(sweep =>
+    sweep.side === side && sweep.swing.index > latest.breakingCandle.index
+  );
+}
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findLiquidityPools, findSwingSweeps, getEqualLevelTolerance, hasInducement } from './liquidity.js';
+import { analyzeMarketStructure } from './market-structure.js';
+import { DEFAULT_INSTRUMENTS, setInstruments, putInstrument } from '../market-data/instruments.js';
+
+const MINUTE = 60000;
+
+// Candles from their highs; lows sit one below and bodies in between unless given
+function fromHighs(highs, overrides = {}) {
+  return highs.map((high, i) => ({
+    timestamp: i * MINUTE,
+    open: high - 0.5,
+    high,
+    low: high - 1,
+    close: high - 0.5,
+    ...overrides[i]
+  }));
+}
+
+test('pools swing highs within the tolerance and leaves them untouched', () => {
+  const candles = fromHighs([5, 6, 10, 6, 5, 6, 10.05, 6, 5, 6, 7]);
+  const pools = findLiquidityPools(candles, { tolerance: 0.1 }).filter(pool => pool.type === 'equalHighs');
+
+  assert.equal(pools.length, 1);
+  assert.deepEqual(pools[0].touches.map(touch => touch.index), [2, 6]);
+  assert.equal(pools[0].level, 10.05);
+  assert.equal(pools[0].state, 'untouched');
+});
+
+test('does not pool a level that was traded through between two touches', () => {
+  // The high at 2 is taken by the candle at 5 before the equal high at 8
+  const candles = fromHighs([5, 6, 10, 6, 7, 10.5, 6, 7, 10.02, 6, 5]);
+  const pools = findLiquidityPools(candles, { tolerance: 0.1 }).filter(pool => pool.type === 'equalHighs');
+
+  assert.deepEqual(pools, []);
+});
+
+test('closes a pool at the candle that sweeps or breaks it', () => {
+  const swept = fromHighs([5, 6, 10, 6, 5, 6, 10, 6, 5, 11, 6], { 9: { close: 9.5 } });
+  const broken = fromHighs([5, 6, 10, 6, 5, 6, 10, 6, 5, 11, 6], { 9: { close: 10.8 } });
+
+  const [sweptPool] = findLiquidityPools(swept, { tolerance: 0.1 }).filter(pool => pool.type === 'equalHighs');
+  const [brokenPool] = findLiquidityPools(broken, { tolerance: 0.1 }).filter(pool => pool.type === 'equalHighs');
+
+  assert.equal(sweptPool.state, 'swept');
+  assert.equal(sweptPool.sweptBy.index, 9);
+  assert.equal(sweptPool.end, 9 * MINUTE);
+  assert.equal(brokenPool.state, 'broken');
+  assert.equal(brokenPool.sweptBy, null);
+});
+
+test('never reports overlapping pools', () => {
+  const highs = [];
+  for (let i = 0; i < 400; i++) {
+    highs.push(100 + Math.sin(i / 3) * 2 + Math.sin(i / 17) * 0.7);
+  }
+  const pools = findLiquidityPools(fromHighs(highs), { tolerance: 0.3 }).filter(pool => pool.type === 'equalHighs');
+
+  pools.forEach((pool, i) => {
+    pools.slice(i + 1).forEach(other => {
+      const first = pool.touches[0].index < other.touches[0].index ? pool : other;
+      const second = first === pool ? other : pool;
+      const firstEnd = first.sweptBy ? first.sweptBy.index : Infinity;
+      const levelsClose = Math.abs(first.level - second.level) <= 0.3;
+      assert.ok(!(levelsClose && second.touches[0].index < firstEnd), `pools at ${first.level} and ${second.level} overlap`);
+    });
+  });
+});
+
+test('derives the equal-level tolerance from the instrument pip size', () => {
+  assert.equal(getEqualLevelTolerance('EUR/USD'), 3 * 0.0001);
+  assert.equal(getEqualLevelTolerance('GBP/JPY'), 3 * 0.01);
+
+  putInstrument({ ...DEFAULT_INSTRUMENTS[0], symbol: 'EUR/USD', pipSize: 0.001 });
+  assert.equal(getEqualLevelTolerance('EUR/USD'), 3 * 0.001);
+  setInstruments(DEFAULT_INSTRUMENTS);
+});
+
+test('credits a swing sweep only after the swing is confirmed', () => {
+  const candles = fromHighs([5, 6, 10, 9, 8, 11, 6], { 5: { close: 9 } });
+  const sweeps = findSwingSweeps(candles, { fractalLength: 2 });
+
+  assert.equal(sweeps.length, 1);
+  assert.equal(sweeps[0].side, 'buySide');
+  assert.equal(sweeps[0].sweptBy.index, 5);
+  assert.ok(sweeps.every(sweep => sweep.sweptBy.index >= sweep.swing.index + 2));
+});
+
+test('finds inducement when a low inside a bullish leg is swept after the break', () => {
+  // The high at 2 is broken at 7, and the low at 10 is swept by the wick at 13
+  const closes = [10, 12, 14, 12, 10, 11, 13, 15, 16, 14.5, 14, 15, 15.5, 15];
+  const candles = overrides => closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return { timestamp: i * MINUTE, open, high: Math.max(open, close) + 0.25, low: Math.min(open, close) - 0.25, close, ...overrides[i] };
+  });
+
+  const swept = candles({ 13: { low: 13.5 } });
+  const untouched = candles({});
+  assert.equal(hasInducement(swept, analyzeMarketStructure(swept)), true);
+  assert.equal(hasInducement(untouched, analyzeMarketStructure(untouched)), false);
+  assert.equal(hasInducement([], analyzeMarketStructure([])), false);
+});
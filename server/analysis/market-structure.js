@@ -0,0 +1,80 @@
+// Market structure: HH/HL/LH/LL swing labels, break of structure (BOS) and change of character (CHoCH)
+import { DEFAULT_FRACTAL_LENGTH, findSwingPoints } from './swing-points.js';
+
+// Candles are replayed in order and a swing only counts once the candles that confirm
+// it have closed, so no event depends on price that came after it.
+export function analyzeMarketStructure(candles, options = {}) {
+  const length = options.fractalLength || DEFAULT_FRACTAL_LENGTH;
+  const swings = findSwingPoints(candles, length);
+  const labelled = [];
+  const events = [];
+
+  let trend = 'neutral';
+  let lastHigh = null;
+  let lastLow = null;
+  let next = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    while (next < swings.length && swings[next].index + length <= i) {
+      const swing = swings[next++];
+
+      if (swing.type === 'high') {
+        swing.label = lastHigh && swing.price <= lastHigh.price ? 'LH' : 'HH';
+        lastHigh = { ...swing, broken: false };
+      } else {
+        swing.label = lastLow && swing.price >= lastLow.price ? 'HL' : 'LL';
+        lastLow = { ...swing, broken: false };
+      }
+      labelled.push(swing);
+    }
+
+    const candle = candles[i];
+
+    if (lastHigh && !lastHigh.broken && candle.close > lastHigh.price) {
+      lastHigh.broken = true;
+      events.push(createEvent(trend === 'bearish' ? 'choch' : 'bos', 'bullish', lastHigh, candle, i));
+      trend = 'bullish';
+    } else if (lastLow && !lastLow.broken && candle.close < lastLow.price) {
+      lastLow.broken = true;
+      events.push(createEvent(trend === 'bullish' ? 'choch' : 'bos', 'bearish', lastLow, candle, i));
+      trend = 'bearish';
+    }
+  }
+
+  return {
+    swings: labelled,
+    events,
+    bias: trend
+  };
+}
+
+function createEvent(type, direction, swing, candle, index) {
+  return {
+    type,
+    direction,
+    level: swing.price,
+    brokenSwing: {
+      label: swing.label,
+      index: swing.index,
+      timestamp: swing.timestamp
+    },
+    breakingCandle: {
+      index,
+      timestamp: candle.timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close
+    }
+  };
+}
+
+// The most recent break in the given direction ('bullish' or 'bearish'), if any
+export function getLatestBreak(structure, direction) {
+  for (let i = structure.events.length - 1; i >= 0; i--) {
+    if (structure.events[i].direction === direction) {
+      return structure.events[i];
+    }
+  }
+  return null;
+}
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMarketStructure, getLatestBreak } from './market-structure.js';
+
+const MINUTE = 60000;
+
+// Candles walking from one close to the next, with a quarter of wick either side
+function fromCloses(closes) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return {
+      timestamp: i * MINUTE,
+      open,
+      high: Math.max(open, close) + 0.25,
+      low: Math.min(open, close) - 0.25,
+      close
+    };
+  });
+}
+
+// Up to 13, down to 10, up through 13 to 15, then down through 10
+const CLOSES = [10, 11, 12, 13, 12, 11, 10, 11, 12, 14, 15, 14, 13, 12, 11, 9, 8, 9, 10, 9];
+
+test('labels swings and reports a BOS followed by a CHoCH', () => {
+  const structure = analyzeMarketStructure(fromCloses(CLOSES), { fractalLength: 2 });
+
+  assert.deepEqual(structure.swings.map(swing => [swing.index, swing.label]), [[3, 'HH'], [6, 'LL'], [10, 'HH'], [16, 'LL']]);
+  assert.deepEqual(
+    structure.events.map(event => [event.type, event.direction, event.level, event.breakingCandle.index]),
+    [['bos', 'bullish', 13.25, 9], ['choch', 'bearish', 9.75, 15]]
+  );
+  assert.equal(structure.bias, 'bearish');
+  assert.equal(getLatestBreak(structure, 'bullish').breakingCandle.index, 9);
+});
+
+test('labels a higher low and a lower high', () => {
+  const closes = [10, 11, 12, 13, 12, 11, 12, 13, 12, 11.5, 12, 12.5, 12];
+  const structure = analyzeMarketStructure(fromCloses(closes), { fractalLength: 2 });
+
+  assert.deepEqual(structure.swings.map(swing => swing.label), ['HH', 'LL', 'LH', 'HL']);
+});
+
+test('only breaks a swing once the candles confirming it have closed', () => {
+  const candles = fromCloses(CLOSES);
+  const full = analyzeMarketStructure(candles, { fractalLength: 2 });
+
+  full.events.forEach(event => {
+    assert.ok(event.breakingCandle.index >= event.brokenSwing.index + 2);
+  });
+
+  // Every prefix of the series sees exactly the events the full series has up to that point
+  for (let end = 1; end <= candles.length; end++) {
+    const partial = analyzeMarketStructure(candles.slice(0, end), { fractalLength: 2 });
+    assert.deepEqual(partial.events, full.events.filter(event => event.breakingCandle.index < end));
+  }
+});
@@ -0,0 +1,135 @@
+// Order blocks, and the breaker blocks they turn into when they fail
+
+const ZONE_COLORS = {
+  bullish: 'rgba(76, 175, 80, 0.25)',
+  bearish: 'rgba(255, 82, 82, 0.25)'
+};
+
+// Each structure break from analyzeMarketStructure is traced back to the origin of the
+// displacement that caused it, and the last opposing candle there is the order block.
+// Options: zone is 'wick' (high to low, the default) or 'body' (open to close).
+export function findOrderBlocks(candles, structure, options = {}) {
+  const zone = options.zone || 'wick';
+  const orderBlocks = [];
+
+  structure.events.forEach(event => {
+    const index = findOriginCandle(candles, event);
+    if (index === -1 || orderBlocks.some(block => block.index === index)) {
+      return;
+    }
+
+    const candle = candles[index];
+    const block = {
+      direction: event.direction,
+      top: zone === 'body' ? Math.max(candle.open, candle.close) : candle.high,
+      bottom: zone === 'body' ? Math.min(candle.open, candle.close) : candle.low,
+      open: candle.open,
+      index,
+      timestamp: candle.timestamp,
+      structureBreak: {
+        type: event.type,
+        level: event.level,
+        timestamp: event.breakingCandle.timestamp
+      },
+      state: 'fresh',
+      mitigatedAt: null,
+      invalidatedAt: null
+    };
+    block.meanThreshold = (block.top + block.bottom) / 2;
+
+    trackState(block, candles, event.breakingCandle.index);
+    orderBlocks.push(block);
+  });
+
+  const breakers = orderBlocks
+    .filter(block => block.state === 'invalidated')
+    .map(block => createBreaker(block, candles));
+
+  return { orderBlocks, breakers };
+}
+
+// The last down candle before the lowest point of a bullish displacement,
+// or the last up candle before the highest point of a bearish one
+function findOriginCandle(candles, event) {
+  const bullish = event.direction === 'bullish';
+  let extreme = event.brokenSwing.index;
+
+  for (let i = event.brokenSwing.index; i < event.breakingCandle.index; i++) {
+    if (bullish ? candles[i].low < candles[extreme].low : candles[i].high > candles[extreme].high) {
+      extreme = i;
+    }
+  }
+
+  for (let i = extreme; i >= 0; i--) {
+    const opposing = bullish ? candles[i].close < candles[i].open : candles[i].close > candles[i].open;
+    if (opposing) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// A zone is mitigated when price trades back into it, and invalidated when a candle
+// closes through its far side
+function trackState(zone, candles, from) {
+  for (let i = from + 1; i < candles.length; i++) {
+    const candle = candles[i];
+    const bullish = zone.direction === 'bullish';
+    const touched = bullish ? candle.low <= zone.top : candle.high >= zone.bottom;
+    const closedThrough = bullish ? candle.close < zone.bottom : candle.close > zone.top;
+
+    if (closedThrough) {
+      zone.state = 'invalidated';
+      zone.invalidatedAt = candle.timestamp;
+      return;
+    }
+
+    if (touched && zone.state === 'fresh') {
+      zone.state = 'mitigated';
+      zone.mitigatedAt = candle.timestamp;
+    }
+  }
+}
+
+// A failed order block flips: a broken bullish block becomes bearish resistance and vice versa
+function createBreaker(block, candles) {
+  const breaker = {
+    direction: block.direction === 'bullish' ? 'bearish' : 'bullish',
+    top: block.top,
+    bottom: block.bottom,
+    meanThreshold: block.meanThreshold,
+    index: candles.findIndex(candle => candle.timestamp === block.invalidatedAt),
+    timestamp: block.invalidatedAt,
+    orderBlockTimestamp: block.timestamp,
+    state: 'fresh',
+    mitigatedAt: null,
+    invalidatedAt: null
+  };
+
+  trackState(breaker, candles, breaker.index);
+  return breaker;
+}
+
+// Rectangles for lightweight-charts, spanning from the zone's candle until it is invalidated
+export function toChartRectangles(zones, candles) {
+  const lastTimestamp = candles.length > 0 ? candles[candles.length - 1].timestamp : null;
+  const rectangles = [];
+
+  zones.orderBlocks.forEach(block => rectangles.push(toRectangle('orderBlock', block, lastTimestamp)));
+  zones.breakers.forEach(breaker => rectangles.push(toRectangle('breaker', breaker, lastTimestamp)));
+
+  return rectangles;
+}
+
+function toRectangle(kind, zone, lastTimestamp) {
+  return {
+    kind,
+    direction: zone.direction,
+    state: zone.state,
+    startTime: zone.timestamp,
+    endTime: zone.invalidatedAt || lastTimestamp,
+    top: zone.top,
+    bottom: zone.bottom,
+    color: ZONE_COLORS[zone.direction]
+  };
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMarketStructure } from './market-structure.js';
+import { findOrderBlocks, toChartRectangles } from './order-blocks.js';
+
+const MINUTE = 60000;
+
+// Candles walking from one close to the next, with a quarter of wick either side
+function fromCloses(closes) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return {
+      timestamp: i * MINUTE,
+      open,
+      high: Math.max(open, close) + 0.25,
+      low: Math.min(open, close) - 0.25,
+      close
+    };
+  });
+}
+
+// A bullish BOS through 13 from the low at 6, then a bearish CHoCH that closes through it
+const CLOSES = [10, 11, 12, 13, 12, 11, 10, 11, 12, 14, 15, 14, 13, 12, 11, 9, 8, 9, 10, 9];
+
+function analyze(closes, options) {
+  const candles = fromCloses(closes);
+  return { candles, zones: findOrderBlocks(candles, analyzeMarketStructure(candles, { fractalLength: 2 }), options) };
+}
+
+test('takes the last opposing candle before the displacement as the order block', () => {
+  const { zones } = analyze(CLOSES);
+  const [bullish, bearish] = zones.orderBlocks;
+
+  assert.equal(bullish.direction, 'bullish');
+  assert.equal(bullish.index, 6);
+  assert.equal(bullish.top, 11.25);
+  assert.equal(bullish.bottom, 9.75);
+  assert.equal(bullish.meanThreshold, 10.5);
+  assert.equal(bullish.structureBreak.type, 'bos');
+
+  assert.equal(bearish.direction, 'bearish');
+  assert.equal(bearish.index, 10);
+  assert.equal(bearish.state, 'fresh');
+});
+
+test('uses the candle body when asked for body zones', () => {
+  const { zones } = analyze(CLOSES, { zone: 'body' });
+
+  assert.equal(zones.orderBlocks[0].top, 11);
+  assert.equal(zones.orderBlocks[0].bottom, 10);
+});
+
+test('mitigates, invalidates and flips a failed block into a breaker', () => {
+  const { candles, zones } = analyze(CLOSES);
+  const [bullish] = zones.orderBlocks;
+
+  // Traded into at 14, closed through at 15
+  assert.equal(bullish.state, 'invalidated');
+  assert.equal(bullish.mitigatedAt, candles[14].timestamp);
+  assert.equal(bullish.invalidatedAt, candles[15].timestamp);
+
+  assert.equal(zones.breakers.length, 1);
+  const [breaker] = zones.breakers;
+  assert.equal(breaker.direction, 'bearish');
+  assert.equal(breaker.index, 15);
+  assert.equal(breaker.orderBlockTimestamp, bullish.timestamp);
+  assert.equal(breaker.state, 'mitigated');
+  assert.equal(breaker.mitigatedAt, candles[18].timestamp);
+
+  const rectangles = toChartRectangles(zones, candles);
+  assert.deepEqual(rectangles.map(rectangle => rectangle.kind), ['orderBlock', 'orderBlock', 'breaker']);
+  assert.equal(rectangles[0].endTime, candles[15].timestamp);
+  assert.equal(rectangles[2].endTime, candles[candles.length - 1].timestamp);
+});
@@ -0,0 +1,184 @@
+// Killzone and Silver Bullet session windows, evaluated in New York time so DST is handled for us
+
+export const SESSION_TIME_ZONE = 'America/New_York';
+
+// Window times are New York wall-clock times, end exclusive
+export const SILVER_BULLET_WINDOWS = [
+  { id: 'london', name: 'London Open Silver Bullet', start: '03:00', end: '04:00' },
+  { id: 'am', name: 'New York AM Silver Bullet', start: '10:00', end: '11:00' },
+  { id: 'pm', name: 'New York PM Silver Bullet', start: '14:00', end: '15:00' }
+];
+
+export const KILLZONES = [
+  { id: 'asian', name: 'Asian Killzone', start: '20:00', end: '00:00' },
+  { id: 'london', name: 'London Killzone', start: '02:00', end: '05:00' },
+  { id: 'new-york-am', name: 'New York AM Killzone', start: '07:00', end: '10:00' },
+  { id: 'london-close', name: 'London Close Killzone', start: '10:00', end: '12:00' },
+  { id: 'new-york-pm', name: 'New York PM Killzone', start: '13:30', end: '16:00' }
+];
+
+export const DEFAULT_SIGNAL_WINDOWS = SILVER_BULLET_WINDOWS.map(window => window.id);
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: SESSION_TIME_ZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Break a timestamp into New York calendar fields
+export function getNewYorkTime(timestamp) {
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Convert a New York wall-clock time to a UTC timestamp
+function fromNewYorkTime(year, month, day, minutes) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let timestamp = wallClock - getNewYorkOffset(wallClock);
+  // Re-check once, the offset may differ on the far side of a DST change
+  timestamp = wallClock - getNewYorkOffset(timestamp);
+  return timestamp;
+}
+
+// Milliseconds New York wall-clock time is ahead of UTC (negative) at a given moment
+export function getNewYorkOffset(timestamp) {
+  const time = getNewYorkTime(timestamp);
+  const asUtc = Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+function toMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isInside(window, minutes) {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end) || 24 * 60;
+  return minutes >= start && minutes < end;
+}
+
+function findWindow(windows, timestamp) {
+  const time = getNewYorkTime(timestamp);
+  const minutes = time.hour * 60 + time.minute;
+  const window = windows.find(candidate => isInside(candidate, minutes));
+  return window ? { id: window.id, name: window.name } : null;
+}
+
+export function getKillzone(timestamp) {
+  return findWindow(KILLZONES, timestamp);
+}
+
+export function getSilverBulletWindow(timestamp) {
+  return findWindow(SILVER_BULLET_WINDOWS, timestamp);
+}
+
+export function getSessionContext(timestamp) {
+  const time = getNewYorkTime(timestamp);
+
+  return {
+    timeZone: SESSION_TIME_ZONE,
+    localTime: `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`,
+    killzone: getKillzone(timestamp),
+    silverBullet: getSilverBulletWindow(timestamp)
+  };
+}
+
+// FX and commodities trade from Sunday 17:00 to Friday 17:00 New York time
+export function isMarketOpen(timestamp, options = {}) {
+  if (options.weekends) {
+    return true;
+  }
+
+  const time = getNewYorkTime(timestamp);
+  switch (time.weekday) {
+    case 6:
+      return false;
+    case 0:
+      return time.hour >= 17;
+    case 5:
+      return time.hour < 17;
+    default:
+      return true;
+  }
+}
+
+export function tagCandles(candles) {
+  return candles.map(candle => ({
+    ...candle,
+    session: {
+      killzone: getKillzone(candle.timestamp),
+      silverBullet: getSilverBulletWindow(candle.timestamp)
+    }
+  }));
+}
+
+// Stamp a signal with its session and whether it was raised inside one of the allowed windows
+export function tagSignal(signal, allowedWindows = DEFAULT_SIGNAL_WINDOWS) {
+  const session = getSessionContext(Date.parse(signal.timestamp));
+
+  return {
+    ...signal,
+    session,
+    inWindow: session.silverBullet !== null && allowedWindows.includes(session.silverBullet.id)
+  };
+}
+
+// The window in progress (if any) followed by the next ones, skipping closed market hours:
+// options.isOpen(timestamp) when given, otherwise isMarketOpen with the same options
+export function getUpcomingWindows(from, options = {}) {
+  const isOpen = options.isOpen || (timestamp => isMarketOpen(timestamp, options));
+  const windows = options.windows || [
+    ...SILVER_BULLET_WINDOWS.map(window => ({ ...window, kind: 'silverBullet' })),
+    ...KILLZONES.map(window => ({ ...window, kind: 'killzone' }))
+  ];
+  const count = options.count || 5;
+  const upcoming = [];
+
+  // Start from yesterday so a window that began before midnight is still found
+  for (let day = -1; day <= 7 && upcoming.length < count; day++) {
+    const date = getNewYorkTime(from + day * DAY);
+
+    windows.forEach(window => {
+      const start = fromNewYorkTime(date.year, date.month, date.day, toMinutes(window.start));
+      const endMinutes = toMinutes(window.end) || 24 * 60;
+      const end = fromNewYorkTime(date.year, date.month, date.day, endMinutes);
+
+      if (end > from && isOpen(start)) {
+        upcoming.push({
+          id: window.id,
+          name: window.name,
+          kind: window.kind,
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+          active: start <= from
+        });
+      }
+    });
+  }
+
+  return upcoming
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+    .slice(0, count);
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getNewYorkOffset,
+  getSessionContext,
+  getUpcomingWindows,
+  isMarketOpen,
+  tagSignal
+} from './sessions.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('places Silver Bullet windows in New York time across daylight saving', () => {
+  // 10:30 in New York is 14:30 UTC in summer and 15:30 UTC in winter
+  assert.equal(getSessionContext(Date.UTC(2024, 6, 10, 14, 30)).silverBullet.id, 'am');
+  assert.equal(getSessionContext(Date.UTC(2024, 0, 10, 15, 30)).silverBullet.id, 'am');
+  assert.equal(getSessionContext(Date.UTC(2024, 0, 10, 14, 30)).silverBullet, null);
+
+  assert.equal(getNewYorkOffset(Date.UTC(2024, 6, 10)), -4 * HOUR);
+  assert.equal(getNewYorkOffset(Date.UTC(2024, 0, 10)), -5 * HOUR);
+});
+
+test('reports the killzone a moment falls in', () => {
+  const context = getSessionContext(Date.UTC(2024, 6, 10, 7, 0));
+
+  assert.equal(context.localTime, '03:00');
+  assert.equal(context.killzone.id, 'london');
+  assert.equal(context.silverBullet.id, 'london');
+});
+
+test('closes FX markets from Friday 17:00 to Sunday 17:00 New York time', () => {
+  // Friday 12 July 2024, 16:59 and 17:00 in New York
+  assert.equal(isMarketOpen(Date.UTC(2024, 6, 12, 20, 59)), true);
+  assert.equal(isMarketOpen(Date.UTC(2024, 6, 12, 21, 0)), false);
+  assert.equal(isMarketOpen(Date.UTC(2024, 6, 13, 12, 0)), false);
+  assert.equal(isMarketOpen(Date.UTC(2024, 6, 14, 21, 0)), true);
+  assert.equal(isMarketOpen(Date.UTC(2024, 6, 13, 12, 0), { weekends: true }), true);
+});
+
+test('flags signals outside the allowed windows', () => {
+  const inside = tagSignal({ timestamp: new Date(Date.UTC(2024, 6, 10, 18, 30)).toISOString() }, ['pm']);
+  const outside = tagSignal({ timestamp: new Date(Date.UTC(2024, 6, 10, 18, 30)).toISOString() }, ['am']);
+
+  assert.equal(inside.inWindow, true);
+  assert.equal(outside.inWindow, false);
+  assert.equal(outside.session.silverBullet.id, 'pm');
+});
+
+test('lists upcoming windows in order and skips closed market hours', () => {
+  // Saturday noon in New York: nothing until the Sunday open
+  const from = Date.UTC(2024, 6, 13, 16, 0);
+  const windows = getUpcomingWindows(from, { count: 3 });
+
+  assert.equal(windows.length, 3);
+  assert.ok(windows.every(window => Date.parse(window.start) >= Date.UTC(2024, 6, 14, 21, 0)));
+  assert.deepEqual(windows.map(window => window.start), [...windows.map(window => window.start)].sort());
+  assert.equal(getUpcomingWindows(from, { count: 1, isOpen: () => true })[0].start < windows[0].start, true);
+});
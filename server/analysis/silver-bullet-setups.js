@@ -0,0 +1,163 @@
+// Rule-based ICT Silver Bullet setups: liquidity sweep, displacement with a market structure
+// shift, and an entry at the fair value gap it leaves, all inside a Silver Bullet window
+import { findSwingPoints, DEFAULT_FRACTAL_LENGTH } from './swing-points.js';
+import { findSwingSweeps } from './liquidity.js';
+import { analyzeMarketStructure } from './market-structure.js';
+import { detectFairValueGaps } from './fair-value-gaps.js';
+import { DEFAULT_SIGNAL_WINDOWS, SILVER_BULLET_WINDOWS, getSilverBulletWindow } from './sessions.js';
+
+const DEFAULT_MAX_LEG_LENGTH = 10;
+const DEFAULT_MIN_RISK_REWARD = 2;
+const MAX_TARGETS = 3;
+
+// Options:
+// - windows: Silver Bullet window ids setups may form in
+// - fractalLength: swing detection length
+// - maxLegLength: most candles allowed between the sweep and the structure shift
+// - minRiskReward: setups whose first target pays less than this are dropped
+export function findSilverBulletSetups(candles, options = {}) {
+  const windows = options.windows || DEFAULT_SIGNAL_WINDOWS;
+  const fractalLength = options.fractalLength || DEFAULT_FRACTAL_LENGTH;
+  const maxLegLength = options.maxLegLength || DEFAULT_MAX_LEG_LENGTH;
+  const minRiskReward = options.minRiskReward || DEFAULT_MIN_RISK_REWARD;
+
+  const structure = analyzeMarketStructure(candles, { fractalLength });
+  const sweeps = findSwingSweeps(candles, { fractalLength });
+  const swings = findSwingPoints(candles, fractalLength);
+  const gaps = detectFairValueGaps(candles);
+  const usedGaps = new Set();
+  const setups = [];
+
+  structure.events.forEach(event => {
+    const bullish = event.direction === 'bullish';
+    const shiftIndex = event.breakingCandle.index;
+
+    // Sell-side liquidity is taken before a long, buy-side before a short
+    const sweep = findLast(sweeps, candidate =>
+      candidate.side === (bullish ? 'sellSide' : 'buySide') &&
+      candidate.sweptBy.index <= shiftIndex &&
+      shiftIndex - candidate.sweptBy.index <= maxLegLength
+    );
+    if (!sweep) {
+      return;
+    }
+
+    // The displacement leg has to leave a gap in its own direction, confirmed
+    // at the latest two candles after the shift, that no earlier setup entered at
+    const gap = gaps.find(candidate =>
+      candidate.type === event.direction &&
+      candidate.index > sweep.sweptBy.index &&
+      candidate.index <= shiftIndex + 2 &&
+      !usedGaps.has(candidate.index)
+    );
+    if (!gap) {
+      return;
+    }
+
+    const window = getSilverBulletWindow(gap.displacementTimestamp);
+    if (!window || !windows.includes(window.id)) {
+      return;
+    }
+
+    const entryPrice = bullish ? gap.top : gap.bottom;
+    const stopLoss = getLegExtreme(candles, sweep.sweptBy.index, gap.index, bullish);
+    const risk = Math.abs(entryPrice - stopLoss);
+    const takeProfits = findTargets(candles, swings, gap.index, entryPrice, bullish, fractalLength);
+
+    if (risk === 0 || takeProfits.length === 0) {
+      return;
+    }
+
+    const riskReward = Math.abs(takeProfits[0] - entryPrice) / risk;
+    if (riskReward < minRiskReward) {
+      return;
+    }
+
+    usedGaps.add(gap.index);
+    setups.push({
+      type: bullish ? 'buy' : 'sell',
+      index: gap.index,
+      // Both the gap and the shift have to have closed before the setup is known
+      confirmedIndex: Math.max(gap.index, shiftIndex),
+      timestamp: gap.timestamp,
+      window,
+      entryPrice,
+      stopLoss,
+      takeProfits,
+      riskReward,
+      structureBreak: event,
+      fairValueGap: gap,
+      conditions: describeConditions(window, sweep, event, gap, takeProfits[0], riskReward)
+    });
+  });
+
+  return setups;
+}
+
+function findLast(items, predicate) {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) {
+      return items[i];
+    }
+  }
+  return null;
+}
+
+// The stop goes at the extreme of the leg that swept the liquidity, from the sweep to the gap
+function getLegExtreme(candles, from, to, bullish) {
+  const leg = candles.slice(from, to + 1);
+  return bullish
+    ? Math.min(...leg.map(candle => candle.low))
+    : Math.max(...leg.map(candle => candle.high));
+}
+
+// Opposing liquidity: confirmed swings beyond the entry that price has not traded through yet,
+// nearest first
+function findTargets(candles, swings, index, entryPrice, bullish, fractalLength) {
+  const levels = swings
+    .filter(swing =>
+      swing.type === (bullish ? 'high' : 'low') &&
+      swing.index + fractalLength <= index &&
+      (bullish ? swing.price > entryPrice : swing.price < entryPrice) &&
+      !candles.slice(swing.index + 1, index + 1).some(candle =>
+        bullish ? candle.high > swing.price : candle.low < swing.price
+      )
+    )
+    .map(swing => swing.price)
+    .sort((a, b) => (bullish ? a - b : b - a));
+
+  return [...new Set(levels)].slice(0, MAX_TARGETS);
+}
+
+// The audit trail sent with every signal so traders can see why it fired
+function describeConditions(window, sweep, event, gap, target, riskReward) {
+  const hours = SILVER_BULLET_WINDOWS.find(candidate => candidate.id === window.id);
+
+  return [
+    {
+      rule: 'silverBulletWindow',
+      detail: `Displacement inside the ${window.name} (${hours.start}-${hours.end} New York)`,
+      timestamp: gap.displacementTimestamp
+    },
+    {
+      rule: 'liquiditySweep',
+      detail: `${sweep.side === 'sellSide' ? 'Sell-side' : 'Buy-side'} liquidity at ${sweep.level} swept and closed back`,
+      timestamp: sweep.sweptBy.timestamp
+    },
+    {
+      rule: 'marketStructureShift',
+      detail: `${event.direction === 'bullish' ? 'Bullish' : 'Bearish'} ${event.type.toUpperCase()} through ${event.brokenSwing.label} at ${event.level}`,
+      timestamp: event.breakingCandle.timestamp
+    },
+    {
+      rule: 'fairValueGap',
+      detail: `${gap.type === 'bullish' ? 'Bullish' : 'Bearish'} FVG ${gap.bottom} - ${gap.top} left by the displacement`,
+      timestamp: gap.timestamp
+    },
+    {
+      rule: 'riskReward',
+      detail: `First target ${target} pays ${riskReward.toFixed(2)}R`,
+      timestamp: gap.timestamp
+    }
+  ];
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSilverBulletSetups } from './silver-bullet-setups.js';
+
+const MINUTE = 60000;
+// 10:00 New York, the start of the AM Silver Bullet window
+const AM_WINDOW = Date.UTC(2026, 0, 14, 15);
+
+// Candles walking from one close to the next, with a quarter of wick either side
+function fromCloses(closes, overrides = {}, start = AM_WINDOW) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return {
+      timestamp: start + i * MINUTE,
+      open,
+      high: Math.max(open, close) + 0.25,
+      low: Math.min(open, close) - 0.25,
+      close,
+      ...overrides[i]
+    };
+  });
+}
+
+// The same candles upside down, around `level`
+function mirror(candles, level) {
+  return candles.map(candle => ({
+    ...candle,
+    open: level - candle.open,
+    high: level - candle.low,
+    low: level - candle.high,
+    close: level - candle.close
+  }));
+}
+
+// Sell-side liquidity under the low at 6 is swept at 11, the displacement at 13 breaks the
+// high at 8 and leaves a gap from 19.75 to 21.25, and the high at 2 (35.25) is the target
+const SETUP = [26, 33, 35, 26, 22, 20, 18, 19, 20.5, 19, 18, 18.5, 19.5, 21.5, 22, 21];
+const SETUP_OVERRIDES = { 11: { low: 17.5 }, 13: { low: 18.5 }, 14: { low: 21.25 } };
+
+test('finds a long at the gap left by the displacement after a sell-side sweep', () => {
+  const [setup, ...others] = findSilverBulletSetups(fromCloses(SETUP, SETUP_OVERRIDES));
+
+  assert.equal(others.length, 0);
+  assert.equal(setup.type, 'buy');
+  assert.equal(setup.index, 14);
+  assert.equal(setup.confirmedIndex, 14);
+  assert.equal(setup.window.id, 'am');
+  assert.equal(setup.entryPrice, 21.25);
+  assert.equal(setup.stopLoss, 17.5);
+  assert.deepEqual(setup.takeProfits, [35.25]);
+  assert.deepEqual(setup.conditions.map(condition => condition.rule),
+    ['silverBulletWindow', 'liquiditySweep', 'marketStructureShift', 'fairValueGap', 'riskReward']);
+});
+
+test('finds a short at the gap left by the displacement after a buy-side sweep', () => {
+  const [setup, ...others] = findSilverBulletSetups(mirror(fromCloses(SETUP, SETUP_OVERRIDES), 50));
+
+  assert.equal(others.length, 0);
+  assert.equal(setup.type, 'sell');
+  assert.equal(setup.entryPrice, 50 - 21.25);
+  assert.equal(setup.stopLoss, 50 - 17.5);
+  assert.deepEqual(setup.takeProfits, [50 - 35.25]);
+});
+
+test('ignores displacements outside the allowed Silver Bullet windows', () => {
+  // 09:00 New York, an hour before the AM window
+  assert.deepEqual(findSilverBulletSetups(fromCloses(SETUP, SETUP_OVERRIDES, AM_WINDOW - 60 * MINUTE)), []);
+  assert.deepEqual(findSilverBulletSetups(fromCloses(SETUP, SETUP_OVERRIDES), { windows: ['london', 'pm'] }), []);
+});
+
+test('enters a second shift from the same sweep at a gap no setup has used yet', () => {
+  // The high at 14 is broken at 17, and the gap at 14 is already taken by the first setup
+  const setups = findSilverBulletSetups(fromCloses([...SETUP, 20.5, 23, 25, 24], SETUP_OVERRIDES));
+
+  assert.deepEqual(setups.map(setup => [setup.index, setup.entryPrice, setup.stopLoss]), [
+    [14, 21.25, 17.5],
+    [18, 22.75, 17.5]
+  ]);
+});
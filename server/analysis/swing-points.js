@@ -0,0 +1,33 @@
+// Fractal swing high / swing low detection shared by the liquidity and structure analysis
+
+export const DEFAULT_FRACTAL_LENGTH = 2;
+
+// A swing high needs `length` candles on each side with lower highs, a swing low
+// `length` candles on each side with higher lows. The last `length` candles can
+// never be confirmed, so they are not reported.
+export function findSwingPoints(candles, length = DEFAULT_FRACTAL_LENGTH) {
+  const swings = [];
+
+  for (let i = length; i < candles.length - length; i++) {
+    let isHigh = true;
+    let isLow = true;
+
+    for (let j = 1; j <= length; j++) {
+      if (candles[i - j].high >= candles[i].high || candles[i + j].high > candles[i].high) {
+        isHigh = false;
+      }
+      if (candles[i - j].low <= candles[i].low || candles[i + j].low < candles[i].low) {
+        isLow = false;
+      }
+    }
+
+    if (isHigh) {
+      swings.push({ type: 'high', price: candles[i].high, index: i, timestamp: candles[i].timestamp });
+    }
+    if (isLow) {
+      swings.push({ type: 'low', price: candles[i].low, index: i, timestamp: candles[i].timestamp });
+    }
+  }
+
+  return swings;
+}
@@ -0,0 +1,49 @@
+// In-memory API key repository for local runs without a database. Same interface as the
+// Postgres repository; keys are lost on restart.
+import { nanoid } from 'nanoid';
+
+export function createMemoryApiKeyRepository() {
+  const keys = new Map();
+
+  return {
+    async create(fields) {
+      const key = {
+        id: nanoid(),
+        ...fields,
+        lastUsedAt: null,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+      keys.set(key.id, key);
+      return { ...key };
+    },
+
+    async getByHash(keyHash) {
+      const key = [...keys.values()].find(entry => entry.keyHash === keyHash);
+      return key ? { ...key } : null;
+    },
+
+    async listByUser(userId) {
+      return [...keys.values()]
+        .filter(key => key.userId === userId)
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+        .map(key => ({ ...key }));
+    },
+
+    async revoke(id, userId) {
+      const key = keys.get(id);
+      if (!key || key.userId !== userId) {
+        return null;
+      }
+      key.revokedAt = key.revokedAt || new Date().toISOString();
+      return { ...key };
+    },
+
+    async touch(id, lastUsedAt) {
+      const key = keys.get(id);
+      if (key) {
+        key.lastUsedAt = lastUsedAt;
+      }
+    }
+  };
+}
@@ -0,0 +1,57 @@
+// API key repository on the api_keys table in shared/schema.ts
+import { and, desc, eq } from 'drizzle-orm';
+import { nanoid } from 'nanoid';
+import { getDatabase } from '../db.js';
+
+export function createPostgresApiKeyRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, apiKeys: schema.apiKeys };
+  }
+
+  return {
+    async create(fields) {
+      const { db, apiKeys } = await ready();
+      const [row] = await db.insert(apiKeys).values({ id: nanoid(), ...fields }).returning();
+      return fromRow(row);
+    },
+
+    async getByHash(keyHash) {
+      const { db, apiKeys } = await ready();
+      const [row] = await db.select().from(apiKeys).where(eq(apiKeys.keyHash, keyHash));
+      return row ? fromRow(row) : null;
+    },
+
+    async listByUser(userId) {
+      const { db, apiKeys } = await ready();
+      const rows = await db.select().from(apiKeys).where(eq(apiKeys.userId, userId)).orderBy(desc(apiKeys.createdAt));
+      return rows.map(fromRow);
+    },
+
+    async revoke(id, userId) {
+      const { db, apiKeys } = await ready();
+      const [row] = await db.update(apiKeys)
+        .set({ revokedAt: new Date() })
+        .where(and(eq(apiKeys.id, id), eq(apiKeys.userId, userId)))
+        .returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async touch(id, lastUsedAt) {
+      const { db, apiKeys } = await ready();
+      await db.update(apiKeys).set({ lastUsedAt: new Date(lastUsedAt) }).where(eq(apiKeys.id, id));
+    }
+  };
+}
+
+const DATE_FIELDS = ['lastUsedAt', 'createdAt', 'revokedAt'];
+
+function fromRow(row) {
+  const key = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (key[field] instanceof Date) {
+      key[field] = key[field].toISOString();
+    }
+  });
+  return key;
+}
@@ -0,0 +1,16 @@
+// Picks where API keys are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemoryApiKeyRepository } from './memory-repository.js';
+import { createPostgresApiKeyRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   create({ userId, name, prefix, keyHash, scopes, rateLimit }) -> key
+//   getByHash(keyHash)     -> key or null, revoked keys included
+//   listByUser(userId)     -> keys, newest first
+//   revoke(id, userId)     -> key or null when the user has no such key
+//   touch(id, lastUsedAt)  -> records when the key was last used
+export function createApiKeyRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresApiKeyRepository(config.DATABASE_URL);
+  }
+  return createMemoryApiKeyRepository();
+}
@@ -0,0 +1,201 @@
+// The ICT Silver Bullet server: Express and the WebSocket hub, accounts when the
+// configuration asks for them, /health and /api/stats, and the feature modules named in the
+// configuration (see config.js and modules/index.js).
+//
+// Modules load in the configured order and get a context of:
+//   app, config, marketData, markets   Express app, config.js settings and market data
+//   instruments                        where the symbol catalogue is stored, see
+//                                      instruments/repository.js
+//   api                                registers REST routes with their zod schemas, which
+//                                      validate them and document them in /api/openapi.json,
+//                                      see http/api.js
+//   realtime                           the WebSocket hub, see realtime/hub.js
+//   guardChannel(check)                refuse channels: check(user, channel) returns an error
+//                                      message or null
+// When two modules serve the same path the first one wins, and the health page is only
+// served at / when no module does.
+import express from 'express';
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+import cors from 'cors';
+import { z } from 'zod';
+import { setupAuth } from './auth/auth.js';
+import { setupApiKeys } from './auth/api-keys.js';
+import { createSocketAuth } from './auth/websocket.js';
+import { requireAuth } from './auth/roles.js';
+import { createApiKeyRepository } from './api-keys/repository.js';
+import { createUserRepository } from './users/repository.js';
+import { HEALTH_PAGE } from './diagnostics/pages.js';
+import { createInstrumentRepository } from './instruments/repository.js';
+import { createApi } from './http/api.js';
+import { createMarketDataProvider } from './market-data/providers.js';
+import { createMarkets } from './market-data/markets.js';
+import { setInstruments } from './market-data/instruments.js';
+import { MODULES } from './modules/index.js';
+import { createRealtimeHub } from './realtime/hub.js';
+
+// /api paths that answer without a user
+const PUBLIC_API_PATHS = ['/test', '/stats', '/openapi.json'];
+
+// Who every request acts as when accounts are off
+const LOCAL_USER = { id: 'local', username: 'local', role: 'admin' };
+
+export function createApp(config) {
+  const unknown = config.modules.filter(name => !MODULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown modules ${unknown.join(', ')}, expected some of ${Object.keys(MODULES).join(', ')}`);
+  }
+
+  const app = express();
+  const server = createServer(app);
+
+  app.use(cors());
+  app.use(express.json({ limit: '20mb' }));
+
+  const api = createApi(app, {
+    info: { title: 'ICT Silver Bullet API', version: '1.0.0' },
+    auth: config.auth,
+    validateResponses: config.env.NODE_ENV !== 'production'
+  });
+
+  // Accounts, login sessions and API keys; the rest of /api and the WebSocket need a user
+  let socketAuth = null;
+  if (config.auth) {
+    const users = createUserRepository(config.env);
+    const auth = setupAuth(app, { api, users, config: config.env });
+    const apiKeyAuth = setupApiKeys(app, { api, apiKeys: createApiKeyRepository(config.env), users });
+    socketAuth = createSocketAuth({
+      getSessionUser: auth.getSessionUser,
+      authenticateKey: apiKeyAuth.authenticateKey,
+      consume: apiKeyAuth.consume
+    });
+    app.use('/api', (req, res, next) => PUBLIC_API_PATHS.includes(req.path) ? next() : requireAuth(req, res, next));
+  } else {
+    if (config.env.NODE_ENV === 'production') {
+      console.warn('AUTH is off; every request acts as an admin');
+    }
+    app.use((req, res, next) => {
+      req.user = LOCAL_USER;
+      req.isAuthenticated = () => true;
+      next();
+    });
+  }
+
+  // WebSocket upgrades are authenticated with the session cookie or an API key, or act as the
+  // local user when accounts are off
+  const wss = new WebSocketServer({
+    server,
+    path: config.wsPath || undefined,
+    verifyClient: socketAuth ? socketAuth.verifyClient : info => {
+      info.req.user = LOCAL_USER;
+      return true;
+    }
+  });
+
+  // Market data for the ICT Silver Bullet analysis, from the provider chosen by MARKET_DATA_PROVIDER
+  const marketData = createMarketDataProvider(config.env);
+  const markets = createMarkets(marketData, {
+    windows: config.signalWindows,
+    setupTimeframe: config.setupTimeframe,
+    mostActiveCount: config.mostActiveCount,
+    activityWeights: config.activityWeights
+  });
+
+  // The stored symbol catalogue replaces the built-in one once it has loaded
+  const instruments = createInstrumentRepository(config.env);
+  instruments.list()
+    .then(setInstruments)
+    .catch(error => console.error('Failed to load the symbol catalogue:', error));
+
+  // WebSocket clients and the channels each one subscribed to
+  const channelGuards = [];
+  const realtime = createRealtimeHub(wss, {
+    symbols: markets.symbols,
+    authenticate: socketAuth ? socketAuth.authenticate : null,
+    consume: socketAuth ? socketAuth.consume : null,
+    authorizeChannel: (user, channel) => {
+      for (const check of channelGuards) {
+        const problem = check(user, channel);
+        if (problem) {
+          return problem;
+        }
+      }
+      return null;
+    }
+  });
+
+  const context = {
+    app,
+    api,
+    config,
+    marketData,
+    markets,
+    instruments,
+    realtime,
+    guardChannel: check => channelGuards.push(check)
+  };
+  config.modules.forEach(name => MODULES[name](context));
+
+  // Health check endpoint
+  api.get('/health', {
+    summary: 'Server status',
+    tags: ['Meta'],
+    public: true,
+    responses: {
+      200: z.object({
+        status: z.literal('ok'),
+        message: z.string(),
+        mode: z.string(),
+        modules: z.array(z.string()),
+        timestamp: z.string()
+      })
+    }
+  }, (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'ICT Silver Bullet server is running',
+      mode: config.mode,
+      modules: config.modules,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Get server stats
+  api.get('/api/stats', {
+    summary: 'Connected WebSocket clients',
+    tags: ['Meta'],
+    public: true,
+    responses: { 200: z.object({ clients: z.number().int(), timestamp: z.string() }) }
+  }, (req, res) => {
+    res.json({
+      clients: realtime.size,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Every route registered through the api, as an OpenAPI 3 document
+  api.get('/api/openapi.json', {
+    summary: 'This document',
+    tags: ['Meta'],
+    public: true,
+    responses: { 200: null }
+  }, (req, res) => {
+    res.json(api.document());
+  });
+
+  app.get('/', (req, res) => {
+    res.send(HEALTH_PAGE);
+  });
+
+  return { app, server, realtime };
+}
+
+export function startServer(config) {
+  const { server } = createApp(config);
+
+  server.listen(config.port, '0.0.0.0', () => {
+    console.log(`ICT Silver Bullet server (${config.mode}: ${config.modules.join(', ') || 'no modules'}) running at http://0.0.0.0:${config.port}`);
+    console.log(`WebSocket server running on ws://0.0.0.0:${config.port}${config.wsPath || ''}`);
+  });
+  return server;
+}
@@ -0,0 +1,213 @@
+// API keys for bots and scripts. REST calls send the key as `X-API-Key: <key>` or
+// `Authorization: Bearer <key>`; WebSocket clients use the `api_key` query parameter or an
+// `auth` message (see websocket.js). A request made with a key acts as the key's owner,
+// limited to the key's scopes and its own requests-per-minute budget.
+import { createHash, randomBytes } from 'crypto';
+import { z } from 'zod';
+import { errorSchema, idParamsSchema } from '../http/schemas.js';
+import { hasRole } from './roles.js';
+import { toPublicUser } from './auth.js';
+
+// Every scope with the lowest role allowed to hold it
+export const SCOPES = {
+  'market:read': 'viewer',
+  'signals:read': 'viewer',
+  'webhooks:manage': 'viewer',
+  'watchlists:manage': 'viewer',
+  'paper:trade': 'viewer',
+  'signals:write': 'analyst',
+  'backtest:run': 'analyst',
+  'candles:write': 'admin',
+  'symbols:write': 'admin'
+};
+
+const KEY_PREFIX = 'sbk_';
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 1200;
+const RATE_WINDOW = 60000;
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL = 60000;
+
+const createKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(Object.keys(SCOPES))).min(1),
+  // Requests per minute
+  rateLimit: z.number().int().min(1).max(MAX_RATE_LIMIT).default(DEFAULT_RATE_LIMIT)
+});
+
+// A key as returned to its owner, without the hash
+const keySchema = z.object({
+  id: z.string(),
+  userId: z.string(),
+  name: z.string(),
+  prefix: z.string(),
+  scopes: z.array(z.string()),
+  rateLimit: z.number().int(),
+  lastUsedAt: z.string().nullish(),
+  createdAt: z.string(),
+  revokedAt: z.string().nullish()
+});
+
+// Registers key authentication for /api and the key routes, for logged-in sessions only:
+//   POST /api/keys, GET /api/keys, DELETE /api/keys/:id
+export function setupApiKeys(app, { api, apiKeys, users }) {
+  const windows = new Map();
+  const touched = new Map();
+
+  // The owner and key for a raw key, or null when it is unknown or revoked
+  async function authenticateKey(rawKey) {
+    const key = await apiKeys.getByHash(hashKey(rawKey));
+    if (!key || key.revokedAt) {
+      return null;
+    }
+    const user = await users.get(key.userId);
+    if (!user) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!touched.has(key.id) || now - touched.get(key.id) > TOUCH_INTERVAL) {
+      touched.set(key.id, now);
+      apiKeys.touch(key.id, new Date(now).toISOString())
+        .catch(error => console.error(`Failed to record use of API key ${key.prefix}:`, error));
+    }
+    return { user: toPublicUser(user), key };
+  }
+
+  // Fixed one-minute windows per key, shared by REST requests and WebSocket messages
+  function consume(key) {
+    const now = Date.now();
+    let window = windows.get(key.id);
+    if (!window || now - window.start >= RATE_WINDOW) {
+      window = { start: now, count: 0 };
+      windows.set(key.id, window);
+    }
+    window.count += 1;
+
+    return {
+      remaining: Math.max(key.rateLimit - window.count, 0),
+      exceeded: window.count > key.rateLimit,
+      resetIn: Math.ceil((window.start + RATE_WINDOW - now) / 1000)
+    };
+  }
+
+  app.use('/api', async (req, res, next) => {
+    const rawKey = getRequestKey(req);
+    if (!rawKey) {
+      return next();
+    }
+
+    try {
+      const auth = await authenticateKey(rawKey);
+      if (!auth) {
+        return res.status(401).json({ message: 'Invalid or revoked API key' });
+      }
+
+      const limit = consume(auth.key);
+      res.set('X-RateLimit-Limit', String(auth.key.rateLimit));
+      res.set('X-RateLimit-Remaining', String(limit.remaining));
+      if (limit.exceeded) {
+        res.set('Retry-After', String(limit.resetIn));
+        return res.status(429).json({ message: 'Rate limit exceeded' });
+      }
+
+      req.user = auth.user;
+      req.apiKey = auth.key;
+      next();
+    } catch (error) {
+      console.error('Failed to check API key:', error);
+      res.status(500).json({ message: 'Failed to check API key' });
+    }
+  });
+
+  // Keys are managed from a logged-in session, never with another key
+  function requireSession(req, res, next) {
+    if (!req.isAuthenticated() || req.apiKey) {
+      return res.status(401).json({ message: 'Log in to manage API keys' });
+    }
+    next();
+  }
+
+  // The new key is only ever returned here
+  api.post('/api/keys', {
+    summary: 'Create an API key; the key is only returned here',
+    tags: ['API keys'],
+    body: createKeySchema,
+    responses: { 201: keySchema.extend({ key: z.string() }), 403: errorSchema }
+  }, requireSession, async (req, res) => {
+    const { name, scopes, rateLimit } = req.body;
+
+    const forbidden = scopes.filter(scope => !hasRole(req.user, SCOPES[scope]));
+    if (forbidden.length > 0) {
+      return res.status(403).json({ message: `Your role cannot grant ${forbidden.join(', ')}` });
+    }
+
+    const rawKey = KEY_PREFIX + randomBytes(24).toString('base64url');
+    try {
+      const key = await apiKeys.create({
+        userId: req.user.id,
+        name,
+        prefix: rawKey.slice(0, 12),
+        keyHash: hashKey(rawKey),
+        scopes: [...new Set(scopes)],
+        rateLimit
+      });
+      res.status(201).json({ ...toPublicKey(key), key: rawKey });
+    } catch (error) {
+      console.error('Failed to create API key:', error);
+      res.status(500).json({ message: 'Failed to create API key' });
+    }
+  });
+
+  api.get('/api/keys', {
+    summary: 'Your API keys, revoked ones included',
+    tags: ['API keys'],
+    responses: { 200: z.array(keySchema) }
+  }, requireSession, async (req, res) => {
+    try {
+      res.json((await apiKeys.listByUser(req.user.id)).map(toPublicKey));
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+      res.status(500).json({ message: 'Failed to load API keys' });
+    }
+  });
+
+  api.delete('/api/keys/:id', {
+    summary: 'Revoke an API key',
+    tags: ['API keys'],
+    params: idParamsSchema,
+    responses: { 200: keySchema, 404: errorSchema }
+  }, requireSession, async (req, res) => {
+    try {
+      const key = await apiKeys.revoke(req.params.id, req.user.id);
+      if (!key) {
+        return res.status(404).json({ message: 'API key not found' });
+      }
+      windows.delete(key.id);
+      res.json(toPublicKey(key));
+    } catch (error) {
+      console.error('Failed to revoke API key:', error);
+      res.status(500).json({ message: 'Failed to revoke API key' });
+    }
+  });
+
+  return { authenticateKey, consume };
+}
+
+function getRequestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+  const authorization = req.get('Authorization');
+  return authorization && authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+}
+
+function hashKey(rawKey) {
+  return createHash('sha256').update(rawKey).digest('hex');
+}
+
+function toPublicKey(key) {
+  const { keyHash, ...rest } = key;
+  return rest;
+}
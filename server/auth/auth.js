@@ -0,0 +1,224 @@
+// Accounts and sessions: passport-local login on top of express-session, with sessions kept
+// in Postgres when DATABASE_URL is set and in memory otherwise. The same session cookie
+// authenticates WebSocket upgrades, see websocket.js.
+//   SESSION_SECRET  signs the session cookie; required in production
+import session from 'express-session';
+import passport from 'passport';
+import { Strategy as LocalStrategy } from 'passport-local';
+import connectPg from 'connect-pg-simple';
+import createMemoryStore from 'memorystore';
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { getPool } from '../db.js';
+import { errorSchema, idParamsSchema, userSchema } from '../http/schemas.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { ROLES, requireAuth, requireRole } from './roles.js';
+
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const registerSchema = z.object({
+  username: z.string().regex(USERNAME_PATTERN, 'Username must be 3-50 letters, digits, dots, dashes or underscores'),
+  password: z.string().min(MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+});
+
+const loginSchema = z.object({
+  username: z.string().min(1),
+  password: z.string().min(1)
+});
+
+// Registers the session and passport middleware and the account routes:
+//   POST /api/register, POST /api/login, POST /api/logout, GET /api/user
+//   GET /api/users, PATCH /api/users/:id (admins)
+// The first account registered becomes an admin, later ones start as viewers.
+export function setupAuth(app, { api, users, config = process.env }) {
+  const production = config.NODE_ENV === 'production';
+  if (!config.SESSION_SECRET && production) {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  if (!config.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+  }
+
+  const sessionParser = session({
+    secret: config.SESSION_SECRET || nanoid(),
+    resave: false,
+    saveUninitialized: false,
+    store: createSessionStore(config),
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: production,
+      maxAge: SESSION_MAX_AGE
+    }
+  });
+
+  passport.use(new LocalStrategy(async (username, password, done) => {
+    try {
+      const user = await users.getByUsername(username);
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        return done(null, false);
+      }
+      done(null, user);
+    } catch (error) {
+      done(error);
+    }
+  }));
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser(async (id, done) => {
+    try {
+      const user = await users.get(id);
+      done(null, user ? toPublicUser(user) : false);
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  if (production) {
+    app.set('trust proxy', 1);
+  }
+  app.use(sessionParser);
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  api.post('/api/register', {
+    summary: 'Create an account and log in',
+    tags: ['Accounts'],
+    public: true,
+    body: registerSchema,
+    responses: { 201: userSchema, 409: errorSchema }
+  }, async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+      if (await users.getByUsername(username)) {
+        return res.status(409).json({ message: 'Username is already taken' });
+      }
+
+      const role = (await users.count()) === 0 ? 'admin' : 'viewer';
+      const user = await users.create({ username, passwordHash: await hashPassword(password), role });
+
+      req.login(user, (error) => {
+        if (error) {
+          return fail(res, 'Registration failed', error);
+        }
+        res.status(201).json(toPublicUser(user));
+      });
+    } catch (error) {
+      fail(res, 'Registration failed', error);
+    }
+  });
+
+  api.post('/api/login', {
+    summary: 'Log in',
+    tags: ['Accounts'],
+    public: true,
+    body: loginSchema,
+    responses: { 200: userSchema, 401: errorSchema }
+  }, (req, res, next) => {
+    passport.authenticate('local', (error, user) => {
+      if (error) {
+        return fail(res, 'Login failed', error);
+      }
+      if (!user) {
+        return res.status(401).json({ message: 'Invalid username or password' });
+      }
+      req.login(user, (loginError) => {
+        if (loginError) {
+          return fail(res, 'Login failed', loginError);
+        }
+        res.json(toPublicUser(user));
+      });
+    })(req, res, next);
+  });
+
+  api.post('/api/logout', {
+    summary: 'Log out',
+    tags: ['Accounts'],
+    public: true,
+    responses: { 204: null }
+  }, (req, res) => {
+    req.logout((error) => {
+      if (error) {
+        return fail(res, 'Logout failed', error);
+      }
+      res.sendStatus(204);
+    });
+  });
+
+  api.get('/api/user', {
+    summary: 'The logged-in user',
+    tags: ['Accounts'],
+    responses: { 200: userSchema }
+  }, requireAuth, (req, res) => {
+    res.json(req.user);
+  });
+
+  api.get('/api/users', {
+    summary: 'Every user (admins)',
+    tags: ['Accounts'],
+    responses: { 200: z.array(userSchema) }
+  }, requireRole('admin'), async (req, res) => {
+    try {
+      res.json((await users.list()).map(toPublicUser));
+    } catch (error) {
+      fail(res, 'Failed to load users', error);
+    }
+  });
+
+  // Change someone's role
+  api.patch('/api/users/:id', {
+    summary: 'Change the role of a user (admins)',
+    tags: ['Accounts'],
+    params: idParamsSchema,
+    body: z.object({ role: z.enum(ROLES) }),
+    responses: { 200: userSchema, 404: errorSchema }
+  }, requireRole('admin'), async (req, res) => {
+    try {
+      const user = await users.updateRole(req.params.id, req.body.role);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.json(toPublicUser(user));
+    } catch (error) {
+      fail(res, 'Failed to update user', error);
+    }
+  });
+
+  // The logged-in user of a request that did not go through the middleware above, such as
+  // a WebSocket upgrade, or null
+  function getSessionUser(req) {
+    return new Promise((resolve, reject) => {
+      sessionParser(req, {}, () => {
+        const id = req.session && req.session.passport && req.session.passport.user;
+        if (!id) {
+          return resolve(null);
+        }
+        users.get(id).then(user => resolve(user ? toPublicUser(user) : null), reject);
+      });
+    });
+  }
+
+  return { getSessionUser };
+}
+
+function fail(res, message, error) {
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+}
+
+function createSessionStore(config) {
+  if (config.DATABASE_URL) {
+    const PostgresStore = connectPg(session);
+    return new PostgresStore({ pool: getPool(config.DATABASE_URL), createTableIfMissing: true });
+  }
+
+  const MemoryStore = createMemoryStore(session);
+  return new MemoryStore({ checkPeriod: 24 * 60 * 60 * 1000 });
+}
+
+// A user without the password hash, as sent to clients
+export function toPublicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
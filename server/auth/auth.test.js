@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createApi } from '../http/api.js';
+import { createMemoryApiKeyRepository } from '../api-keys/memory-repository.js';
+import { createMemoryUserRepository } from '../users/memory-repository.js';
+import { setupApiKeys } from './api-keys.js';
+import { setupAuth } from './auth.js';
+import { requireAuth, requireRole, requireScope } from './roles.js';
+
+let server;
+let baseUrl;
+
+// Accounts, sessions and API keys as app.js sets them up, with one route per guard
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  const api = createApi(app, { info: { title: 'Test', version: '1' }, validateResponses: true });
+  const users = createMemoryUserRepository();
+  setupAuth(app, { api, users, config: { SESSION_SECRET: 'test' } });
+  setupApiKeys(app, { api, apiKeys: createMemoryApiKeyRepository(), users });
+  app.use('/api', requireAuth);
+
+  const ok = (req, res) => res.json({ user: req.user.username });
+  app.get('/api/analysts', requireRole('analyst'), ok);
+  app.get('/api/signals', requireScope('signals:read'), ok);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Requests that keep the session cookie between calls, or send an API key
+function createClient(apiKey = null) {
+  let cookie = null;
+
+  return async (method, path, body) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+    if (apiKey) {
+      headers['X-API-Key'] = apiKey;
+    }
+
+    const response = await fetch(baseUrl + path, { method, headers, body: body && JSON.stringify(body) });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) {
+      cookie = setCookie.split(';')[0];
+    }
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+}
+
+test('the first account is an admin, later ones are viewers', async () => {
+  const admin = createClient();
+  const viewer = createClient();
+
+  assert.equal((await admin('POST', '/api/register', { username: 'admin', password: 'password1' })).body.role, 'admin');
+  assert.equal((await viewer('POST', '/api/register', { username: 'viewer', password: 'password2' })).body.role, 'viewer');
+  assert.equal((await viewer('POST', '/api/register', { username: 'viewer', password: 'password2' })).status, 409);
+  assert.equal((await viewer('POST', '/api/register', { username: 'x', password: 'short' })).status, 400);
+});
+
+test('logs in with a password and keeps the user in the session', async () => {
+  const client = createClient();
+
+  assert.equal((await client('GET', '/api/user')).status, 401);
+  assert.equal((await client('POST', '/api/login', { username: 'viewer', password: 'wrong-password' })).status, 401);
+  assert.equal((await client('POST', '/api/login', { username: 'viewer', password: 'password2' })).status, 200);
+  assert.equal((await client('GET', '/api/user')).body.username, 'viewer');
+
+  assert.equal((await client('POST', '/api/logout')).status, 204);
+  assert.equal((await client('GET', '/api/user')).status, 401);
+});
+
+test('lets only users with a high enough role through', async () => {
+  const admin = createClient();
+  const viewer = createClient();
+  await admin('POST', '/api/login', { username: 'admin', password: 'password1' });
+  await viewer('POST', '/api/login', { username: 'viewer', password: 'password2' });
+
+  assert.equal((await admin('GET', '/api/analysts')).status, 200);
+  assert.equal((await viewer('GET', '/api/analysts')).status, 403);
+  assert.equal((await viewer('GET', '/api/users')).status, 403);
+  assert.equal((await createClient()('GET', '/api/analysts')).status, 401);
+});
+
+test('limits API keys to their scopes and to what the owner\'s role may grant', async () => {
+  const viewer = createClient();
+  await viewer('POST', '/api/login', { username: 'viewer', password: 'password2' });
+
+  assert.equal((await viewer('POST', '/api/keys', { name: 'writer', scopes: ['signals:write'] })).status, 403);
+  const marketKey = (await viewer('POST', '/api/keys', { name: 'market', scopes: ['market:read'] })).body.key;
+  const signalsKey = (await viewer('POST', '/api/keys', { name: 'signals', scopes: ['signals:read'] })).body.key;
+
+  assert.equal((await createClient(marketKey)('GET', '/api/signals')).status, 403);
+  const allowed = await createClient(signalsKey)('GET', '/api/signals');
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.body.user, 'viewer');
+
+  // Keys are managed from a session only
+  assert.equal((await createClient(signalsKey)('GET', '/api/keys')).status, 401);
+  assert.equal((await createClient('sbk_unknown')('GET', '/api/signals')).status, 401);
+});
+
+test('answers 429 once a key has spent its requests for the minute', async () => {
+  const viewer = createClient();
+  await viewer('POST', '/api/login', { username: 'viewer', password: 'password2' });
+  const created = await viewer('POST', '/api/keys', { name: 'limited', scopes: ['signals:read'], rateLimit: 2 });
+  const bot = createClient(created.body.key);
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await bot('GET', '/api/signals')).status);
+  }
+  assert.deepEqual(statuses, [200, 200, 429]);
+
+  const limited = await bot('GET', '/api/signals');
+  assert.equal(limited.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(limited.headers.get('x-ratelimit-remaining'), '0');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  // A revoked key stops working at once
+  await viewer('DELETE', `/api/keys/${created.body.id}`);
+  assert.equal((await bot('GET', '/api/signals')).status, 401);
+});
@@ -0,0 +1,19 @@
+// Password hashing with scrypt; hashes are stored as `<hash>.<salt>` in hex
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `${hash.toString('hex')}.${salt}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [hash, salt] = stored.split('.');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,38 @@
+// Roles, lowest first: viewers receive signals and read data, analysts also generate and
+// cancel signals and run backtests, admins also import candles and manage users
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  next();
+}
+
+// Middleware letting through users with `role` or a higher one
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ message: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Requests made with an API key also need the scope on the key; logged-in sessions are only
+// limited by their role
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ message: `API key lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,36 @@
+// Who is behind a WebSocket: a logged-in session cookie on the upgrade, an API key with the
+// signals:read scope in the `api_key` query parameter, or, failing both, an API key in the
+// connection's first message. Upgrades without either credential are let through
+// unauthenticated and the hub only accepts an `auth` message from them. Sockets opened with
+// a key spend its requests-per-minute budget through consume(key).
+export function createSocketAuth({ getSessionUser, authenticateKey, consume }) {
+  // The owner and the key for a key allowed to open sockets, or null
+  async function authenticate(rawKey) {
+    const auth = await authenticateKey(rawKey);
+    return auth && auth.key.scopes.includes('signals:read') ? auth : null;
+  }
+
+  // For the WebSocketServer; leaves the user and key on the request for the connection handler
+  function verifyClient(info, done) {
+    const rawKey = new URL(info.req.url, 'http://localhost').searchParams.get('api_key');
+    const lookup = rawKey
+      ? authenticate(rawKey)
+      : getSessionUser(info.req).then(user => user && { user, key: null });
+
+    lookup
+      .then(auth => {
+        if (rawKey && !auth) {
+          return done(false, 401, 'Invalid API key');
+        }
+        info.req.user = auth ? auth.user : null;
+        info.req.apiKey = auth ? auth.key : null;
+        done(true);
+      })
+      .catch(error => {
+        console.error('Failed to authenticate WebSocket upgrade:', error);
+        done(false, 500);
+      });
+  }
+
+  return { verifyClient, authenticate, consume };
+}
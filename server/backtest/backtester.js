@@ -0,0 +1,208 @@
+// Bar-by-bar backtester for the Silver Bullet setups that feed broadcastSignal
+import { findSilverBulletSetups } from '../analysis/silver-bullet-setups.js';
+
+const DEFAULT_OPTIONS = {
+  initialBalance: 10000,
+  riskPerTrade: 1, // percent of balance
+  spread: 0, // price units, paid half on entry and half on exit
+  slippage: 0, // price units, against us on entries and stop-outs
+  commission: 0, // account currency per round turn
+  entryExpiry: 20, // bars a pending entry stays live
+  lookback: 300, // bars of history the setup engine sees at each step
+  targetIndex: 0 // which take-profit to exit at
+};
+
+// At every bar the setup engine only sees candles up to and including that bar, exactly as
+// the live scanner does, and a setup it confirms on that bar is worked from the next bar on.
+// One trade is open or pending at a time.
+export function runBacktest(candles, options = {}) {
+  const replay = createReplay(candles, options);
+  while (!replay.done()) {
+    replay.step();
+  }
+  return replay.finish();
+}
+
+// The same replay one bar per step(), so a caller can spread a long backtest over
+// several turns of the event loop. finish() closes any open trade at the last close.
+export function createReplay(candles, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.keys(options).forEach(key => {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  });
+  const trades = [];
+  const equityCurve = [{ timestamp: candles.length > 0 ? candles[0].timestamp : null, equity: settings.initialBalance }];
+  let balance = settings.initialBalance;
+  let pending = null;
+  let open = null;
+  let i = 0;
+
+  function step() {
+    const candle = candles[i];
+
+    if (pending && i > pending.signalIndex) {
+      if (i - pending.signalIndex > settings.entryExpiry) {
+        pending = null;
+      } else if (reachesEntry(pending, candle)) {
+        open = fill(pending, candle, i, balance, settings);
+        pending = null;
+      }
+    }
+
+    if (open) {
+      const exit = findExit(open, candle, settings);
+      if (exit) {
+        balance = closeTrade(open, exit, candle, i, balance, settings);
+        trades.push(open);
+        equityCurve.push({ timestamp: candle.timestamp, equity: balance });
+        open = null;
+      }
+    }
+
+    if (!pending && !open) {
+      const from = Math.max(0, i + 1 - settings.lookback);
+      const history = candles.slice(from, i + 1);
+      // Setups come in the order of their structure breaks, so the last one is not
+      // necessarily the one this bar confirmed
+      const setup = findSilverBulletSetups(history, settings)
+        .filter(candidate => candidate.confirmedIndex === history.length - 1)
+        .pop();
+
+      if (setup) {
+        pending = { ...setup, signalIndex: i, signalTimestamp: candle.timestamp };
+      }
+    }
+
+    i++;
+  }
+
+  function finish() {
+    if (open) {
+      const last = candles[candles.length - 1];
+      balance = closeTrade(open, { reason: 'end', price: last.close }, last, candles.length - 1, balance, settings);
+      trades.push(open);
+      equityCurve.push({ timestamp: last.timestamp, equity: balance });
+      open = null;
+    }
+
+    return {
+      settings,
+      trades,
+      equityCurve,
+      statistics: computeStatistics(trades, equityCurve, settings)
+    };
+  }
+
+  return {
+    step,
+    finish,
+    done: () => i >= candles.length
+  };
+}
+
+// Entries are limit orders resting at the gap, so a retrace to the level fills them
+function reachesEntry(setup, candle) {
+  return setup.type === 'buy' ? candle.low <= setup.entryPrice : candle.high >= setup.entryPrice;
+}
+
+function fill(setup, candle, index, balance, settings) {
+  const direction = setup.type === 'buy' ? 1 : -1;
+  const entryPrice = setup.entryPrice + direction * (settings.spread / 2 + settings.slippage);
+  const takeProfit = setup.takeProfits[Math.min(settings.targetIndex, setup.takeProfits.length - 1)];
+  const riskAmount = balance * settings.riskPerTrade / 100;
+
+  return {
+    type: setup.type,
+    signalTimestamp: setup.signalTimestamp,
+    entryIndex: index,
+    entryTimestamp: candle.timestamp,
+    entryPrice,
+    stopLoss: setup.stopLoss,
+    takeProfit,
+    units: riskAmount / Math.abs(entryPrice - setup.stopLoss),
+    riskAmount,
+    conditions: setup.conditions
+  };
+}
+
+// When a bar reaches both levels we cannot know which came first, so the stop is assumed
+function findExit(trade, candle, settings) {
+  const buy = trade.type === 'buy';
+  const stopped = buy ? candle.low <= trade.stopLoss : candle.high >= trade.stopLoss;
+  const targetHit = buy ? candle.high >= trade.takeProfit : candle.low <= trade.takeProfit;
+
+  if (stopped) {
+    return { reason: 'stopLoss', price: trade.stopLoss + (buy ? -settings.slippage : settings.slippage) };
+  }
+  if (targetHit) {
+    return { reason: 'takeProfit', price: trade.takeProfit };
+  }
+  return null;
+}
+
+function closeTrade(trade, exit, candle, index, balance, settings) {
+  const direction = trade.type === 'buy' ? 1 : -1;
+  const exitPrice = exit.price - direction * settings.spread / 2;
+  const profitLoss = (exitPrice - trade.entryPrice) * direction * trade.units - settings.commission;
+
+  trade.exitIndex = index;
+  trade.exitTimestamp = candle.timestamp;
+  trade.exitPrice = exitPrice;
+  trade.exitReason = exit.reason;
+  trade.profitLoss = profitLoss;
+  trade.rMultiple = profitLoss / trade.riskAmount;
+  trade.balance = balance + profitLoss;
+
+  return trade.balance;
+}
+
+function computeStatistics(trades, equityCurve, settings) {
+  const wins = trades.filter(trade => trade.profitLoss > 0);
+  const losses = trades.filter(trade => trade.profitLoss <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.profitLoss, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.profitLoss, 0));
+  const returns = trades.map(trade => trade.rMultiple);
+  const finalBalance = equityCurve[equityCurve.length - 1].equity;
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length : 0,
+    expectancy: trades.length > 0 ? (grossProfit - grossLoss) / trades.length : 0,
+    expectancyR: average(returns),
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    netProfit: finalBalance - settings.initialBalance,
+    finalBalance,
+    ...computeDrawdown(equityCurve),
+    // Per-trade Sharpe ratio of R returns, not annualised
+    sharpeRatio: returns.length > 1 && standardDeviation(returns) > 0
+      ? average(returns) / standardDeviation(returns)
+      : null
+  };
+}
+
+function computeDrawdown(equityCurve) {
+  let peak = equityCurve[0].equity;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  equityCurve.forEach(point => {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - point.equity) / peak * 100);
+  });
+
+  return { maxDrawdown, maxDrawdownPercent };
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  const mean = average(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from './backtester.js';
+
+const MINUTE = 60000;
+// 10:00 New York, the start of the AM Silver Bullet window
+const START = Date.UTC(2026, 0, 14, 15);
+
+// Candles walking from one close to the next, with a quarter of wick either side
+function fromCloses(closes, overrides = {}) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return {
+      timestamp: START + i * MINUTE,
+      open,
+      high: Math.max(open, close) + 0.25,
+      low: Math.min(open, close) - 0.25,
+      close,
+      ...overrides[i]
+    };
+  });
+}
+
+// Sell-side liquidity under the low at 6 is swept at 11, the displacement at 13 breaks the
+// high at 8 and leaves a gap from 19.75 to 21.25, and the high at 2 (30.25) is the target.
+// The buy fills on the retrace at 15 with its stop at the sweep's low of 17.5.
+const SETUP = [26, 28, 30, 26, 22, 20, 18, 19, 20.5, 19, 18, 18.5, 19.5, 21.5, 22, 21];
+const SETUP_OVERRIDES = { 11: { low: 17.5 }, 13: { low: 18.5 }, 14: { low: 21.25 } };
+
+test('takes the setup on the bar it is confirmed and exits at the target', () => {
+  const result = runBacktest(fromCloses([...SETUP, 26, 31], SETUP_OVERRIDES));
+
+  assert.equal(result.trades.length, 1);
+  const [trade] = result.trades;
+  assert.equal(trade.type, 'buy');
+  assert.equal(trade.entryIndex, 15);
+  assert.equal(trade.entryPrice, 21.25);
+  assert.equal(trade.stopLoss, 17.5);
+  assert.equal(trade.takeProfit, 30.25);
+  assert.equal(trade.exitReason, 'takeProfit');
+  assert.equal(trade.exitIndex, 17);
+  assert.equal(trade.rMultiple, 2.4);
+
+  const { statistics } = result;
+  assert.equal(statistics.trades, 1);
+  assert.equal(statistics.winRate, 1);
+  assert.equal(statistics.netProfit, 240);
+  assert.equal(statistics.finalBalance, 10240);
+  assert.equal(statistics.profitFactor, null);
+  assert.equal(statistics.maxDrawdown, 0);
+  assert.equal(statistics.sharpeRatio, null);
+});
+
+test('charges commission and measures the drawdown of a stopped trade', () => {
+  const result = runBacktest(fromCloses([...SETUP, 17], SETUP_OVERRIDES), { commission: 7 });
+
+  const [trade] = result.trades;
+  assert.equal(trade.exitReason, 'stopLoss');
+  assert.equal(trade.profitLoss, -107);
+
+  const { statistics } = result;
+  assert.equal(statistics.losses, 1);
+  assert.equal(statistics.winRate, 0);
+  assert.equal(statistics.expectancy, -107);
+  assert.equal(statistics.profitFactor, 0);
+  assert.equal(statistics.maxDrawdown, 107);
+  assert.ok(Math.abs(statistics.maxDrawdownPercent - 1.07) < 1e-9);
+});
+
+test('closes a trade still open at the end of the data at the last close', () => {
+  const result = runBacktest(fromCloses([...SETUP, 23], SETUP_OVERRIDES));
+
+  const [trade] = result.trades;
+  assert.equal(trade.exitReason, 'end');
+  assert.equal(trade.exitPrice, 23);
+  assert.equal(result.equityCurve.length, 2);
+});
@@ -0,0 +1,54 @@
+// Command line backtest over a JSON candle file, e.g.
+//   node server/backtest/cli.js --file candles.json --symbol EUR/USD --spread 1 --slippage 0.5 --commission 7
+import { readFileSync, writeFileSync } from 'fs';
+import { runBacktest } from './backtester.js';
+import { getPipSize } from '../analysis/liquidity.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const next = argv[i + 1];
+      args[argv[i].slice(2)] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.file) {
+  console.log('Usage: node server/backtest/cli.js --file <candles.json> [--symbol EUR/USD]');
+  console.log('  [--spread pips] [--slippage pips] [--commission amount] [--balance amount]');
+  console.log('  [--risk percent] [--min-rr ratio] [--windows london,am,pm] [--output result.json]');
+  process.exit(1);
+}
+
+const symbol = args.symbol || 'EUR/USD';
+const pipSize = getPipSize(symbol);
+const candles = JSON.parse(readFileSync(args.file, 'utf8'));
+
+const result = runBacktest(candles, {
+  spread: (parseFloat(args.spread) || 0) * pipSize,
+  slippage: (parseFloat(args.slippage) || 0) * pipSize,
+  commission: parseFloat(args.commission) || 0,
+  initialBalance: parseFloat(args.balance) || undefined,
+  riskPerTrade: parseFloat(args.risk) || undefined,
+  minRiskReward: parseFloat(args['min-rr']) || undefined,
+  windows: args.windows ? args.windows.split(',') : undefined
+});
+
+const stats = result.statistics;
+console.log(`Backtest of ${symbol} over ${candles.length} candles`);
+console.log(`  Trades:         ${stats.trades} (${stats.wins} won, ${stats.losses} lost)`);
+console.log(`  Win rate:       ${(stats.winRate * 100).toFixed(1)}%`);
+console.log(`  Expectancy:     ${stats.expectancy.toFixed(2)} per trade (${stats.expectancyR.toFixed(2)}R)`);
+console.log(`  Profit factor:  ${stats.profitFactor === null ? 'n/a' : stats.profitFactor.toFixed(2)}`);
+console.log(`  Net profit:     ${stats.netProfit.toFixed(2)} (final balance ${stats.finalBalance.toFixed(2)})`);
+console.log(`  Max drawdown:   ${stats.maxDrawdown.toFixed(2)} (${stats.maxDrawdownPercent.toFixed(2)}%)`);
+console.log(`  Sharpe ratio:   ${stats.sharpeRatio === null ? 'n/a' : stats.sharpeRatio.toFixed(2)}`);
+
+if (args.output) {
+  writeFileSync(args.output, JSON.stringify(result, null, 2));
+  console.log(`Full result written to ${args.output}`);
+}
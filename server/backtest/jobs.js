@@ -0,0 +1,72 @@
+// In-memory backtest jobs so a long replay does not hold the HTTP request open
+import { createReplay } from './backtester.js';
+
+const MAX_JOBS = 50;
+// How long one slice of a replay may hold the event loop before yielding to other work
+const SLICE_MS = 20;
+const jobs = new Map();
+let nextId = 1;
+
+export function createBacktestJob(candles, options) {
+  const job = {
+    id: String(nextId++),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    options,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  pruneJobs();
+
+  // Let the request that created the job return before the replay starts
+  setImmediate(() => {
+    job.status = 'running';
+    runSlices(job, createReplay(candles, options));
+  });
+
+  return job;
+}
+
+// Replays bars until the slice's time is up, then yields so requests, WebSocket
+// traffic and the live feeds keep being served during a long backtest
+function runSlices(job, replay) {
+  try {
+    const deadline = Date.now() + SLICE_MS;
+    while (!replay.done() && Date.now() < deadline) {
+      replay.step();
+    }
+
+    if (!replay.done()) {
+      setImmediate(() => runSlices(job, replay));
+      return;
+    }
+
+    job.result = replay.finish();
+    job.status = 'completed';
+  } catch (error) {
+    job.error = error.message;
+    job.status = 'failed';
+  }
+  job.completedAt = new Date().toISOString();
+}
+
+export function getBacktestJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listBacktestJobs() {
+  return [...jobs.values()].map(({ result, ...job }) => job);
+}
+
+// Drop the oldest jobs once there are more than we want to keep results for
+function pruneJobs() {
+  for (const id of jobs.keys()) {
+    if (jobs.size <= MAX_JOBS) {
+      break;
+    }
+    jobs.delete(id);
+  }
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from './backtester.js';
+import { createBacktestJob, getBacktestJob } from './jobs.js';
+import { createSimulatedProvider } from '../market-data/simulated-provider.js';
+
+test('replays a long backtest in slices without holding the event loop', async () => {
+  const provider = createSimulatedProvider({ seed: 1 });
+  const candles = provider.getCandles('EUR/USD', 'M1', { count: 1000, end: Date.UTC(2026, 2, 11, 16) });
+
+  const job = createBacktestJob(candles, {});
+  assert.equal(job.status, 'queued');
+
+  // Count the turns of the event loop other work gets while the replay runs
+  let turns = 0;
+  while (getBacktestJob(job.id).status !== 'completed') {
+    assert.notEqual(job.status, 'failed');
+    await new Promise(resolve => setImmediate(resolve));
+    turns++;
+  }
+
+  assert.ok(turns > 2);
+  assert.deepEqual(job.result, runBacktest(candles, {}));
+});
@@ -0,0 +1,74 @@
+// Server configuration from the environment. SERVER_MODE picks a preset, and each of its
+// settings can be overridden on its own:
+//   full     every feature module behind accounts, on port 8080 (the default)
+//   minimal  the WebSocket test page and random test signals, no accounts, on port 9000
+//   health   only /health, /api/stats and a connectivity test page, on port 5000
+//
+//   PORT           port to listen on
+//   WS_PATH        only accept WebSocket upgrades on this path, e.g. /ws; any path when unset
+//   MODULES        comma-separated feature modules to load, see modules/index.js
+//   AUTH           'off' lets every request in as a local admin, for connectivity testing
+//   SCAN_INTERVAL  milliseconds between Silver Bullet setup scans
+//   WEBHOOK_ADDRESSES   'any' lets webhooks call loopback and private addresses, for testing
+//                       against a local receiver; only public addresses otherwise
+//   MOST_ACTIVE_COUNT   how many of the most active markets `market=all` shows (3)
+//   ACTIVITY_WEIGHTS    how much each measure counts towards a market's activity score, e.g.
+//                       'volume:2,range:1,setups:0' (each 1 by default), see activity-ranking.js
+import { ACTIVITY_MEASURES, DEFAULT_ACTIVITY_WEIGHTS } from './analysis/activity-ranking.js';
+import { DEFAULT_SIGNAL_WINDOWS } from './analysis/sessions.js';
+
+export const SERVER_MODES = {
+  full: {
+    port: 8080,
+    auth: true,
+    modules: ['market-data', 'analysis', 'signals', 'diagnostics']
+  },
+  minimal: {
+    port: 9000,
+    auth: false,
+    modules: ['test-signals']
+  },
+  health: {
+    port: 5000,
+    auth: false,
+    modules: []
+  }
+};
+
+export function loadConfig(env = process.env) {
+  const mode = env.SERVER_MODE || 'full';
+  const preset = SERVER_MODES[mode];
+  if (!preset) {
+    throw new Error(`Unknown SERVER_MODE ${mode}, expected one of ${Object.keys(SERVER_MODES).join(', ')}`);
+  }
+
+  return {
+    mode,
+    port: env.PORT ? parseInt(env.PORT) : preset.port,
+    wsPath: env.WS_PATH || null,
+    modules: env.MODULES ? env.MODULES.split(',').map(name => name.trim()).filter(Boolean) : preset.modules,
+    auth: env.AUTH ? env.AUTH !== 'off' : preset.auth,
+    // Silver Bullet windows signals are allowed in, and whether others are flagged or rejected
+    signalWindows: env.SIGNAL_WINDOWS ? env.SIGNAL_WINDOWS.split(',') : DEFAULT_SIGNAL_WINDOWS,
+    signalWindowMode: env.SIGNAL_WINDOW_MODE || 'flag',
+    // Timeframe the periodic scanner looks for Silver Bullet setups on
+    setupTimeframe: env.SETUP_TIMEFRAME || 'M5',
+    scanInterval: parseInt(env.SCAN_INTERVAL) || 30000,
+    mostActiveCount: parseInt(env.MOST_ACTIVE_COUNT) || 3,
+    activityWeights: env.ACTIVITY_WEIGHTS ? parseWeights(env.ACTIVITY_WEIGHTS) : DEFAULT_ACTIVITY_WEIGHTS,
+    allowPrivateWebhooks: env.WEBHOOK_ADDRESSES === 'any',
+    env
+  };
+}
+
+function parseWeights(text) {
+  const weights = { ...DEFAULT_ACTIVITY_WEIGHTS };
+  text.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [name, value] = pair.split(':').map(part => part.trim());
+    if (!ACTIVITY_MEASURES.includes(name) || !(Number(value) >= 0)) {
+      throw new Error(`Invalid ACTIVITY_WEIGHTS entry ${pair}, expected <measure>:<weight> with a measure out of ${ACTIVITY_MEASURES.join(', ')}`);
+    }
+    weights[name] = Number(value);
+  });
+  return weights;
+}
@@ -0,0 +1,38 @@
+// Postgres connection shared by the repositories and the session store. The Drizzle schema in
+// shared/schema.ts is TypeScript, so it is only loaded on first use and a server using the
+// database has to run under tsx. Create the tables with `npm run db:push`.
+import { Pool, neonConfig } from '@neondatabase/serverless';
+import ws from 'ws';
+
+neonConfig.webSocketConstructor = ws;
+
+const pools = new Map();
+const databases = new Map();
+
+export function getPool(connectionString) {
+  if (!pools.has(connectionString)) {
+    pools.set(connectionString, new Pool({ connectionString }));
+  }
+  return pools.get(connectionString);
+}
+
+// Resolves to { db, schema }; a failed attempt is retried by the next call
+export function getDatabase(connectionString) {
+  if (!databases.has(connectionString)) {
+    const loading = connect(connectionString).catch(error => {
+      databases.delete(connectionString);
+      throw error;
+    });
+    databases.set(connectionString, loading);
+  }
+  return databases.get(connectionString);
+}
+
+async function connect(connectionString) {
+  const [{ drizzle }, schema] = await Promise.all([
+    import('drizzle-orm/neon-serverless'),
+    import('../shared/schema.ts')
+  ]);
+
+  return { db: drizzle({ client: getPool(connectionString), schema }), schema };
+}
@@ -0,0 +1,554 @@
+// HTML pages for checking a running server from the browser. They are plain strings with
+// their scripts inline so they work without a build step.
+
+// Server status, account login and a manual signal generator
+export const STATUS_PAGE = `
+    <html>
+      <head>
+        <title>ICT Silver Bullet Server</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+          h1 { color: #0066cc; }
+          .card { border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin: 15px 0; }
+          button { background: #0066cc; color: white; border: none; padding: 8px 15px; border-radius: 4px; cursor: pointer; }
+          pre { background: #f0f0f0; padding: 10px; border-radius: 4px; overflow: auto; }
+        </style>
+      </head>
+      <body>
+        <h1>ICT Silver Bullet - Trading Signals Server</h1>
+        <div class="card">
+          <h2>Server Status</h2>
+          <p>✅ Server is running</p>
+          <p>✅ WebSocket server is active</p>
+          <p>🔌 Connected clients: <span id="clientCount">0</span></p>
+        </div>
+        
+        <div class="card">
+          <h2>Account</h2>
+          <p>Signed in as: <span id="currentUser">nobody</span></p>
+          <input id="username" placeholder="Username">
+          <input id="password" type="password" placeholder="Password">
+          <button onclick="account('/api/login')">Log In</button>
+          <button onclick="account('/api/register')">Register</button>
+          <button onclick="logout()">Log Out</button>
+        </div>
+        
+        <div class="card">
+          <h2>Manual Signal Generator</h2>
+          <div style="margin-bottom: 10px;">
+            <label>Symbol: 
+              <select id="symbolSelect">
+                <option value="EUR/USD">EUR/USD</option>
+                <option value="GBP/JPY">GBP/JPY</option>
+                <option value="BTC/USD">BTC/USD</option>
+                <option value="XAU/USD">XAU/USD</option>
+              </select>
+            </label>
+          </div>
+          <div style="margin-bottom: 10px;">
+            <label>Signal Type: 
+              <select id="signalType">
+                <option value="buy">BUY</option>
+                <option value="sell">SELL</option>
+              </select>
+            </label>
+          </div>
+          <div style="margin-bottom: 10px;">
+            <label>Price: <input type="number" id="priceInput" value="0" step="0.01"></label>
+          </div>
+          <button onclick="generateSignal()">Send Signal</button>
+          <div id="signalResult" style="margin-top: 10px;"></div>
+        </div>
+        
+        <div class="card">
+          <h2>API Endpoints</h2>
+          <ul>
+            <li><a href="/health" target="_blank">/health</a> - Server health check</li>
+            <li><a href="/api/markets" target="_blank">/api/markets</a> - Get all markets</li>
+            <li><a href="/api/candles?symbol=EUR/USD" target="_blank">/api/candles?symbol=EUR/USD</a> - Get candlestick data</li>
+            <li><a href="/api/analysis" target="_blank">/api/analysis</a> - Get ICT analysis</li>
+            <li><a href="/api/sessions" target="_blank">/api/sessions</a> - Get killzones and Silver Bullet windows</li>
+          </ul>
+        </div>
+        
+        <div class="card">
+          <h2>Last Signal Sent</h2>
+          <pre id="lastSignal">No signals sent yet</pre>
+        </div>
+        
+        <script>
+          // Update client count every 2 seconds
+          setInterval(() => {
+            fetch('/api/stats')
+              .then(res => res.json())
+              .then(data => {
+                document.getElementById('clientCount').textContent = data.clients;
+              })
+              .catch(err => console.error('Error fetching stats:', err));
+          }, 2000);
+          
+          // Log in or register, then show who is signed in
+          function account(path) {
+            fetch(path, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value
+              })
+            })
+            .then(res => res.json().then(data => {
+              document.getElementById('currentUser').textContent = res.ok
+                ? data.username + ' (' + data.role + ')'
+                : 'nobody - ' + data.message;
+            }));
+          }
+          
+          function logout() {
+            fetch('/api/logout', { method: 'POST' })
+              .then(() => { document.getElementById('currentUser').textContent = 'nobody'; });
+          }
+          
+          fetch('/api/user')
+            .then(res => res.ok ? res.json() : null)
+            .then(user => {
+              if (user) {
+                document.getElementById('currentUser').textContent = user.username + ' (' + user.role + ')';
+              }
+            });
+          
+          // Generate and send a signal
+          function generateSignal() {
+            const symbol = document.getElementById('symbolSelect').value;
+            const type = document.getElementById('signalType').value;
+            const priceInput = document.getElementById('priceInput');
+            let price = parseFloat(priceInput.value);
+            
+            // If price is 0 or invalid, use a default price based on the symbol
+            if (!price) {
+              if (symbol === 'EUR/USD') price = 1.09;
+              else if (symbol === 'GBP/JPY') price = 176.50;
+              else if (symbol === 'BTC/USD') price = 60000;
+              else if (symbol === 'XAU/USD') price = 1900;
+              else price = 100;
+              
+              priceInput.value = price;
+            }
+            
+            fetch('/api/signals/generate', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ symbol, type, price })
+            })
+            .then(res => res.json().then(data => {
+              if (!res.ok) {
+                throw new Error(data.message);
+              }
+              return data;
+            }))
+            .then(data => {
+              document.getElementById('signalResult').innerHTML = 
+                '<span style="color: green">✓ Signal sent successfully!</span>';
+              document.getElementById('lastSignal').textContent = 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(err => {
+              document.getElementById('signalResult').innerHTML = 
+                '<span style="color: red">Error: ' + err.message + '</span>';
+            });
+          }
+        </script>
+      </body>
+    </html>
+  `;
+
+// Buttons that call the API and the health check, with what the browser sees of the URL
+export const CONNECTION_TEST_PAGE = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>ICT Silver Bullet - Connection Test</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 2rem;
+          line-height: 1.6;
+          color: #333;
+        }
+        h1 {
+          color: #0066cc;
+          border-bottom: 2px solid #eee;
+          padding-bottom: 10px;
+        }
+        .card {
+          border: 1px solid #ddd;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+          background: #f9f9f9;
+        }
+        .button-group {
+          display: flex;
+          gap: 10px;
+          margin: 15px 0;
+        }
+        button {
+          background: #0066cc;
+          color: white;
+          border: none;
+          padding: 10px 15px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        button:disabled {
+          background: #cccccc;
+          cursor: not-allowed;
+        }
+        .response {
+          margin-top: 20px;
+          white-space: pre-wrap;
+          background: #f0f0f0;
+          padding: 15px;
+          border-radius: 4px;
+          display: none;
+        }
+        .success {
+          color: green;
+          font-weight: bold;
+        }
+        .error {
+          color: red;
+          font-weight: bold;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>ICT Silver Bullet - Connection Tester</h1>
+      <p>This tool helps diagnose connection issues between client and server in the Replit environment.</p>
+      
+      <div class="card">
+        <h2>Account</h2>
+        <p>Signed in as: <span id="currentUser">nobody</span></p>
+        <input id="username" placeholder="Username">
+        <input id="password" type="password" placeholder="Password">
+        <button onclick="account('/api/login')">Log In</button>
+        <button onclick="account('/api/register')">Register</button>
+        <button onclick="logout()">Log Out</button>
+      </div>
+
+      <div class="card">
+        <h2>Test API Connections</h2>
+        <div class="button-group">
+          <button onclick="testDirectApi()">Test Direct API</button>
+          <button onclick="testMarketData()">Test Market Data</button>
+          <button onclick="testAnalysisData()">Test Analysis Data</button>
+        </div>
+        <div id="apiResponse" class="response"></div>
+      </div>
+
+      <div class="card">
+        <h2>Server Health</h2>
+        <div class="button-group">
+          <button onclick="checkHealth()">Check Server Health</button>
+        </div>
+        <div id="healthResponse" class="response"></div>
+      </div>
+
+      <div class="card">
+        <h2>Connection Information</h2>
+        <p>Browser URL: <span id="browserUrl"></span></p>
+        <p>Protocol: <span id="protocol"></span></p>
+        <p>Host: <span id="host"></span></p>
+        <p>Port: <span id="port"></span></p>
+      </div>
+
+      <script>
+        // Display connection information
+        document.getElementById('browserUrl').textContent = window.location.href;
+        document.getElementById('protocol').textContent = window.location.protocol;
+        document.getElementById('host').textContent = window.location.hostname;
+        document.getElementById('port').textContent = window.location.port || '(default)';
+
+        // Log in or register, then show who is signed in
+        function account(path) {
+          fetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              username: document.getElementById('username').value,
+              password: document.getElementById('password').value
+            })
+          })
+          .then(res => res.json().then(data => {
+            document.getElementById('currentUser').textContent = res.ok
+              ? data.username + ' (' + data.role + ')'
+              : 'nobody - ' + data.message;
+          }));
+        }
+
+        function logout() {
+          fetch('/api/logout', { method: 'POST' })
+            .then(() => { document.getElementById('currentUser').textContent = 'nobody'; });
+        }
+
+        fetch('/api/user')
+          .then(res => res.ok ? res.json() : null)
+          .then(user => {
+            if (user) {
+              document.getElementById('currentUser').textContent = user.username + ' (' + user.role + ')';
+            }
+          });
+
+        // Test direct API endpoint
+        function testDirectApi() {
+          const responseEl = document.getElementById('apiResponse');
+          responseEl.style.display = 'block';
+          responseEl.textContent = 'Testing API connection...';
+          responseEl.className = 'response';
+          
+          fetch('/api/test')
+            .then(response => response.json())
+            .then(data => {
+              responseEl.innerHTML = '<span class="success">Success!</span> Direct API test successful:\\n' + 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(error => {
+              responseEl.innerHTML = '<span class="error">Error!</span> ' + error.message;
+            });
+        }
+
+        // Test market data endpoint
+        function testMarketData() {
+          const responseEl = document.getElementById('apiResponse');
+          responseEl.style.display = 'block';
+          responseEl.textContent = 'Fetching market data...';
+          responseEl.className = 'response';
+          
+          fetch('/api/markets')
+            .then(response => response.json())
+            .then(data => {
+              responseEl.innerHTML = '<span class="success">Success!</span> Received market data:\\n' + 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(error => {
+              responseEl.innerHTML = '<span class="error">Error!</span> ' + error.message;
+            });
+        }
+
+        // Test analysis data endpoint
+        function testAnalysisData() {
+          const responseEl = document.getElementById('apiResponse');
+          responseEl.style.display = 'block';
+          responseEl.textContent = 'Fetching market analysis...';
+          responseEl.className = 'response';
+          
+          fetch('/api/analysis')
+            .then(response => response.json())
+            .then(data => {
+              responseEl.innerHTML = '<span class="success">Success!</span> Received analysis data:\\n' + 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(error => {
+              responseEl.innerHTML = '<span class="error">Error!</span> ' + error.message;
+            });
+        }
+
+        // Check server health endpoint
+        function checkHealth() {
+          const responseEl = document.getElementById('healthResponse');
+          responseEl.style.display = 'block';
+          responseEl.textContent = 'Checking server health...';
+          responseEl.className = 'response';
+          
+          fetch('/health')
+            .then(response => response.json())
+            .then(data => {
+              responseEl.innerHTML = '<span class="success">Success!</span> Server health check passed:\\n' + 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(error => {
+              responseEl.innerHTML = '<span class="error">Error!</span> ' + error.message;
+            });
+        }
+      </script>
+    </body>
+    </html>
+  `;
+
+// Live signal frames from the WebSocket, with a button to publish a test signal
+export const WEBSOCKET_TEST_PAGE = `
+    <html>
+      <head>
+        <title>ICT Silver Bullet - WebSocket Test</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; }
+          h1 { color: #0066cc; }
+          pre { background: #f5f5f5; padding: 10px; border-radius: 5px; }
+          .card { border: 1px solid #ddd; padding: 15px; margin: 15px 0; border-radius: 5px; }
+          button { background: #0066cc; color: white; border: none; padding: 8px 15px; border-radius: 4px; cursor: pointer; }
+        </style>
+      </head>
+      <body>
+        <h1>WebSocket Server Test</h1>
+        <div class="card">
+          <p>This is a minimal WebSocket server for testing the ICT Silver Bullet platform.</p>
+          <p>Status: <span id="status">Disconnected</span></p>
+          <p>Connected clients: <span id="clients">0</span></p>
+          <button onclick="sendTestSignal()">Send Test Signal</button>
+        </div>
+        
+        <div class="card">
+          <h3>Messages:</h3>
+          <pre id="messages">No messages yet</pre>
+        </div>
+
+        <script>
+          // Session to resume after a reconnect and the last signal event seen
+          let session = null;
+          let lastEventId = 0;
+          let offeredSession = null;
+          
+          // Connect to WebSocket
+          const connectWs = () => {
+            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            const ws = new WebSocket(\`\${protocol}//\${window.location.host}\`);
+            
+            ws.onopen = () => {
+              document.getElementById('status').textContent = 'Connected';
+              document.getElementById('status').style.color = 'green';
+              console.log('WebSocket connected');
+            };
+            
+            ws.onclose = () => {
+              document.getElementById('status').textContent = 'Disconnected';
+              document.getElementById('status').style.color = 'red';
+              console.log('WebSocket disconnected');
+              setTimeout(connectWs, 2000);
+            };
+            
+            ws.onmessage = (event) => {
+              const msgEl = document.getElementById('messages');
+              try {
+                const data = JSON.parse(event.data);
+                msgEl.textContent = JSON.stringify(data, null, 2);
+                
+                if (data.eventId) {
+                  lastEventId = data.eventId;
+                }
+                if (data.type === 'connection') {
+                  offeredSession = data.session;
+                }
+                if (data.type === 'connection' && session) {
+                  ws.send(JSON.stringify({ v: 1, type: 'resume', session, lastEventId }));
+                } else if (data.type === 'connection' || data.code === 'session_expired') {
+                  session = offeredSession;
+                  ws.send(JSON.stringify({ v: 1, type: 'subscribe', channels: ['signals:*'] }));
+                }
+              } catch (err) {
+                msgEl.textContent = event.data;
+              }
+            };
+            
+            window.currentWs = ws;
+          };
+          
+          // Ask the server to publish a test signal
+          function sendTestSignal() {
+            fetch('/api/test-signal', { method: 'POST' })
+              .catch(err => console.error('Error sending test signal:', err));
+          }
+          
+          // Start connection
+          connectWs();
+          
+          // Fetch client count every 2 seconds
+          setInterval(() => {
+            fetch('/api/stats')
+              .then(res => res.json())
+              .then(data => {
+                document.getElementById('clients').textContent = data.clients;
+              })
+              .catch(err => console.error('Error fetching client count:', err));
+          }, 2000);
+        </script>
+      </body>
+    </html>
+  `;
+
+// Health check only, for when nothing but the HTTP server is running
+export const HEALTH_PAGE = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>ICT Silver Bullet - Test Server</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 2rem;
+          line-height: 1.6;
+          color: #333;
+        }
+        h1 {
+          color: #0066cc;
+          border-bottom: 2px solid #eee;
+          padding-bottom: 10px;
+        }
+        .card {
+          border: 1px solid #ddd;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+          background: #f9f9f9;
+        }
+        button {
+          background: #0066cc;
+          color: white;
+          border: none;
+          padding: 10px 15px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        #response {
+          margin-top: 20px;
+          white-space: pre-wrap;
+          background: #f0f0f0;
+          padding: 15px;
+          border-radius: 4px;
+          display: none;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>ICT Silver Bullet Strategy</h1>
+      <p>This is a test server to verify connectivity in the Replit environment.</p>
+      
+      <div class="card">
+        <h2>Server Health Check</h2>
+        <button onclick="checkHealth()">Test Connection</button>
+        <div id="response"></div>
+      </div>
+
+      <script>
+        function checkHealth() {
+          const responseEl = document.getElementById('response');
+          responseEl.style.display = 'block';
+          responseEl.textContent = 'Checking connection...';
+          
+          fetch('/health')
+            .then(response => response.json())
+            .then(data => {
+              responseEl.textContent = 'Success! Server responded with:\\n' + 
+                JSON.stringify(data, null, 2);
+            })
+            .catch(error => {
+              responseEl.textContent = 'Error: ' + error.message;
+            });
+        }
+      </script>
+    </body>
+    </html>
+  `;
@@ -0,0 +1,221 @@
+// REST routes described with zod. A route registered through the API validates its path
+// parameters, query string and JSON body right before its handler, after any auth
+// middleware, and is listed in the OpenAPI 3 document built by `document()`.
+//
+// A route spec holds:
+//   summary, tags          what the document says about it
+//   params, query, body    zod objects; the parsed values replace req.params, req.query and
+//                          req.body, so defaults and coerced numbers reach the handler
+//   raw                    a content type, such as 'text/csv', whose body is passed through
+//                          as a string instead of being checked against `body`
+//   responses              zod schema of the body per status, or null for an empty response
+//   public                 answers without a user
+// A request that fails validation gets a 400 listing every invalid field:
+//   { message: 'Invalid request', errors: [{ in: 'query', path: 'symbol', message: 'Required' }] }
+// Outside production every JSON response is checked against the schema for its status, so a
+// route that drifts from its documented shape fails with a 500 here rather than in a client.
+import { toJsonSchema } from './json-schema.js';
+import { errorSchema, validationErrorSchema } from './schemas.js';
+
+const METHODS = ['get', 'post', 'patch', 'delete'];
+const LOCATIONS = { params: 'path', query: 'query' };
+
+// Returns { get, post, patch, delete, document }; each method takes (path, spec, ...handlers)
+// like the Express method of the same name
+export function createApi(app, { info, auth = true, validateResponses = false }) {
+  const routes = [];
+
+  function register(method, path, spec, handlers) {
+    const handler = handlers[handlers.length - 1];
+    const middleware = handlers.slice(0, -1);
+
+    routes.push({ method, path, spec });
+    app[method](path, ...middleware, validateRequest(spec), ...(validateResponses ? [checkResponses(spec)] : []), handler);
+  }
+
+  const api = {};
+  METHODS.forEach(method => {
+    api[method] = (path, spec, ...handlers) => register(method, path, spec, handlers);
+  });
+
+  // The OpenAPI document of every route registered so far
+  api.document = () => buildDocument({ info, auth, routes });
+
+  return api;
+}
+
+// Send the structured 400 for errors found outside the route's schemas
+export function sendInvalid(res, errors) {
+  res.status(400).json({ message: 'Invalid request', errors });
+}
+
+function validateRequest(spec) {
+  return (req, res, next) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+      const schema = spec[location];
+      if (!schema || (location === 'body' && spec.raw && typeof req.body === 'string')) {
+        return;
+      }
+
+      const parsed = schema.safeParse(location === 'body' && req.body === undefined ? {} : req[location]);
+      if (parsed.success) {
+        req[location] = parsed.data;
+      } else {
+        parsed.error.issues.forEach(issue => {
+          errors.push({ in: location, path: issue.path.join('.'), message: issue.message });
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return sendInvalid(res, errors);
+    }
+    next();
+  };
+}
+
+function checkResponses(spec) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      // 5xx bodies are the shared error shape and never worth replacing
+      if (res.statusCode >= 500) {
+        return json(body);
+      }
+
+      const schema = getResponseSchema(spec, res.statusCode);
+      const problem = schema === undefined
+        ? [{ path: '', message: `Status ${res.statusCode} is not documented` }]
+        : schema === null ? null : describeIssues(schema.safeParse(body));
+      if (!problem) {
+        return json(body);
+      }
+
+      console.error(`${req.method} ${req.route.path} sent a ${res.statusCode} that does not match its schema:`, problem);
+      return res.status(500).json({ message: 'Response failed validation', errors: problem });
+    };
+    next();
+  };
+}
+
+function describeIssues(result) {
+  if (result.success) {
+    return null;
+  }
+  return result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+}
+
+// The documented body of a status; 400 and 500 are shared by every route
+function getResponseSchema(spec, status) {
+  const responses = spec.responses || {};
+  if (status in responses) {
+    return responses[status];
+  }
+  if (status === 400 && (spec.params || spec.query || spec.body)) {
+    return validationErrorSchema;
+  }
+  if (status >= 500) {
+    return errorSchema;
+  }
+  return undefined;
+}
+
+function buildDocument({ info, auth, routes }) {
+  const paths = {};
+
+  routes.forEach(({ method, path, spec }) => {
+    // Express `:id` is OpenAPI `{id}`
+    const documentPath = path.replace(/:(\w+)/g, '{$1}');
+    const operation = {
+      summary: spec.summary,
+      tags: spec.tags,
+      parameters: [
+        ...toParameters(spec.params, 'params'),
+        ...toParameters(spec.query, 'query')
+      ],
+      responses: {}
+    };
+
+    if (spec.body || spec.raw) {
+      const content = {};
+      if (spec.body) {
+        content['application/json'] = { schema: toJsonSchema(spec.body) };
+      }
+      if (spec.raw) {
+        content[spec.raw] = { schema: { type: 'string' } };
+      }
+      operation.requestBody = { required: true, content };
+    }
+
+    const statuses = [...Object.keys(spec.responses || {}).map(Number), 500];
+    if (spec.params || spec.query || spec.body) {
+      statuses.push(400);
+    }
+    if (auth && !spec.public) {
+      statuses.push(401, 403);
+    }
+    [...new Set(statuses)].sort((a, b) => a - b).forEach(status => {
+      const schema = getResponseSchema(spec, status) || (status === 401 || status === 403 ? errorSchema : null);
+      operation.responses[status] = schema
+        ? { description: describeStatus(status), content: { 'application/json': { schema: toJsonSchema(schema) } } }
+        : { description: describeStatus(status) };
+    });
+
+    if (!auth || spec.public) {
+      operation.security = [];
+    }
+
+    paths[documentPath] = { ...paths[documentPath], [method]: operation };
+  });
+
+  const document = { openapi: '3.0.3', info, paths };
+  if (auth) {
+    document.components = {
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    };
+    document.security = [{ session: [] }, { apiKey: [] }, { bearer: [] }];
+  }
+  return document;
+}
+
+function toParameters(schema, location) {
+  if (!schema) {
+    return [];
+  }
+  return Object.entries(getShape(schema)).map(([name, value]) => {
+    const { description, ...parameterSchema } = toJsonSchema(value);
+    const parameter = { name, in: LOCATIONS[location], required: location === 'params' || !value.isOptional(), schema: parameterSchema };
+    if (description) {
+      parameter.description = description;
+    }
+    return parameter;
+  });
+}
+
+// The fields of an object schema, looking through refinements
+function getShape(schema) {
+  return schema._def.typeName === 'ZodEffects' ? getShape(schema._def.schema) : schema.shape;
+}
+
+function describeStatus(status) {
+  return {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted',
+    204: 'No content',
+    400: 'Invalid request',
+    401: 'Not logged in or invalid API key',
+    403: 'Not allowed',
+    404: 'Not found',
+    409: 'Conflict',
+    422: 'Cannot be processed',
+    500: 'Server error'
+  }[status] || `Status ${status}`;
+}
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { z } from 'zod';
+import { createApi } from './api.js';
+import { errorSchema, idParamsSchema, limitQuerySchema, timeframeSchema } from './schemas.js';
+
+let server;
+let baseUrl;
+let api;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  api = createApi(app, { info: { title: 'Test', version: '1' }, validateResponses: true });
+
+  api.get('/api/items/:id', {
+    summary: 'An item',
+    tags: ['Items'],
+    params: idParamsSchema,
+    query: limitQuerySchema(10, 100),
+    responses: { 200: z.object({ id: z.string(), limit: z.number() }), 404: errorSchema }
+  }, (req, res) => {
+    res.json({ id: req.params.id, limit: req.query.limit });
+  });
+
+  api.post('/api/items', {
+    summary: 'Create an item',
+    tags: ['Items'],
+    public: true,
+    body: z.object({ name: z.string().min(1), timeframe: timeframeSchema.default('M5') }),
+    responses: { 201: z.object({ name: z.string(), timeframe: z.string() }) }
+  }, (req, res) => {
+    res.status(201).json(req.body);
+  });
+
+  // Answers with a shape its schema does not allow
+  api.get('/api/broken', {
+    summary: 'A route that drifted from its schema',
+    tags: ['Items'],
+    responses: { 200: z.object({ count: z.number() }) }
+  }, (req, res) => {
+    res.json({ count: 'many' });
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function request(method, path, body) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('passes parsed and defaulted input to the handler', async () => {
+  assert.deepEqual((await request('GET', '/api/items/a1?limit=25')).body, { id: 'a1', limit: 25 });
+  assert.deepEqual((await request('GET', '/api/items/a1')).body, { id: 'a1', limit: 10 });
+  assert.deepEqual((await request('POST', '/api/items', { name: 'x' })).body, { name: 'x', timeframe: 'M5' });
+});
+
+test('answers invalid query and body input with a 400 listing every field', async () => {
+  const query = await request('GET', '/api/items/a1?limit=1000');
+  assert.equal(query.status, 400);
+  assert.equal(query.body.message, 'Invalid request');
+  assert.deepEqual(query.body.errors.map(error => [error.in, error.path]), [['query', 'limit']]);
+
+  const body = await request('POST', '/api/items', { name: '', timeframe: 'M7' });
+  assert.equal(body.status, 400);
+  assert.deepEqual(body.body.errors.map(error => [error.in, error.path]), [['body', 'name'], ['body', 'timeframe']]);
+});
+
+test('fails responses that do not match their schema', async () => {
+  const response = await request('GET', '/api/broken');
+
+  assert.equal(response.status, 500);
+  assert.equal(response.body.message, 'Response failed validation');
+});
+
+test('documents every route in the OpenAPI document', () => {
+  const document = api.document();
+
+  assert.equal(document.openapi, '3.0.3');
+  assert.deepEqual(Object.keys(document.paths).sort(), ['/api/broken', '/api/items', '/api/items/{id}']);
+
+  const get = document.paths['/api/items/{id}'].get;
+  assert.deepEqual(get.parameters.map(parameter => [parameter.name, parameter.in, parameter.required]), [
+    ['id', 'path', true],
+    ['limit', 'query', false]
+  ]);
+  assert.deepEqual(Object.keys(get.responses), ['200', '400', '401', '403', '404', '500']);
+
+  const post = document.paths['/api/items'].post;
+  assert.ok(post.requestBody.content['application/json'].schema.properties.name);
+  assert.deepEqual(post.security, []);
+  assert.ok(document.components.securitySchemes.apiKey);
+});
@@ -0,0 +1,105 @@
+// zod schemas as OpenAPI 3.0 schema objects, covering the zod types the REST routes use.
+// Refinements and transforms are described by their input schema; anything unsupported
+// becomes `{}`, which accepts any value.
+
+export function toJsonSchema(schema) {
+  const converted = convert(schema);
+  return schema.description ? { ...converted, description: schema.description } : converted;
+}
+
+function convert(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodString':
+      return withChecks({ type: 'string' }, def.checks, {
+        min: check => ({ minLength: check.value }),
+        max: check => ({ maxLength: check.value }),
+        length: check => ({ minLength: check.value, maxLength: check.value }),
+        regex: check => ({ pattern: check.regex.source }),
+        url: () => ({ format: 'uri' }),
+        datetime: () => ({ format: 'date-time' })
+      });
+    case 'ZodNumber': {
+      const integer = def.checks.some(check => check.kind === 'int');
+      return withChecks({ type: integer ? 'integer' : 'number' }, def.checks, {
+        min: check => check.inclusive ? { minimum: check.value } : { minimum: check.value, exclusiveMinimum: true },
+        max: check => check.inclusive ? { maximum: check.value } : { maximum: check.value, exclusiveMaximum: true }
+      });
+    }
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodDate':
+      return { type: 'string', format: 'date-time' };
+    case 'ZodLiteral':
+      return { type: typeof def.value, enum: [def.value] };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodArray': {
+      const array = { type: 'array', items: toJsonSchema(def.type) };
+      if (def.minLength) {
+        array.minItems = def.minLength.value;
+      }
+      if (def.maxLength) {
+        array.maxItems = def.maxLength.value;
+      }
+      return array;
+    }
+    case 'ZodObject':
+      return convertObject(schema);
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: toJsonSchema(def.valueType) };
+    // zod takes the first option that matches, so options may overlap
+    case 'ZodUnion':
+      return { anyOf: def.options.map(toJsonSchema) };
+    case 'ZodDiscriminatedUnion':
+      return { oneOf: [...def.options].map(toJsonSchema) };
+    case 'ZodIntersection':
+      return { allOf: [toJsonSchema(def.left), toJsonSchema(def.right)] };
+    case 'ZodOptional':
+      return toJsonSchema(def.innerType);
+    case 'ZodNullable':
+      return { ...toJsonSchema(def.innerType), nullable: true };
+    case 'ZodDefault':
+      return { ...toJsonSchema(def.innerType), default: def.defaultValue() };
+    case 'ZodCatch':
+    case 'ZodBranded':
+    case 'ZodReadonly':
+      return toJsonSchema(def.innerType || def.type);
+    case 'ZodEffects':
+      return toJsonSchema(def.schema);
+    case 'ZodPipeline':
+      return toJsonSchema(def.in);
+    case 'ZodLazy':
+      return toJsonSchema(def.getter());
+    default:
+      return {};
+  }
+}
+
+function convertObject(schema) {
+  const properties = {};
+  const required = [];
+
+  Object.entries(schema.shape).forEach(([key, value]) => {
+    properties[key] = toJsonSchema(value);
+    if (!value.isOptional()) {
+      required.push(key);
+    }
+  });
+
+  const object = { type: 'object', properties };
+  if (required.length > 0) {
+    object.required = required;
+  }
+  if (schema._def.unknownKeys === 'passthrough') {
+    object.additionalProperties = true;
+  } else if (schema._def.unknownKeys === 'strict') {
+    object.additionalProperties = false;
+  }
+  return object;
+}
+
+function withChecks(base, checks, handlers) {
+  return checks.reduce((result, check) => handlers[check.kind] ? { ...result, ...handlers[check.kind](check) } : result, base);
+}
@@ -0,0 +1,72 @@
+// zod schemas shared by several REST routes; the ones a single module uses live with its routes
+import { z } from 'zod';
+import { ASSET_CLASSES } from '../market-data/instruments.js';
+import { TIMEFRAMES } from '../market-data/timeframes.js';
+import { SIGNAL_STATUSES } from '../signals/lifecycle.js';
+
+export const errorSchema = z.object({ message: z.string() }).passthrough();
+
+export const validationErrorSchema = z.object({
+  message: z.string(),
+  errors: z.array(z.object({
+    in: z.enum(['params', 'query', 'body']),
+    path: z.string(),
+    message: z.string()
+  }))
+});
+
+export const timeframeSchema = z.enum(Object.keys(TIMEFRAMES));
+
+export const marketTypeSchema = z.enum(['all', ...ASSET_CLASSES])
+  .describe('Asset class; `all` is the most active markets or every market, depending on the route');
+
+export const idParamsSchema = z.object({ id: z.string().min(1).max(100) });
+
+// A `limit` query parameter from 1 to max
+export function limitQuerySchema(defaultLimit, max) {
+  return z.object({ limit: z.coerce.number().int().min(1).max(max).default(defaultLimit) });
+}
+
+// A user without the password hash, see auth.js
+export const userSchema = z.object({
+  id: z.string(),
+  username: z.string(),
+  role: z.string(),
+  createdAt: z.string().nullish()
+});
+
+export const candleSchema = z.object({
+  timestamp: z.number(),
+  open: z.number(),
+  high: z.number(),
+  low: z.number(),
+  close: z.number(),
+  volume: z.number().optional()
+}).passthrough();
+
+// Signals as stored; levels and outcomes stay null until the signal has them
+export const signalSchema = z.object({
+  id: z.string(),
+  symbol: z.string(),
+  market: z.string(),
+  type: z.enum(['buy', 'sell']),
+  timeframe: z.string(),
+  status: z.enum(SIGNAL_STATUSES),
+  entryPrice: z.number(),
+  stopLoss: z.number().nullish(),
+  takeProfits: z.array(z.number()).nullish(),
+  riskReward: z.number().nullish(),
+  exitPrice: z.number().nullish(),
+  profitLoss: z.number().nullish(),
+  profitLossR: z.number().nullish(),
+  mae: z.number().nullish(),
+  mfe: z.number().nullish(),
+  inWindow: z.boolean().nullish(),
+  session: z.record(z.unknown()).nullish(),
+  structureBreak: z.record(z.unknown()).nullish(),
+  conditions: z.array(z.object({ rule: z.string(), detail: z.string() }).passthrough()).nullish(),
+  timestamp: z.string(),
+  activatedAt: z.string().nullish(),
+  updatedAt: z.string().nullish(),
+  closedAt: z.string().nullish()
+}).passthrough();
@@ -0,0 +1,5 @@
+// Starts the server the environment configures, see config.js
+import { loadConfig } from './config.js';
+import { startServer } from './app.js';
+
+startServer(loadConfig());
@@ -0,0 +1,63 @@
+// Symbol catalogue in a JSON file, for running without a database. Until the first change the
+// built-in instruments are used; from then on the file holds the whole catalogue and is
+// rewritten on every change, so it can also be edited by hand while the server is stopped.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { DEFAULT_INSTRUMENTS } from '../market-data/instruments.js';
+
+export function createFileInstrumentRepository(file) {
+  let instruments = null;
+
+  function load() {
+    if (!instruments) {
+      instruments = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : DEFAULT_INSTRUMENTS.map(copy);
+    }
+    return instruments;
+  }
+
+  function save() {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(instruments, null, 2));
+  }
+
+  return {
+    async list() {
+      return load().map(copy);
+    },
+
+    async get(symbol) {
+      const instrument = load().find(entry => entry.symbol === symbol);
+      return instrument ? copy(instrument) : null;
+    },
+
+    async create(instrument) {
+      load().push(copy(instrument));
+      save();
+      return copy(instrument);
+    },
+
+    async update(symbol, changes) {
+      const index = load().findIndex(entry => entry.symbol === symbol);
+      if (index === -1) {
+        return null;
+      }
+      instruments[index] = { ...instruments[index], ...changes, symbol };
+      save();
+      return copy(instruments[index]);
+    },
+
+    async remove(symbol) {
+      const count = load().length;
+      instruments = instruments.filter(entry => entry.symbol !== symbol);
+      if (instruments.length === count) {
+        return false;
+      }
+      save();
+      return true;
+    }
+  };
+}
+
+function copy(instrument) {
+  return { ...instrument, tradingHours: instrument.tradingHours && { ...instrument.tradingHours } };
+}
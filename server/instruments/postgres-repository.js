@@ -0,0 +1,69 @@
+// Symbol catalogue on the instruments table in shared/schema.ts, seeded with the built-in
+// instruments when the table is empty
+import { asc, eq, max } from 'drizzle-orm';
+import { getDatabase } from '../db.js';
+import { DEFAULT_INSTRUMENTS } from '../market-data/instruments.js';
+
+export function createPostgresInstrumentRepository(connectionString) {
+  let seeding = null;
+
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    if (!seeding) {
+      seeding = seed(db, schema.instruments).catch(error => {
+        seeding = null;
+        throw error;
+      });
+    }
+    await seeding;
+    return { db, instruments: schema.instruments };
+  }
+
+  return {
+    async list() {
+      const { db, instruments } = await ready();
+      const rows = await db.select().from(instruments).orderBy(asc(instruments.position));
+      return rows.map(fromRow);
+    },
+
+    async get(symbol) {
+      const { db, instruments } = await ready();
+      const [row] = await db.select().from(instruments).where(eq(instruments.symbol, symbol));
+      return row ? fromRow(row) : null;
+    },
+
+    async create(instrument) {
+      const { db, instruments } = await ready();
+      const [{ last }] = await db.select({ last: max(instruments.position) }).from(instruments);
+      const [row] = await db.insert(instruments).values({ ...instrument, position: (last ?? -1) + 1 }).returning();
+      return fromRow(row);
+    },
+
+    async update(symbol, changes) {
+      const { db, instruments } = await ready();
+      const { symbol: ignored, position, ...fields } = changes;
+      const [row] = await db.update(instruments).set(fields).where(eq(instruments.symbol, symbol)).returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async remove(symbol) {
+      const { db, instruments } = await ready();
+      const rows = await db.delete(instruments).where(eq(instruments.symbol, symbol)).returning();
+      return rows.length > 0;
+    }
+  };
+}
+
+async function seed(db, instruments) {
+  const [existing] = await db.select({ symbol: instruments.symbol }).from(instruments).limit(1);
+  if (!existing) {
+    await db.insert(instruments)
+      .values(DEFAULT_INSTRUMENTS.map((instrument, position) => ({ ...instrument, position })))
+      .onConflictDoNothing();
+  }
+}
+
+function fromRow(row) {
+  const { position, ...instrument } = row;
+  return instrument;
+}
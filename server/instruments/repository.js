@@ -0,0 +1,18 @@
+// Picks where the symbol catalogue is stored: Postgres when DATABASE_URL is set, otherwise the
+// JSON file at INSTRUMENTS_FILE (data/instruments.json by default)
+import path from 'path';
+import { createFileInstrumentRepository } from './file-repository.js';
+import { createPostgresInstrumentRepository } from './postgres-repository.js';
+
+// Every repository offers (all async), starting out with the built-in instruments:
+//   list()                    -> instruments in catalogue order
+//   get(symbol)               -> instrument or null
+//   create(instrument)        -> instrument, last in the catalogue
+//   update(symbol, changes)   -> instrument or null
+//   remove(symbol)            -> whether it existed
+export function createInstrumentRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresInstrumentRepository(config.DATABASE_URL);
+  }
+  return createFileInstrumentRepository(config.INSTRUMENTS_FILE || path.resolve('data', 'instruments.json'));
+}
@@ -0,0 +1,206 @@
+// Parsing and validation of OHLCV files exported from brokers (CSV) or from /api/candles (JSON)
+
+const FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+const MAX_REPORTED = 100;
+
+// Options:
+// - columns: header name or zero-based index per field, e.g. { timestamp: 'Date', open: 1 }.
+//   A separate `date` and `time` column pair (MT4 style) may be given instead of `timestamp`.
+// - delimiter: defaults to whatever of , ; or tab appears in the first line
+// - hasHeader: defaults to true
+export function parseCsvCandles(content, options = {}) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { candles: [], errors: [{ row: 0, message: 'File is empty' }] };
+  }
+
+  const delimiter = options.delimiter || detectDelimiter(lines[0]);
+  const hasHeader = options.hasHeader !== false;
+  const header = hasHeader ? splitLine(lines[0], delimiter).map(name => name.trim()) : [];
+  const columns = resolveColumns(header, options.columns || {});
+  const errors = [];
+  const candles = [];
+
+  if (columns.timestamp === undefined && columns.date === undefined) {
+    return { candles: [], errors: [{ row: 0, message: 'No timestamp column found' }] };
+  }
+
+  lines.slice(hasHeader ? 1 : 0).forEach((line, i) => {
+    const row = i + (hasHeader ? 2 : 1);
+    const cells = splitLine(line, delimiter);
+    const raw = {};
+    FIELDS.forEach(field => {
+      raw[field] = columns[field] === undefined ? undefined : cells[columns[field]];
+    });
+    if (columns.timestamp === undefined) {
+      raw.timestamp = `${cells[columns.date]} ${columns.time === undefined ? '' : cells[columns.time]}`.trim();
+    }
+
+    const candle = toCandle(raw, row, errors);
+    if (candle) {
+      candles.push(candle);
+    }
+  });
+
+  return { candles, errors };
+}
+
+// Accepts the array shape /api/candles returns; `time` is accepted for `timestamp`
+export function parseJsonCandles(data) {
+  const errors = [];
+  const candles = [];
+
+  if (!Array.isArray(data)) {
+    return { candles, errors: [{ row: 0, message: 'Expected an array of candles' }] };
+  }
+
+  data.forEach((item, i) => {
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+      report(errors, i + 1, 'Expected a candle object');
+      return;
+    }
+
+    const candle = toCandle({ ...item, timestamp: item.timestamp ?? item.time }, i + 1, errors);
+    if (candle) {
+      candles.push(candle);
+    }
+  });
+
+  return { candles, errors };
+}
+
+// Sorts the candles and reports duplicate timestamps as errors and missing bars as warnings.
+// Gaps over a weekend are expected for FX and are still listed, since only the caller knows.
+export function validateCandles(candles, interval) {
+  const errors = [];
+  const warnings = [];
+  const sorted = [...candles].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i].timestamp - sorted[i - 1].timestamp;
+
+    if (gap === 0) {
+      errors.push({ timestamp: sorted[i].timestamp, message: 'Duplicate timestamp' });
+    } else if (interval && gap > interval) {
+      warnings.push({
+        from: sorted[i - 1].timestamp,
+        to: sorted[i].timestamp,
+        missingBars: Math.round(gap / interval) - 1,
+        message: 'Gap in data'
+      });
+    }
+  }
+
+  return {
+    candles: sorted,
+    errors: errors.slice(0, MAX_REPORTED),
+    warnings: warnings.slice(0, MAX_REPORTED)
+  };
+}
+
+function toCandle(raw, row, errors) {
+  const timestamp = parseTimestamp(raw.timestamp);
+  const candle = {
+    timestamp,
+    open: parseFloat(raw.open),
+    high: parseFloat(raw.high),
+    close: parseFloat(raw.close),
+    low: parseFloat(raw.low),
+    volume: raw.volume === undefined || raw.volume === '' ? 0 : parseFloat(raw.volume)
+  };
+
+  const invalid = FIELDS.filter(field => Number.isNaN(candle[field]));
+  if (invalid.length > 0) {
+    report(errors, row, `Invalid ${invalid.join(', ')}`);
+    return null;
+  }
+  if (candle.high < candle.low) {
+    report(errors, row, 'High is below low');
+    return null;
+  }
+  if (Math.max(candle.open, candle.close) > candle.high || Math.min(candle.open, candle.close) < candle.low) {
+    report(errors, row, 'Open or close is outside the high-low range');
+    return null;
+  }
+
+  return candle;
+}
+
+function report(errors, row, message) {
+  if (errors.length < MAX_REPORTED) {
+    errors.push({ row, message });
+  }
+}
+
+// Numbers below 1e12 are taken as Unix seconds, anything else as milliseconds.
+// Dates without a zone are read as UTC; MT4's 2024.01.02 date format is accepted.
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return NaN;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseTimestamp(Number(text));
+  }
+
+  const normalized = text.replace(/^(\d{4})\.(\d{2})\.(\d{2})/, '$1-$2-$3').replace(' ', 'T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(normalized);
+  return Date.parse(hasZone ? normalized : `${normalized}Z`);
+}
+
+function detectDelimiter(line) {
+  if (line.includes('\t')) {
+    return '\t';
+  }
+  return line.includes(';') && !line.includes(',') ? ';' : ',';
+}
+
+function splitLine(line, delimiter) {
+  return line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+// Map each field to a column index, by explicit option or by a case-insensitive header match
+function resolveColumns(header, mapping) {
+  const columns = {};
+  const lowerHeader = header.map(name => name.toLowerCase());
+
+  [...FIELDS, 'date', 'time'].forEach(field => {
+    const wanted = mapping[field];
+    if (typeof wanted === 'number') {
+      columns[field] = wanted;
+      return;
+    }
+
+    const index = lowerHeader.indexOf(String(wanted || field).toLowerCase());
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  // A file with separate date and time columns has no single timestamp column
+  if (columns.timestamp === undefined && columns.date === undefined) {
+    const index = lowerHeader.findIndex(name => name === 'time' || name === 'datetime');
+    if (index !== -1) {
+      columns.timestamp = index;
+      delete columns.time;
+    }
+  }
+
+  return columns;
+}
+
+// Column mapping given as text, e.g. "timestamp:Date,open:Open" or "open:1,high:2"
+export function parseColumnMapping(text) {
+  const mapping = {};
+
+  (text || '').split(',').filter(Boolean).forEach(pair => {
+    const [field, column] = pair.split(':').map(part => part.trim());
+    mapping[field] = /^\d+$/.test(column) ? Number(column) : column;
+  });
+
+  return mapping;
+}
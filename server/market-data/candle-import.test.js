@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvCandles, parseJsonCandles, validateCandles } from './candle-import.js';
+
+const MINUTE = 60000;
+const JAN_2 = Date.UTC(2024, 0, 2);
+
+test('detects comma, semicolon and tab delimiters', () => {
+  ['Time,Open,High,Low,Close,Volume\n2024-01-02 00:00,1.1,1.2,1.0,1.15,10',
+    'Time;Open;High;Low;Close;Volume\n2024-01-02 00:00;1.1;1.2;1.0;1.15;10',
+    'Time\tOpen\tHigh\tLow\tClose\tVolume\n2024-01-02 00:00\t1.1\t1.2\t1.0\t1.15\t10'].forEach(content => {
+    const { candles, errors } = parseCsvCandles(content);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(candles, [{ timestamp: JAN_2, open: 1.1, high: 1.2, low: 1.0, close: 1.15, volume: 10 }]);
+  });
+});
+
+test('joins MT4 split date and time columns', () => {
+  const { candles, errors } = parseCsvCandles([
+    'Date,Time,Open,High,Low,Close,Volume',
+    '2024.01.02,00:01,1.1,1.2,1.0,1.15,10'
+  ].join('\n'));
+
+  assert.deepEqual(errors, []);
+  assert.equal(candles[0].timestamp, JAN_2 + MINUTE);
+});
+
+test('reads timestamps below 1e12 as seconds and the rest as milliseconds', () => {
+  const { candles } = parseJsonCandles([
+    { timestamp: JAN_2 / 1000, open: 1, high: 2, low: 0.5, close: 1.5 },
+    { timestamp: JAN_2 + MINUTE, open: 1, high: 2, low: 0.5, close: 1.5 },
+    { time: String((JAN_2 + 2 * MINUTE) / 1000), open: 1, high: 2, low: 0.5, close: 1.5 }
+  ]);
+
+  assert.deepEqual(candles.map(candle => candle.timestamp), [JAN_2, JAN_2 + MINUTE, JAN_2 + 2 * MINUTE]);
+  assert.equal(candles[0].volume, 0);
+});
+
+test('rejects rows whose prices do not fit inside the high-low range', () => {
+  const { candles, errors } = parseCsvCandles([
+    'Time,Open,High,Low,Close',
+    '2024-01-02 00:00,1.1,1.0,1.2,1.1',
+    '2024-01-02 00:01,1.3,1.2,1.0,1.1',
+    '2024-01-02 00:02,abc,1.2,1.0,1.1'
+  ].join('\n'));
+
+  assert.equal(candles.length, 0);
+  assert.deepEqual(errors, [
+    { row: 2, message: 'High is below low' },
+    { row: 3, message: 'Open or close is outside the high-low range' },
+    { row: 4, message: 'Invalid open' }
+  ]);
+});
+
+test('reports rows that are not candle objects', () => {
+  const { candles, errors } = parseJsonCandles([null, 5, { timestamp: JAN_2, open: 1, high: 2, low: 0.5, close: 1.5 }]);
+
+  assert.equal(candles.length, 1);
+  assert.deepEqual(errors, [
+    { row: 1, message: 'Expected a candle object' },
+    { row: 2, message: 'Expected a candle object' }
+  ]);
+  assert.deepEqual(parseJsonCandles({}).errors, [{ row: 0, message: 'Expected an array of candles' }]);
+});
+
+test('sorts candles and reports duplicate timestamps and gaps', () => {
+  const candle = timestamp => ({ timestamp, open: 1, high: 1, low: 1, close: 1, volume: 0 });
+  const { candles, errors, warnings } = validateCandles([
+    candle(JAN_2 + 4 * MINUTE),
+    candle(JAN_2),
+    candle(JAN_2 + MINUTE),
+    candle(JAN_2)
+  ], MINUTE);
+
+  assert.deepEqual(candles.map(entry => entry.timestamp), [JAN_2, JAN_2, JAN_2 + MINUTE, JAN_2 + 4 * MINUTE]);
+  assert.deepEqual(errors, [{ timestamp: JAN_2, message: 'Duplicate timestamp' }]);
+  assert.deepEqual(warnings, [{ from: JAN_2 + MINUTE, to: JAN_2 + 4 * MINUTE, missingBars: 2, message: 'Gap in data' }]);
+});
@@ -0,0 +1,142 @@
+// Imported candles, kept per symbol and timeframe as JSON files under CANDLE_DATA_DIR
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+import { listInstruments } from './instruments.js';
+import { getDayStart, resampleCandles } from './resample.js';
+
+const dataDir = process.env.CANDLE_DATA_DIR || path.resolve('data', 'candles');
+const cache = new Map();
+// Series resampled from M1, remembered with the M1 series they were built from
+const resampled = new Map();
+// The stored series as { symbol, timeframe } pairs. Only saveCandles writes to the
+// directory, so it is read once and kept up to date from there.
+let stored = null;
+
+// The symbol is URI encoded, so neither its '/' nor anything else in it can be confused
+// with the '_' before the timeframe
+function getFileName(symbol, timeframe) {
+  return `${encodeURIComponent(symbol)}_${timeframe}.json`;
+}
+
+function parseFileName(name) {
+  const separator = name.lastIndexOf('_');
+  if (!name.endsWith('.json') || separator === -1) {
+    return null;
+  }
+
+  try {
+    return {
+      symbol: decodeURIComponent(name.slice(0, separator)),
+      timeframe: name.slice(separator + 1, -'.json'.length)
+    };
+  } catch {
+    return null;
+  }
+}
+
+function getFile(symbol, timeframe) {
+  return path.join(dataDir, getFileName(symbol, timeframe));
+}
+
+function getStoredSeries() {
+  if (!stored) {
+    stored = new Map();
+    if (existsSync(dataDir)) {
+      renameLegacyFiles();
+      readdirSync(dataDir).forEach(name => {
+        const series = parseFileName(name);
+        if (series) {
+          stored.set(name, series);
+        }
+      });
+    }
+  }
+  return stored;
+}
+
+// Files written before the symbol was encoded are named EUR-USD_M1.json. The name alone
+// cannot be split back reliably, so catalogue symbols are matched against it instead.
+function renameLegacyFiles() {
+  const names = readdirSync(dataDir);
+
+  listInstruments()
+    .filter(({ symbol }) => symbol.includes('/'))
+    .forEach(({ symbol }) => {
+      const prefix = `${symbol.replace('/', '-')}_`;
+
+      names
+        .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+        .forEach(name => {
+          const target = getFileName(symbol, name.slice(prefix.length, -'.json'.length));
+          if (!names.includes(target)) {
+            renameSync(path.join(dataDir, name), path.join(dataDir, target));
+          }
+        });
+    });
+}
+
+export function loadCandles(symbol, timeframe) {
+  const name = getFileName(symbol, timeframe);
+  const file = path.join(dataDir, name);
+
+  if (!cache.has(file)) {
+    cache.set(file, getStoredSeries().has(name) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+  }
+
+  return cache.get(file);
+}
+
+// Candles are merged into what is already stored; imported bars replace stored bars
+// with the same timestamp unless `replace` is set, which drops the stored series first
+export function saveCandles(symbol, timeframe, candles, options = {}) {
+  const existing = options.replace ? [] : loadCandles(symbol, timeframe) || [];
+  const byTimestamp = new Map(existing.map(candle => [candle.timestamp, candle]));
+  candles.forEach(candle => byTimestamp.set(candle.timestamp, candle));
+
+  const merged = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+  const file = getFile(symbol, timeframe);
+
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(file, JSON.stringify(merged));
+  cache.set(file, merged);
+  getStoredSeries().set(getFileName(symbol, timeframe), { symbol, timeframe });
+
+  return merged;
+}
+
+export function listStoredCandles() {
+  return [...getStoredSeries().values()].map(({ symbol, timeframe }) => {
+    const candles = loadCandles(symbol, timeframe);
+
+    return {
+      symbol,
+      timeframe,
+      count: candles.length,
+      from: candles.length > 0 ? candles[0].timestamp : null,
+      to: candles.length > 0 ? candles[candles.length - 1].timestamp : null
+    };
+  });
+}
+
+// The stored series for the timeframe, or one resampled from the stored M1 series.
+// The resampled series is rebuilt only once the M1 series or the symbol's day start changes.
+export function loadCandlesForTimeframe(symbol, timeframe) {
+  const candles = loadCandles(symbol, timeframe);
+  if (candles || timeframe === 'M1') {
+    return candles;
+  }
+
+  const minutes = loadCandles(symbol, 'M1');
+  if (!minutes) {
+    return null;
+  }
+
+  const key = getFileName(symbol, timeframe);
+  const dayStart = getDayStart(symbol);
+  const entry = resampled.get(key);
+
+  if (!entry || entry.minutes !== minutes || entry.dayStart !== dayStart) {
+    resampled.set(key, { minutes, dayStart, candles: resampleCandles(minutes, timeframe, { dayStart }) });
+  }
+  return resampled.get(key).candles;
+}
@@ -0,0 +1,54 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const MINUTE = 60000;
+const dataDir = mkdtempSync(path.join(tmpdir(), 'candles-'));
+process.env.CANDLE_DATA_DIR = dataDir;
+after(() => rmSync(dataDir, { recursive: true }));
+
+function minutes(count, start = Date.UTC(2026, 2, 10, 14)) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: start + i * MINUTE,
+    open: 1 + i,
+    high: 1.5 + i,
+    low: 0.5 + i,
+    close: 1 + i,
+    volume: 1
+  }));
+}
+
+// Written in the old naming before the store first reads the directory
+writeFileSync(path.join(dataDir, 'EUR-USD_M1.json'), JSON.stringify(minutes(3)));
+
+const { listStoredCandles, loadCandles, loadCandlesForTimeframe, saveCandles } = await import('./candle-store.js');
+
+test('renames files from the old naming and keeps their candles', () => {
+  assert.equal(loadCandles('EUR/USD', 'M1').length, 3);
+  assert.ok(readdirSync(dataDir).includes('EUR%2FUSD_M1.json'));
+  assert.ok(!readdirSync(dataDir).includes('EUR-USD_M1.json'));
+});
+
+test('lists symbols containing dashes and underscores under their own names', () => {
+  saveCandles('US_500', 'H1', minutes(2));
+  saveCandles('BTC-PERP/USD', 'M5', minutes(4));
+
+  const listed = listStoredCandles().map(series => `${series.symbol} ${series.timeframe} ${series.count}`).sort();
+  assert.deepEqual(listed, ['BTC-PERP/USD M5 4', 'EUR/USD M1 3', 'US_500 H1 2']);
+  assert.equal(loadCandles('US_500', 'H1').length, 2);
+});
+
+test('resamples from M1 once and again only after the M1 series changes', () => {
+  saveCandles('GBP/USD', 'M1', minutes(30));
+
+  const first = loadCandlesForTimeframe('GBP/USD', 'M15');
+  assert.equal(first.length, 2);
+  assert.equal(loadCandlesForTimeframe('GBP/USD', 'M15'), first);
+
+  saveCandles('GBP/USD', 'M1', minutes(15, Date.UTC(2026, 2, 10, 14, 30)));
+  const updated = loadCandlesForTimeframe('GBP/USD', 'M15');
+  assert.notEqual(updated, first);
+  assert.equal(updated.length, 3);
+});
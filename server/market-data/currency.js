@@ -0,0 +1,39 @@
+// Currency conversion at live prices, for P/L and risk in an account currency
+import { getReferencePair } from './instruments.js';
+
+// Currency every other one can be crossed through when there is no direct pair
+const CROSS_CURRENCY = 'USD';
+
+// Units of `to` per unit of `from` from the feed's `<from>/<to>` or `<to>/<from>` price, or
+// through USD when neither is quoted; null when the feed has no way to convert
+export function getConversionRate(from, to, getPrice) {
+  if (from === to) {
+    return 1;
+  }
+
+  const direct = getDirectRate(from, to, getPrice);
+  if (direct !== null || from === CROSS_CURRENCY || to === CROSS_CURRENCY) {
+    return direct;
+  }
+
+  const toCross = getDirectRate(from, CROSS_CURRENCY, getPrice);
+  const fromCross = getDirectRate(CROSS_CURRENCY, to, getPrice);
+  return toCross !== null && fromCross !== null ? toCross * fromCross : null;
+}
+
+function getDirectRate(from, to, getPrice) {
+  const price = getPrice(`${from}/${to}`);
+  if (price) {
+    return price;
+  }
+  const inverse = getPrice(`${to}/${from}`);
+  return inverse ? 1 / inverse : null;
+}
+
+// getPrice for getConversionRate limited to the symbols the provider lists and the reference
+// pairs, since providers may price symbols they do not really quote
+export function createPriceLookup(marketData) {
+  return pair => marketData.getSymbols().some(entry => entry.symbol === pair) || getReferencePair(pair)
+    ? marketData.getPrice(pair)
+    : null;
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPriceLookup, getConversionRate } from './currency.js';
+import { createSimulatedProvider } from './simulated-provider.js';
+
+const PRICES = { 'EUR/USD': 1.1, 'USD/JPY': 150, 'GBP/JPY': 190 };
+const getPrice = pair => PRICES[pair] || null;
+
+test('converts directly, through the inverse pair or crossed through USD', () => {
+  assert.equal(getConversionRate('JPY', 'JPY', getPrice), 1);
+  assert.equal(getConversionRate('EUR', 'USD', getPrice), 1.1);
+  assert.equal(getConversionRate('JPY', 'USD', getPrice), 1 / 150);
+  assert.equal(getConversionRate('JPY', 'EUR', getPrice), 1 / 150 / 1.1);
+  assert.equal(getConversionRate('CAD', 'USD', getPrice), null);
+});
+
+test('prices reference pairs that are not listed, and only those', () => {
+  const provider = createSimulatedProvider({ seed: 1 });
+  const lookup = createPriceLookup(provider);
+
+  assert.ok(!provider.getSymbols().some(entry => entry.symbol === 'USD/JPY'));
+  assert.ok(lookup('USD/JPY') > 0);
+  assert.ok(lookup('GBP/USD') > 0);
+  assert.equal(lookup('USD/SEK'), null);
+});
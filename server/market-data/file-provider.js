@@ -0,0 +1,70 @@
+// Market data served only from the imported candle files, for running on real broker data.
+// Only catalogue instruments are offered; files of other symbols are ignored.
+import { getInstrument, listInstruments } from './instruments.js';
+import { loadCandles, loadCandlesForTimeframe, listStoredCandles } from './candle-store.js';
+import { getTimeframeInterval } from './timeframes.js';
+
+const TICK_INTERVAL = 1000;
+
+export function createFileProvider() {
+  // The last bar of the series that runs latest gives the most recent price. Bars are stamped
+  // with their open, so series are compared on when their last bar ends, and on a tie the
+  // finest timeframe wins as its close is the latest price within that bar.
+  function getLatestCandle(symbol) {
+    const latest = listStoredCandles()
+      .filter(series => series.symbol === symbol && series.count > 0)
+      .sort((a, b) => getEnd(b) - getEnd(a) || getTimeframeInterval(a.timeframe) - getTimeframeInterval(b.timeframe))[0];
+
+    if (!latest) {
+      return null;
+    }
+    const candles = loadCandles(symbol, latest.timeframe);
+    return candles[candles.length - 1];
+  }
+
+  return {
+    name: 'file',
+
+    getSymbols() {
+      const stored = new Set(listStoredCandles().map(series => series.symbol));
+
+      return listInstruments()
+        .filter(instrument => stored.has(instrument.symbol))
+        .map(({ symbol, name, market }) => ({ symbol, name, market }));
+    },
+
+    getCandles(symbol, timeframe, range = {}) {
+      if (!getInstrument(symbol)) {
+        return [];
+      }
+
+      let candles = loadCandlesForTimeframe(symbol, timeframe) || [];
+
+      if (range.end) {
+        candles = candles.filter(candle => candle.timestamp < range.end);
+      }
+      return range.count ? candles.slice(-range.count) : candles;
+    },
+
+    getPrice(symbol) {
+      const candle = getInstrument(symbol) ? getLatestCandle(symbol) : null;
+      return candle ? candle.close : null;
+    },
+
+    // Files do not move, so ticks repeat the last stored close
+    subscribeTicks(symbol, onTick) {
+      const timer = setInterval(() => {
+        const candle = getLatestCandle(symbol);
+        if (candle) {
+          onTick({ symbol, price: candle.close, timestamp: Date.now() });
+        }
+      }, TICK_INTERVAL);
+
+      return () => clearInterval(timer);
+    }
+  };
+}
+
+function getEnd(series) {
+  return series.to + getTimeframeInterval(series.timeframe);
+}
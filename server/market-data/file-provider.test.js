@@ -0,0 +1,38 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2026, 2, 10, 14);
+const dataDir = mkdtempSync(path.join(tmpdir(), 'file-provider-'));
+process.env.CANDLE_DATA_DIR = dataDir;
+after(() => rmSync(dataDir, { recursive: true }));
+
+// The store reads CANDLE_DATA_DIR when it is first imported
+const { saveCandles } = await import('./candle-store.js');
+const { createFileProvider } = await import('./file-provider.js');
+
+function bars(count, interval, firstClose) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = firstClose + i;
+    return { timestamp: START + i * interval, open: close, high: close + 0.5, low: close - 0.5, close, volume: 1 };
+  });
+}
+
+test('prices from the stored series whose last bar ends latest', () => {
+  // Minutes up to 14:03 and an hour bar running to 15:00
+  saveCandles('EUR/USD', 'M1', bars(3, MINUTE, 1));
+  saveCandles('EUR/USD', 'H1', bars(1, HOUR, 50));
+
+  assert.equal(createFileProvider().getPrice('EUR/USD'), 50);
+});
+
+test('prefers the finer series when both end with the same bar', () => {
+  // Minutes up to 15:00 end with the hour bar
+  saveCandles('EUR/USD', 'M1', bars(60, MINUTE, 1), { replace: true });
+
+  assert.equal(createFileProvider().getPrice('EUR/USD'), 60);
+});
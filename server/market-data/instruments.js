@@ -0,0 +1,164 @@
+// The symbol catalogue: every instrument the platform knows about. The catalogue is stored in
+// Postgres or a JSON file (see instruments/repository.js) and loaded here, so lookups stay
+// synchronous; the admin routes in modules/market-data.js change both.
+//
+// An instrument holds:
+//   symbol, name                  e.g. 'EUR/USD', 'Euro / US Dollar'
+//   market                        asset class, one of ASSET_CLASSES
+//   baseCurrency, quoteCurrency   prices are quoted in quoteCurrency per unit of the instrument
+//   pipSize                       price move called a pip (a point for crypto and commodities)
+//   tickSize                      smallest price increment
+//   precision                     decimals prices are shown with
+//   contractSize                  units in one standard lot
+//   minLot, lotStep               smallest tradable size, and the step sizes are rounded down to
+//   timeZone                      session time zone, one of TIME_ZONES: daily bars start at the
+//                                 17:00 New York close or at midnight UTC
+//   tradingHours                  { open: 'Sun 17:00', close: 'Fri 17:00' } in timeZone, on the
+//                                 hour or half hour, or null to trade around the clock
+//   basePrice, volatility         what the simulated provider draws prices around; instruments
+//                                 without them have no simulated prices
+import { getNewYorkTime } from '../analysis/sessions.js';
+
+export const ASSET_CLASSES = ['forex', 'crypto', 'commodities', 'indices'];
+
+// The time zones daily bars can be resampled in, see resample.js
+export const TIME_ZONES = ['America/New_York', 'UTC'];
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FOREX_HOURS = { open: 'Sun 17:00', close: 'Fri 17:00' };
+const FOREX_LOTS = { contractSize: 100000, minLot: 0.01, lotStep: 0.01 };
+
+export const DEFAULT_INSTRUMENTS = [
+  {
+    symbol: 'EUR/USD', name: 'Euro / US Dollar', market: 'forex', baseCurrency: 'EUR', quoteCurrency: 'USD',
+    pipSize: 0.0001, tickSize: 0.00001, precision: 5, ...FOREX_LOTS,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 1.09, volatility: 0.005
+  },
+  {
+    symbol: 'GBP/JPY', name: 'British Pound / Japanese Yen', market: 'forex', baseCurrency: 'GBP', quoteCurrency: 'JPY',
+    pipSize: 0.01, tickSize: 0.001, precision: 3, ...FOREX_LOTS,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 176.50, volatility: 0.005
+  },
+  {
+    symbol: 'USD/CAD', name: 'US Dollar / Canadian Dollar', market: 'forex', baseCurrency: 'USD', quoteCurrency: 'CAD',
+    pipSize: 0.0001, tickSize: 0.00001, precision: 5, ...FOREX_LOTS,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 1.35, volatility: 0.005
+  },
+  {
+    symbol: 'AUD/USD', name: 'Australian Dollar / US Dollar', market: 'forex', baseCurrency: 'AUD', quoteCurrency: 'USD',
+    pipSize: 0.0001, tickSize: 0.00001, precision: 5, ...FOREX_LOTS,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 0.65, volatility: 0.005
+  },
+  {
+    symbol: 'BTC/USD', name: 'Bitcoin / US Dollar', market: 'crypto', baseCurrency: 'BTC', quoteCurrency: 'USD',
+    pipSize: 1, tickSize: 0.01, precision: 2, contractSize: 1, minLot: 0.001, lotStep: 0.001,
+    timeZone: 'UTC', tradingHours: null, basePrice: 60000, volatility: 0.02
+  },
+  {
+    symbol: 'ETH/USD', name: 'Ethereum / US Dollar', market: 'crypto', baseCurrency: 'ETH', quoteCurrency: 'USD',
+    pipSize: 0.1, tickSize: 0.01, precision: 2, contractSize: 1, minLot: 0.01, lotStep: 0.01,
+    timeZone: 'UTC', tradingHours: null, basePrice: 2500, volatility: 0.02
+  },
+  // Troy ounces and barrels per lot
+  {
+    symbol: 'XAU/USD', name: 'Gold / US Dollar', market: 'commodities', baseCurrency: 'XAU', quoteCurrency: 'USD',
+    pipSize: 0.1, tickSize: 0.01, precision: 2, contractSize: 100, minLot: 0.01, lotStep: 0.01,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 1900, volatility: 0.01
+  },
+  {
+    symbol: 'OIL/USD', name: 'Crude Oil / US Dollar', market: 'commodities', baseCurrency: 'OIL', quoteCurrency: 'USD',
+    pipSize: 0.01, tickSize: 0.01, precision: 2, contractSize: 1000, minLot: 0.01, lotStep: 0.01,
+    timeZone: 'America/New_York', tradingHours: FOREX_HOURS, basePrice: 75, volatility: 0.01
+  }
+];
+
+// Pairs that are never listed or traded, only priced, so P/L and risk on crosses such as GBP/JPY
+// convert into the usual account currencies (see currency.js). A catalogue instrument with the
+// same symbol takes their place.
+export const REFERENCE_PAIRS = [
+  { symbol: 'GBP/USD', baseCurrency: 'GBP', quoteCurrency: 'USD', basePrice: 1.27 },
+  { symbol: 'USD/JPY', baseCurrency: 'USD', quoteCurrency: 'JPY', basePrice: 139 },
+  { symbol: 'EUR/GBP', baseCurrency: 'EUR', quoteCurrency: 'GBP', basePrice: 0.86 },
+  { symbol: 'USD/CHF', baseCurrency: 'USD', quoteCurrency: 'CHF', basePrice: 0.88 },
+  { symbol: 'NZD/USD', baseCurrency: 'NZD', quoteCurrency: 'USD', basePrice: 0.6 }
+].map(pair => ({ ...pair, name: pair.symbol, timeZone: 'America/New_York', tradingHours: FOREX_HOURS, volatility: 0.005 }));
+
+let instruments = DEFAULT_INSTRUMENTS;
+const listeners = [];
+
+export function getInstrument(symbol) {
+  return instruments.find(instrument => instrument.symbol === symbol) || null;
+}
+
+// The catalogue in order, or the instruments of one asset class
+export function listInstruments(market) {
+  return market ? instruments.filter(instrument => instrument.market === market) : instruments.slice();
+}
+
+export function getReferencePair(symbol) {
+  return REFERENCE_PAIRS.find(pair => pair.symbol === symbol) || null;
+}
+
+export function getMarketName(symbol) {
+  const instrument = getInstrument(symbol);
+  return instrument ? instrument.name : symbol;
+}
+
+// Symbols of one asset class out of a provider's symbol list
+export function getMarketSymbols(symbols, market) {
+  return symbols.filter(entry => entry.market === market).map(entry => entry.symbol);
+}
+
+// Replace the catalogue, e.g. with what the repository holds
+export function setInstruments(list) {
+  instruments = list.slice();
+  listeners.forEach(listener => listener());
+}
+
+// Add an instrument, or replace the one with the same symbol in place
+export function putInstrument(instrument) {
+  const index = instruments.findIndex(entry => entry.symbol === instrument.symbol);
+  setInstruments(index === -1
+    ? [...instruments, instrument]
+    : instruments.map((entry, i) => i === index ? instrument : entry));
+}
+
+export function deleteInstrument(symbol) {
+  setInstruments(instruments.filter(instrument => instrument.symbol !== symbol));
+}
+
+// Called after every change to the catalogue
+export function onInstrumentsChange(listener) {
+  listeners.push(listener);
+}
+
+// Whether an instrument trades at a moment, by its trading hours
+export function isInstrumentOpen(instrument, timestamp) {
+  if (!instrument.tradingHours) {
+    return true;
+  }
+
+  const open = toWeekMinutes(instrument.tradingHours.open);
+  const close = toWeekMinutes(instrument.tradingHours.close);
+  const now = getWeekMinutes(timestamp, instrument.timeZone);
+
+  // One session a week, which wraps past Saturday midnight when it opens later in the week
+  // than it closes
+  return open < close ? now >= open && now < close : now >= open || now < close;
+}
+
+function toWeekMinutes(time) {
+  const [day, clock] = time.split(' ');
+  const [hours, minutes] = clock.split(':').map(Number);
+  return WEEKDAYS.indexOf(day) * 24 * 60 + hours * 60 + minutes;
+}
+
+function getWeekMinutes(timestamp, timeZone) {
+  if (timeZone === 'UTC') {
+    const date = new Date(timestamp);
+    return date.getUTCDay() * 24 * 60 + date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const time = getNewYorkTime(timestamp);
+  return time.weekday * 24 * 60 + time.hour * 60 + time.minute;
+}
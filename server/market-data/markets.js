@@ -0,0 +1,84 @@
+// The provider's symbols grouped by asset class, the most active markets and the candles the
+// analysis runs on. The arrays are updated in place when the symbol catalogue changes, so
+// everything holding on to them (the WebSocket hub, webhooks, paper trading) sees added and
+// removed symbols.
+import { createActivityRanking } from '../analysis/activity-ranking.js';
+import { ASSET_CLASSES, getMarketSymbols, onInstrumentsChange } from './instruments.js';
+import { loadCandlesForTimeframe } from './candle-store.js';
+
+const DEFAULT_MOST_ACTIVE_COUNT = 3;
+
+// Options:
+// - windows, setupTimeframe, activityWeights: how markets are ranked, see activity-ranking.js
+// - mostActiveCount: how many of the most active markets routes show for `market=all`
+export function createMarkets(marketData, options = {}) {
+  const byClass = Object.fromEntries(ASSET_CLASSES.map(market => [market, []]));
+  const listeners = [];
+  const mostActiveCount = options.mostActiveCount || DEFAULT_MOST_ACTIVE_COUNT;
+
+  const markets = {
+    symbols: [],
+    ...byClass,
+    // Every market
+    all: [],
+
+    // The markets of an asset class, or `fallback` for 'all' and anything else
+    select(marketType, fallback) {
+      return byClass[marketType] || fallback;
+    },
+
+    // Every market with its activity measures and score, highest `sort` first
+    rankByActivity(sort) {
+      return ranking.rank(sort);
+    },
+
+    // The `limit` most active markets
+    getMostActive(limit = mostActiveCount, sort = 'score') {
+      return ranking.rank(sort).slice(0, limit).map(entry => entry.symbol);
+    },
+
+    // The markets of an asset class, or the most active ones for 'all' and anything else
+    selectMostActive(marketType) {
+      return byClass[marketType] || markets.getMostActive();
+    },
+
+    // Imported candles when there are any for the symbol, resampled from imported M1 candles
+    // if that timeframe was not imported itself, otherwise the provider's
+    getCandles(symbol, timeframe) {
+      return loadCandlesForTimeframe(symbol, timeframe) || marketData.getCandles(symbol, timeframe);
+    },
+
+    // Called after the symbols changed
+    onChange(listener) {
+      listeners.push(listener);
+    }
+  };
+
+  function refresh() {
+    const entries = marketData.getSymbols();
+    replace(markets.symbols, entries.map(entry => entry.symbol));
+    ASSET_CLASSES.forEach(market => replace(byClass[market], getMarketSymbols(entries, market)));
+    replace(markets.all, ASSET_CLASSES.flatMap(market => byClass[market]));
+    ranking.clear();
+  }
+
+  const ranking = createActivityRanking({
+    getSymbols: () => markets.all,
+    getCandles: markets.getCandles,
+    windows: options.windows,
+    setupTimeframe: options.setupTimeframe || 'M5',
+    weights: options.activityWeights
+  });
+
+  refresh();
+  onInstrumentsChange(() => {
+    refresh();
+    listeners.forEach(listener => listener());
+  });
+
+  return markets;
+}
+
+function replace(array, items) {
+  array.splice(0, array.length, ...items);
+}
@@ -0,0 +1,25 @@
+// Picks the market data provider from configuration:
+//   MARKET_DATA_PROVIDER  'simulated' (default) or 'file'
+//   MARKET_DATA_SEED      seed for the simulated provider
+import { createSimulatedProvider } from './simulated-provider.js';
+import { createFileProvider } from './file-provider.js';
+
+// Every provider offers:
+//   name
+//   getSymbols()                           -> [{ symbol, name, market }]
+//   getCandles(symbol, timeframe, range)   -> closed candles, oldest first; range is { count, end }
+//   getPrice(symbol)                       -> latest price, or null when there is none; the
+//                                             REFERENCE_PAIRS in instruments.js where it can
+//   subscribeTicks(symbol, onTick)         -> function that stops the ticks
+export function createMarketDataProvider(config = process.env) {
+  const name = config.MARKET_DATA_PROVIDER || 'simulated';
+
+  switch (name) {
+    case 'simulated':
+      return createSimulatedProvider({ seed: config.MARKET_DATA_SEED });
+    case 'file':
+      return createFileProvider();
+    default:
+      throw new Error(`Unknown market data provider: ${name}`);
+  }
+}
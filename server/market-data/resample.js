@@ -0,0 +1,97 @@
+// Builds higher timeframe candles out of M1 candles so every timeframe of a symbol agrees
+import { getInstrument } from './instruments.js';
+import { getBarStart, getTimeframeInterval, TIMEFRAMES } from './timeframes.js';
+import { getNewYorkOffset } from '../analysis/sessions.js';
+
+const HOUR = TIMEFRAMES.H1;
+// FX and commodity days roll over at 17:00 New York, weeks open on Sunday at 17:00
+const NEW_YORK_ROLLOVER = 17 * HOUR;
+// The Unix epoch was a Thursday, so the first Sunday is three days in
+const FIRST_SUNDAY = 3 * TIMEFRAMES.D1;
+
+// Instruments on UTC sessions, such as crypto, use UTC days; everything else follows the New
+// York close
+export function getDayStart(symbol) {
+  const instrument = getInstrument(symbol);
+  return instrument && instrument.timeZone === 'UTC' ? 'utc' : 'new-york';
+}
+
+// Open time of the bar a timestamp belongs to. Bars of an hour or less line up with UTC either way.
+export function getBucketStart(timestamp, timeframe, dayStart = 'new-york') {
+  const interval = getTimeframeInterval(timeframe);
+
+  if (dayStart === 'utc' || interval <= HOUR) {
+    return getBarStart(timestamp, timeframe);
+  }
+
+  const offset = getNewYorkOffset(timestamp);
+  const local = timestamp + offset;
+  const anchor = timeframe === 'W1' ? FIRST_SUNDAY + NEW_YORK_ROLLOVER : NEW_YORK_ROLLOVER;
+  const bucketLocal = Math.floor((local - anchor) / interval) * interval + anchor;
+
+  // The bar may have opened on the other side of a DST change
+  return bucketLocal - getNewYorkOffset(bucketLocal - offset);
+}
+
+// Folds M1 candles, pushed oldest first, into bars of the given timeframe. finish(end) drops
+// the last bar unless the M1 data reaches `end` in a later bar, i.e. the bar has closed.
+export function createResampler(timeframe, options = {}) {
+  const dayStart = options.dayStart || 'new-york';
+  const interval = getTimeframeInterval(timeframe);
+  const bars = [];
+  let current = null;
+  let currentEnd = null;
+
+  return {
+    push(candle) {
+      // Inside the open bar there is no need to work out the (time zone aware) bar start again
+      const start = current && candle.timestamp < currentEnd
+        ? current.timestamp
+        : getBucketStart(candle.timestamp, timeframe, dayStart);
+
+      if (current && current.timestamp === start) {
+        current.high = Math.max(current.high, candle.high);
+        current.low = Math.min(current.low, candle.low);
+        current.close = candle.close;
+        current.volume += candle.volume;
+        return;
+      }
+
+      if (current) {
+        bars.push(current);
+      }
+      // Only New York days shift with DST; two hours past the nominal length lands in the
+      // next bar even when DST has stretched this one
+      currentEnd = dayStart === 'utc' || interval <= HOUR
+        ? start + interval
+        : getBucketStart(start + interval + 2 * HOUR, timeframe, dayStart);
+      current = {
+        timestamp: start,
+        open: candle.open,
+        high: candle.high,
+        close: candle.close,
+        low: candle.low,
+        volume: candle.volume
+      };
+    },
+
+    finish(end) {
+      if (current && (end === undefined || getBucketStart(end, timeframe, dayStart) > current.timestamp)) {
+        bars.push(current);
+      }
+      current = null;
+      return bars;
+    }
+  };
+}
+
+// Resample a full M1 series; the last bar is only kept once the M1 data has closed it
+export function resampleCandles(candles, timeframe, options = {}) {
+  if (timeframe === 'M1' || candles.length === 0) {
+    return candles;
+  }
+
+  const resampler = createResampler(timeframe, options);
+  candles.forEach(candle => resampler.push(candle));
+  return resampler.finish(candles[candles.length - 1].timestamp + TIMEFRAMES.M1);
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBucketStart, resampleCandles } from './resample.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+function minutes(start, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: start + i * MINUTE,
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100.5 + i,
+    volume: 2
+  }));
+}
+
+test('folds M1 candles into bars and keeps the last bar only once it has closed', () => {
+  const start = Date.UTC(2026, 2, 10, 14);
+
+  const closed = resampleCandles(minutes(start, 30), 'M15');
+  assert.equal(closed.length, 2);
+  assert.deepEqual(closed[1], { timestamp: start + 15 * MINUTE, open: 115, high: 130, close: 129.5, low: 114, volume: 30 });
+
+  // The third bar is missing its last minute
+  assert.equal(resampleCandles(minutes(start, 44), 'M15').length, 2);
+});
+
+test('starts New York days at 17:00 New York through the DST change and UTC days at midnight', () => {
+  // 17:00 New York is 22:00 UTC in winter and 21:00 UTC in summer
+  assert.equal(getBucketStart(Date.UTC(2026, 2, 5, 23), 'D1'), Date.UTC(2026, 2, 5, 22));
+  assert.equal(getBucketStart(Date.UTC(2026, 2, 10, 23), 'D1'), Date.UTC(2026, 2, 10, 21));
+  assert.equal(getBucketStart(Date.UTC(2026, 2, 10, 23), 'D1', 'utc'), Date.UTC(2026, 2, 10));
+
+  // Weeks open on Sunday, 1 March 2026
+  assert.equal(getBucketStart(Date.UTC(2026, 2, 4, 12), 'W1'), Date.UTC(2026, 2, 1, 22));
+});
+
+test('splits H4 bars on the New York day rather than on UTC hours', () => {
+  const start = Date.UTC(2026, 2, 10, 20);
+  const bars = resampleCandles(minutes(start, 6 * 60), 'H4');
+
+  // 20:00 UTC falls in the bar that opened at 17:00 UTC, 13:00 New York
+  assert.deepEqual(bars.map(bar => bar.timestamp), [Date.UTC(2026, 2, 10, 17), Date.UTC(2026, 2, 10, 21)]);
+  assert.equal(bars[1].open, 160);
+  assert.equal(bars[1].volume, 4 * 60 * 2);
+});
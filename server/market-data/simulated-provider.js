@@ -0,0 +1,250 @@
+// Seeded market simulator. Prices are a pure function of seed, symbol and time, so the same
+// seed draws the same chart on every request, every timeframe agrees with every other, and
+// live ticks continue the candles instead of jumping away from them. Only catalogue instruments
+// with a basePrice and volatility are simulated; anything else has no candles and no price.
+import { getInstrument, getReferencePair, isInstrumentOpen, listInstruments, onInstrumentsChange } from './instruments.js';
+import { getBarStart, getTimeframeInterval, TIMEFRAMES } from './timeframes.js';
+import { createResampler, getBucketStart, getDayStart } from './resample.js';
+
+const MINUTE = TIMEFRAMES.M1;
+const HALF_HOUR = 30 * MINUTE;
+const TICK_INTERVAL = 1000;
+// Extra history generated so weekends and the partly formed first bar still leave `count` bars
+const WEEKEND_FACTOR = 7 / 5;
+const HISTORY_SLACK = 3 * TIMEFRAMES.D1;
+// Candle requests remembered; the key includes the end minute so entries go stale by themselves
+const CACHE_SIZE = 200;
+
+// Overlapping cycles, in minutes, with their weight in units of the instrument's volatility.
+// The odd periods keep the pattern from visibly repeating.
+const WAVES = [
+  { period: 43200, weight: 3 },
+  { period: 10080, weight: 1.5 },
+  { period: 1440, weight: 0.6 },
+  { period: 331, weight: 0.25 },
+  { period: 113, weight: 0.12 },
+  { period: 37, weight: 0.06 }
+];
+const NOISE_WEIGHT = 0.04;
+// Largest wick beyond the open and close of an M1 candle, in units of volatility
+const WICK_WEIGHT = 0.05;
+
+export function createSimulatedProvider(options = {}) {
+  const seed = Number(options.seed) || 1;
+  const models = new Map();
+  const cache = new Map();
+  // Closed bars per symbol and timeframe. Prices never change once drawn, so later requests
+  // only fold the minutes since the last closed bar instead of the whole history.
+  const series = new Map();
+
+  // Edited instruments draw from their new prices and hours
+  onInstrumentsChange(() => {
+    models.clear();
+    cache.clear();
+    series.clear();
+  });
+
+  // null for symbols that are not simulated. Reference pairs are priced for currency
+  // conversion without being listed.
+  function getModel(symbol) {
+    if (!models.has(symbol)) {
+      const instrument = getInstrument(symbol) || getReferencePair(symbol);
+      if (!isSimulated(instrument)) {
+        return null;
+      }
+      const symbolSeed = hash(seed, hashString(symbol));
+      models.set(symbol, {
+        instrument,
+        symbolSeed,
+        volumeSeed: hash(symbolSeed, 1),
+        wickSeed: hash(symbolSeed, 2),
+        phases: WAVES.map((wave, i) => random(symbolSeed, i) * 2 * Math.PI)
+      });
+    }
+    return models.get(symbol);
+  }
+
+  function priceAt(symbol, timestamp) {
+    const model = getModel(symbol);
+    const minutes = timestamp / MINUTE;
+    let movement = 0;
+
+    WAVES.forEach((wave, i) => {
+      movement += wave.weight * Math.sin(2 * Math.PI * minutes / wave.period + model.phases[i]);
+    });
+    movement += NOISE_WEIGHT * (random(model.symbolSeed, Math.floor(minutes)) - 0.5);
+
+    return model.instrument.basePrice * (1 + model.instrument.volatility * movement);
+  }
+
+  // Every timeframe is built from these M1 candles
+  function buildMinute(symbol, start) {
+    const model = getModel(symbol);
+    const open = priceAt(symbol, start);
+    const close = priceAt(symbol, start + MINUTE);
+    const wick = model.instrument.basePrice * model.instrument.volatility * WICK_WEIGHT;
+
+    return {
+      timestamp: start,
+      open,
+      high: Math.max(open, close) + random(model.wickSeed, start / MINUTE * 2) * wick,
+      close,
+      low: Math.min(open, close) - random(model.wickSeed, start / MINUTE * 2 + 1) * wick,
+      volume: random(model.volumeSeed, start / MINUTE) * 10 + 5
+    };
+  }
+
+  // Trading hours open and close on the hour or half hour, so one check per half hour is enough
+  function createHoursCheck(symbol) {
+    const instrument = getModel(symbol).instrument;
+    const slots = new Map();
+
+    return timestamp => {
+      const slot = Math.floor(timestamp / HALF_HOUR);
+      if (!slots.has(slot)) {
+        slots.set(slot, isInstrumentOpen(instrument, slot * HALF_HOUR));
+      }
+      return slots.get(slot);
+    };
+  }
+
+  function getMinutes(symbol, count, end) {
+    const isOpen = createHoursCheck(symbol);
+    const earliest = end - count * MINUTE * WEEKEND_FACTOR - HISTORY_SLACK;
+    const candles = [];
+
+    for (let time = end - MINUTE; candles.length < count && time > earliest; time -= MINUTE) {
+      if (isOpen(time)) {
+        candles.unshift(buildMinute(symbol, time));
+      }
+    }
+    return candles;
+  }
+
+  function buildCandles(symbol, timeframe, count, end) {
+    if (timeframe === 'M1') {
+      return getMinutes(symbol, count, end);
+    }
+
+    const dayStart = getDayStart(symbol);
+    // Bars opening before this one have closed by `end`
+    const openBar = getBucketStart(end, timeframe, dayStart);
+    const key = `${symbol}|${timeframe}`;
+    const entry = series.get(key);
+
+    if (entry && openBar < entry.to) {
+      const closed = entry.bars.filter(bar => bar.timestamp < openBar);
+      if (closed.length >= count) {
+        return closed.slice(-count);
+      }
+    } else if (entry) {
+      entry.bars.push(...foldMinutes(symbol, timeframe, entry.to, end));
+      entry.to = openBar;
+      entry.size = Math.max(entry.size, count);
+      entry.bars = entry.bars.slice(-entry.size);
+      if (entry.bars.length >= count) {
+        return entry.bars.slice(-count);
+      }
+    }
+
+    // Not cached or not reaching back far enough: start from a whole bar early enough for `count`
+    const interval = getTimeframeInterval(timeframe);
+    const alwaysOpen = getModel(symbol).instrument.tradingHours === null;
+    const span = count * interval * (alwaysOpen || timeframe === 'W1' ? 1 : WEEKEND_FACTOR) + HISTORY_SLACK;
+    const bars = foldMinutes(symbol, timeframe, getBucketStart(end - span, timeframe, dayStart), end);
+
+    const size = Math.max(count, entry ? entry.size : 0);
+    series.set(key, { bars: bars.slice(-size), to: openBar, size });
+    return bars.slice(-count);
+  }
+
+  // The bars that have closed by `end`, from M1 candles starting at `from`
+  function foldMinutes(symbol, timeframe, from, end) {
+    const resampler = createResampler(timeframe, { dayStart: getDayStart(symbol) });
+    const isOpen = createHoursCheck(symbol);
+
+    for (let time = from; time < end; time += MINUTE) {
+      if (isOpen(time)) {
+        resampler.push(buildMinute(symbol, time));
+      }
+    }
+
+    return resampler.finish(end);
+  }
+
+  return {
+    name: 'simulated',
+
+    getSymbols() {
+      return listInstruments().filter(isSimulated).map(({ symbol, name, market }) => ({ symbol, name, market }));
+    },
+
+    // The last `count` closed candles before `end`, higher timeframes resampled from M1
+    getCandles(symbol, timeframe, range = {}) {
+      if (!getModel(symbol)) {
+        return [];
+      }
+
+      const count = range.count || 100;
+      const end = getBarStart(range.end || Date.now(), 'M1');
+      const key = `${symbol}|${timeframe}|${count}|${end}`;
+
+      if (!cache.has(key)) {
+        if (cache.size >= CACHE_SIZE) {
+          cache.clear();
+        }
+        cache.set(key, buildCandles(symbol, timeframe, count, end));
+      }
+      return cache.get(key);
+    },
+
+    // While the market is closed the price stays at the last close
+    getPrice(symbol) {
+      if (!getModel(symbol)) {
+        return null;
+      }
+
+      const now = Date.now();
+      if (createHoursCheck(symbol)(now)) {
+        return priceAt(symbol, now);
+      }
+      const [last] = getMinutes(symbol, 1, getBarStart(now, 'M1'));
+      return last ? last.close : null;
+    },
+
+    subscribeTicks(symbol, onTick) {
+      const timer = setInterval(() => {
+        const timestamp = Date.now();
+        if (getModel(symbol) && createHoursCheck(symbol)(timestamp)) {
+          onTick({ symbol, price: priceAt(symbol, timestamp), timestamp });
+        }
+      }, TICK_INTERVAL);
+
+      return () => clearInterval(timer);
+    }
+  };
+}
+
+function isSimulated(instrument) {
+  return Boolean(instrument) && instrument.basePrice > 0 && instrument.volatility > 0;
+}
+
+function hashString(text) {
+  let value = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    value = Math.imul(value ^ text.charCodeAt(i), 16777619);
+  }
+  return value >>> 0;
+}
+
+function hash(a, b) {
+  let value = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(Math.floor(b) ^ 0xc2b2ae35, 0x27d4eb2f);
+  value = Math.imul(value ^ (value >>> 15), 0x2c1b3c6d);
+  value = Math.imul(value ^ (value >>> 12), 0x297a2d39);
+  return (value ^ (value >>> 15)) >>> 0;
+}
+
+// Deterministic number in [0, 1) for a seed and a position
+function random(seed, position) {
+  return hash(seed, position) / 4294967296;
+}
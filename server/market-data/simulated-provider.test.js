@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulatedProvider } from './simulated-provider.js';
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+const END = Date.UTC(2026, 2, 11, 16, 7);
+
+test('draws the same candles for the same seed and different ones for another', () => {
+  const first = createSimulatedProvider({ seed: 5 }).getCandles('EUR/USD', 'H1', { count: 50, end: END });
+  const again = createSimulatedProvider({ seed: 5 }).getCandles('EUR/USD', 'H1', { count: 50, end: END });
+  const other = createSimulatedProvider({ seed: 6 }).getCandles('EUR/USD', 'H1', { count: 50, end: END });
+
+  assert.equal(first.length, 50);
+  assert.deepEqual(again, first);
+  assert.notDeepEqual(other, first);
+});
+
+test('extends cached bars to the same candles a fresh provider draws', () => {
+  ['M15', 'H4', 'D1', 'W1'].forEach(timeframe => {
+    const provider = createSimulatedProvider({ seed: 1 });
+    provider.getCandles('BTC/USD', timeframe, { count: 40, end: END });
+
+    const later = END + 3 * DAY + 5 * MINUTE;
+    const earlier = END - DAY;
+    assert.deepEqual(
+      provider.getCandles('BTC/USD', timeframe, { count: 40, end: later }),
+      createSimulatedProvider({ seed: 1 }).getCandles('BTC/USD', timeframe, { count: 40, end: later })
+    );
+    assert.deepEqual(
+      provider.getCandles('BTC/USD', timeframe, { count: 40, end: earlier }),
+      createSimulatedProvider({ seed: 1 }).getCandles('BTC/USD', timeframe, { count: 40, end: earlier })
+    );
+    // More history than was cached
+    assert.equal(provider.getCandles('BTC/USD', timeframe, { count: 60, end: later }).length, 60);
+  });
+});
+
+test('agrees between timeframes', () => {
+  const provider = createSimulatedProvider({ seed: 1 });
+  const hours = provider.getCandles('EUR/USD', 'H1', { count: 4, end: END });
+  const minutes = provider.getCandles('EUR/USD', 'M1', { count: 4 * 60 + 7, end: END }).slice(0, 4 * 60);
+
+  assert.equal(hours[0].open, minutes[0].open);
+  assert.equal(hours[3].close, minutes[minutes.length - 1].close);
+  assert.equal(Math.max(...hours.map(bar => bar.high)), Math.max(...minutes.map(bar => bar.high)));
+});
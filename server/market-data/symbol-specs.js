@@ -0,0 +1,13 @@
+// Contract specifications out of the symbol catalogue in instruments.js. Prices are quoted in
+// quoteCurrency per unit of the instrument; one lot is contractSize units.
+import { getInstrument } from './instruments.js';
+
+export function getSymbolSpec(symbol) {
+  const instrument = getInstrument(symbol);
+  if (!instrument) {
+    return null;
+  }
+
+  const { baseCurrency, quoteCurrency, pipSize, tickSize, precision, contractSize, minLot, lotStep } = instrument;
+  return { symbol, baseCurrency, quoteCurrency, pipSize, tickSize, precision, contractSize, minLot, lotStep };
+}
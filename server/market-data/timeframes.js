@@ -0,0 +1,28 @@
+// Timeframe lengths and bar alignment
+
+const MINUTE = 60 * 1000;
+
+export const TIMEFRAMES = {
+  M1: MINUTE,
+  M5: 5 * MINUTE,
+  M15: 15 * MINUTE,
+  M30: 30 * MINUTE,
+  H1: 60 * MINUTE,
+  H4: 4 * 60 * MINUTE,
+  D1: 24 * 60 * MINUTE,
+  W1: 7 * 24 * 60 * MINUTE
+};
+
+// Unknown timeframes fall back to a day
+export function getTimeframeInterval(timeframe) {
+  return TIMEFRAMES[timeframe] || TIMEFRAMES.D1;
+}
+
+// The Unix epoch was a Thursday; weekly bars open on Monday
+const WEEK_OFFSET = 4 * TIMEFRAMES.D1;
+
+export function getBarStart(timestamp, timeframe) {
+  const interval = getTimeframeInterval(timeframe);
+  const offset = timeframe === 'W1' ? WEEK_OFFSET : 0;
+  return Math.floor((timestamp - offset) / interval) * interval + offset;
+}
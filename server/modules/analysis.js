@@ -0,0 +1,310 @@
+// Analysis module: ICT analysis, sessions, Silver Bullet setups and chart overlays over REST,
+// backtests, and analysis frames for the analysis channels
+import { z } from 'zod';
+import { detectFairValueGaps } from '../analysis/fair-value-gaps.js';
+import { SILVER_BULLET_WINDOWS, getSessionContext, getUpcomingWindows } from '../analysis/sessions.js';
+import { DEFAULT_FRACTAL_LENGTH } from '../analysis/swing-points.js';
+import { findLiquidityPools, getEqualLevelTolerance, getPipSize, hasInducement } from '../analysis/liquidity.js';
+import { analyzeMarketStructure } from '../analysis/market-structure.js';
+import { findOrderBlocks, toChartRectangles } from '../analysis/order-blocks.js';
+import { findSilverBulletSetups } from '../analysis/silver-bullet-setups.js';
+import { requireRole, requireScope } from '../auth/roles.js';
+import { createBacktestJob, getBacktestJob, listBacktestJobs } from '../backtest/jobs.js';
+import { candleSchema, errorSchema, idParamsSchema, marketTypeSchema, timeframeSchema } from '../http/schemas.js';
+import { getInstrument, isInstrumentOpen } from '../market-data/instruments.js';
+
+// Analysis objects are described by their top-level shape only
+const detailsSchema = z.array(z.record(z.unknown()));
+
+const analysisSchema = z.object({
+  equalHighs: detailsSchema,
+  equalLows: detailsSchema,
+  fairValueGaps: detailsSchema,
+  liquiditySweeps: detailsSchema,
+  breakers: detailsSchema,
+  orderBlocks: detailsSchema,
+  structure: z.object({ bias: z.string().nullable(), events: detailsSchema }).passthrough(),
+  bias: z.record(z.string().nullable()),
+  inducement: z.boolean()
+});
+
+const chartPointSchema = z.object({ time: z.number(), value: z.number() });
+
+const backtestJobSchema = z.object({
+  id: z.string(),
+  status: z.enum(['queued', 'running', 'completed', 'failed']),
+  createdAt: z.string(),
+  completedAt: z.string().nullable(),
+  options: z.record(z.unknown()),
+  result: z.record(z.unknown()).nullable().optional(),
+  error: z.string().nullable()
+});
+
+// Order blocks span the whole candle by default, or only its body
+const zoneSchema = z.enum(['wick', 'body']).optional();
+
+export function setupAnalysisModule({ api, config, markets, realtime }) {
+  const { signalWindows, setupTimeframe } = config;
+  const windowIdSchema = z.enum(SILVER_BULLET_WINDOWS.map(window => window.id));
+
+  // Current structure bias of a market on each of the timeframes traders check top-down
+  function getBiasByTimeframe(symbol, fractalLength) {
+    const bias = {};
+
+    ['D1', 'H4', 'H1', 'M15'].forEach(timeframe => {
+      bias[timeframe] = analyzeMarketStructure(markets.getCandles(symbol, timeframe), { fractalLength }).bias;
+    });
+
+    return bias;
+  }
+
+  // Get ICT analysis data
+  api.get('/api/analysis', {
+    summary: 'Liquidity, fair value gaps, order blocks and structure of an asset class',
+    tags: ['Analysis'],
+    query: z.object({
+      market: marketTypeSchema.default('all'),
+      timeframe: timeframeSchema.default('D1'),
+      fractal: z.coerce.number().int().min(1).max(50).default(DEFAULT_FRACTAL_LENGTH)
+        .describe('Candles on each side of a swing point'),
+      zone: zoneSchema
+    }),
+    responses: { 200: z.record(analysisSchema) }
+  }, requireScope('market:read'), (req, res) => {
+    const { timeframe, fractal: fractalLength } = req.query;
+    const response = {};
+
+    markets.selectMostActive(req.query.market).forEach(symbol => {
+      const candles = markets.getCandles(symbol, timeframe);
+      const liquidityPools = findLiquidityPools(candles, {
+        fractalLength,
+        tolerance: getEqualLevelTolerance(symbol)
+      });
+      const structure = analyzeMarketStructure(candles, { fractalLength });
+      const zones = findOrderBlocks(candles, structure, { zone: req.query.zone });
+
+      response[symbol] = {
+        equalHighs: liquidityPools.filter(pool => pool.type === 'equalHighs'),
+        equalLows: liquidityPools.filter(pool => pool.type === 'equalLows'),
+        fairValueGaps: detectFairValueGaps(candles),
+        liquiditySweeps: liquidityPools.filter(pool => pool.state === 'swept'),
+        breakers: zones.breakers,
+        orderBlocks: zones.orderBlocks,
+        structure,
+        bias: getBiasByTimeframe(symbol, fractalLength),
+        inducement: hasInducement(candles, structure, { fractalLength })
+      };
+    });
+
+    res.json(response);
+  });
+
+  // Get current and upcoming killzones and Silver Bullet windows per market
+  api.get('/api/sessions', {
+    summary: 'Current session and the upcoming killzones and Silver Bullet windows per market',
+    tags: ['Analysis'],
+    query: z.object({
+      market: marketTypeSchema.default('all'),
+      count: z.coerce.number().int().min(1).max(50).default(5)
+    }),
+    responses: {
+      200: z.object({
+        timestamp: z.string(),
+        current: z.record(z.unknown()),
+        signalWindows: z.array(z.object({ id: z.string(), name: z.string(), start: z.string(), end: z.string() })),
+        markets: z.record(detailsSchema)
+      })
+    }
+  }, requireScope('market:read'), (req, res) => {
+    const { count } = req.query;
+    const now = Date.now();
+
+    const response = {
+      timestamp: new Date(now).toISOString(),
+      current: getSessionContext(now),
+      signalWindows: SILVER_BULLET_WINDOWS.filter(window => signalWindows.includes(window.id)),
+      markets: {}
+    };
+
+    markets.select(req.query.market, markets.all).forEach(symbol => {
+      const instrument = getInstrument(symbol);
+      response.markets[symbol] = getUpcomingWindows(now, {
+        count,
+        isOpen: timestamp => isInstrumentOpen(instrument, timestamp)
+      });
+    });
+
+    res.json(response);
+  });
+
+  // Get Silver Bullet setups with the conditions that produced them
+  api.get('/api/setups', {
+    summary: 'Silver Bullet setups with the conditions that produced them',
+    tags: ['Analysis'],
+    query: z.object({ market: marketTypeSchema.default('all'), timeframe: timeframeSchema.default(setupTimeframe) }),
+    responses: { 200: z.record(detailsSchema) }
+  }, requireScope('market:read'), (req, res) => {
+    const { timeframe } = req.query;
+    const response = {};
+
+    markets.select(req.query.market, markets.all).forEach(symbol => {
+      response[symbol] = findSilverBulletSetups(markets.getCandles(symbol, timeframe), { windows: signalWindows });
+    });
+
+    res.json(response);
+  });
+
+  // Get signal points for charts
+  api.get('/api/signal-points', {
+    summary: 'Signal markers for charts',
+    tags: ['Analysis'],
+    query: z.object({ market: marketTypeSchema.default('all'), timeframe: timeframeSchema.default('D1') }),
+    responses: {
+      200: z.record(z.array(z.object({
+        time: z.number(),
+        position: z.enum(['aboveBar', 'belowBar']),
+        shape: z.string(),
+        color: z.string()
+      })))
+    }
+  }, requireScope('market:read'), (req, res) => {
+    const { timeframe } = req.query;
+    const response = {};
+
+    // One marker per structure break, on the candle that closed through the swing
+    markets.selectMostActive(req.query.market).forEach(symbol => {
+      const { events } = analyzeMarketStructure(markets.getCandles(symbol, timeframe));
+
+      response[symbol] = events.map(event => {
+        const isBuy = event.direction === 'bullish';
+        return {
+          time: event.breakingCandle.timestamp,
+          position: isBuy ? 'aboveBar' : 'belowBar',
+          shape: 'circle',
+          color: isBuy ? '#4CAF50' : '#FF5252'
+        };
+      });
+    });
+
+    res.json(response);
+  });
+
+  // Get silver bullet trend lines
+  api.get('/api/silver-bullet-lines', {
+    summary: 'Silver Bullet trend lines, with order block and breaker rectangles when zones is true',
+    tags: ['Analysis'],
+    query: z.object({
+      market: marketTypeSchema.default('all'),
+      timeframe: timeframeSchema.default('D1'),
+      zones: z.enum(['true', 'false']).default('false'),
+      zone: zoneSchema
+    }),
+    responses: {
+      200: z.record(z.union([
+        z.array(chartPointSchema),
+        z.object({ lines: z.array(chartPointSchema), zones: detailsSchema })
+      ]))
+    }
+  }, requireScope('market:read'), (req, res) => {
+    const { timeframe } = req.query;
+    const includeZones = req.query.zones === 'true';
+    const response = {};
+
+    markets.selectMostActive(req.query.market).forEach(symbol => {
+      const candles = markets.getCandles(symbol, timeframe);
+      // The line follows the closes
+      const lines = candles.map(candle => ({ time: candle.timestamp, value: candle.close }));
+
+      if (includeZones) {
+        // Order block and breaker rectangles drawn from the same candles as the line
+        const zones = findOrderBlocks(candles, analyzeMarketStructure(candles), { zone: req.query.zone });
+        response[symbol] = { lines, zones: toChartRectangles(zones, candles) };
+      } else {
+        response[symbol] = lines;
+      }
+    });
+
+    res.json(response);
+  });
+
+  // Start a backtest of the Silver Bullet setups, over posted candles or the symbol's own
+  api.post('/api/backtests', {
+    summary: 'Start a backtest of the Silver Bullet setups',
+    tags: ['Backtests'],
+    body: z.object({
+      symbol: z.string().min(1),
+      // Replayed instead of the symbol's own candles
+      candles: z.array(candleSchema).min(1).optional(),
+      timeframe: timeframeSchema.default(setupTimeframe),
+      spreadPips: z.number().min(0).default(0),
+      slippagePips: z.number().min(0).default(0),
+      commission: z.number().min(0).default(0),
+      initialBalance: z.number().positive().optional(),
+      riskPerTrade: z.number().positive().optional(),
+      minRiskReward: z.number().positive().optional(),
+      windows: z.array(windowIdSchema).min(1).default(signalWindows)
+    }),
+    responses: { 202: backtestJobSchema, 404: errorSchema }
+  }, requireRole('analyst'), requireScope('backtest:run'), (req, res) => {
+    const { symbol, candles, timeframe } = req.body;
+
+    if (!candles && !getInstrument(symbol)) {
+      return res.status(404).json({ message: `Unknown symbol ${symbol}` });
+    }
+
+    const pipSize = getPipSize(symbol);
+    const job = createBacktestJob(candles || markets.getCandles(symbol, timeframe), {
+      spread: req.body.spreadPips * pipSize,
+      slippage: req.body.slippagePips * pipSize,
+      commission: req.body.commission,
+      initialBalance: req.body.initialBalance,
+      riskPerTrade: req.body.riskPerTrade,
+      minRiskReward: req.body.minRiskReward,
+      windows: req.body.windows
+    });
+
+    res.status(202).json(job);
+  });
+
+  api.get('/api/backtests', {
+    summary: 'Backtest jobs without their results',
+    tags: ['Backtests'],
+    responses: { 200: z.array(backtestJobSchema) }
+  }, requireScope('backtest:run'), (req, res) => {
+    res.json(listBacktestJobs());
+  });
+
+  api.get('/api/backtests/:id', {
+    summary: 'A backtest job and, once completed, its result',
+    tags: ['Backtests'],
+    params: idParamsSchema,
+    responses: { 200: backtestJobSchema, 404: errorSchema }
+  }, requireScope('backtest:run'), (req, res) => {
+    const job = getBacktestJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Backtest not found' });
+    }
+
+    res.json(job);
+  });
+
+  // Current structure and open fair value gaps of every watched market on the setup timeframe
+  setInterval(() => {
+    markets.all.forEach(symbol => {
+      if (!realtime.hasSubscribers(`analysis:${symbol}`)) {
+        return;
+      }
+
+      const candles = markets.getCandles(symbol, setupTimeframe);
+      const structure = analyzeMarketStructure(candles);
+      realtime.publish(`analysis:${symbol}`, 'analysis', {
+        symbol,
+        timeframe: setupTimeframe,
+        bias: structure.bias,
+        lastBreak: structure.events[structure.events.length - 1] || null,
+        fairValueGaps: detectFairValueGaps(candles).filter(gap => !gap.filled).slice(-5)
+      });
+    });
+  }, config.scanInterval);
+}
@@ -0,0 +1,30 @@
+// Diagnostics module: the status page with a manual signal generator at /, a connection
+// tester at /connection-test and an /api/test endpoint that answers without logging in
+import express from 'express';
+import { z } from 'zod';
+import { STATUS_PAGE, CONNECTION_TEST_PAGE } from '../diagnostics/pages.js';
+
+export function setupDiagnosticsModule({ app, api }) {
+  app.use('/static', express.static('server/public'));
+
+  app.get('/', (req, res) => {
+    res.send(STATUS_PAGE);
+  });
+
+  app.get('/connection-test', (req, res) => {
+    res.send(CONNECTION_TEST_PAGE);
+  });
+
+  api.get('/api/test', {
+    summary: 'Check that the API answers',
+    tags: ['Meta'],
+    public: true,
+    responses: { 200: z.object({ status: z.literal('success'), message: z.string(), timestamp: z.string() }) }
+  }, (req, res) => {
+    res.json({
+      status: 'success',
+      message: 'API endpoint is working',
+      timestamp: new Date().toISOString()
+    });
+  });
+}
@@ -0,0 +1,15 @@
+// Feature modules the server can load, by the names used in MODULES. Each one is called with
+// the server context (see app.js) and registers its routes, channels and background work.
+import { setupMarketDataModule } from './market-data.js';
+import { setupAnalysisModule } from './analysis.js';
+import { setupSignalsModule } from './signals.js';
+import { setupDiagnosticsModule } from './diagnostics.js';
+import { setupTestSignalsModule } from './test-signals.js';
+
+export const MODULES = {
+  'market-data': setupMarketDataModule,
+  analysis: setupAnalysisModule,
+  signals: setupSignalsModule,
+  diagnostics: setupDiagnosticsModule,
+  'test-signals': setupTestSignalsModule
+};
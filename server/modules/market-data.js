@@ -0,0 +1,436 @@
+// Market data module: the symbol catalogue, prices, candles and candle imports over REST, live
+// candles on the candles channels and the position-size calculator
+import express from 'express';
+import { z } from 'zod';
+import { ACTIVITY_SORTS } from '../analysis/activity-ranking.js';
+import { analyzeMarketStructure } from '../analysis/market-structure.js';
+import { tagCandles } from '../analysis/sessions.js';
+import { requireRole, requireScope } from '../auth/roles.js';
+import { sendInvalid } from '../http/api.js';
+import { candleSchema, errorSchema, marketTypeSchema, timeframeSchema, validationErrorSchema } from '../http/schemas.js';
+import { parseCsvCandles, parseJsonCandles, parseColumnMapping, validateCandles } from '../market-data/candle-import.js';
+import { saveCandles, listStoredCandles } from '../market-data/candle-store.js';
+import {
+  ASSET_CLASSES,
+  TIME_ZONES,
+  deleteInstrument,
+  getInstrument,
+  listInstruments,
+  putInstrument
+} from '../market-data/instruments.js';
+import { getTimeframeInterval } from '../market-data/timeframes.js';
+import { createPriceLookup } from '../market-data/currency.js';
+import { createCandleStream } from '../realtime/candle-stream.js';
+import { calculatePositionSize } from '../risk/position-size.js';
+
+// How many of the latest candles a structure break shows up as a market's signal for
+const SIGNAL_LOOKBACK = 5;
+
+const tradingTimeSchema = z.string()
+  .regex(/^(Sun|Mon|Tue|Wed|Thu|Fri|Sat) ([01]\d|2[0-3]):(00|30)$/, 'Expected a weekday and a time on the hour or half hour, such as "Sun 17:00"');
+
+// Catalogue fields besides the symbol, see market-data/instruments.js
+const instrumentFields = {
+  name: z.string().min(1).max(100),
+  market: z.enum(ASSET_CLASSES),
+  baseCurrency: z.string().min(1).max(10),
+  quoteCurrency: z.string().regex(/^[A-Z]{3}$/, 'Quote currency must be a three-letter code'),
+  pipSize: z.number().positive(),
+  tickSize: z.number().positive(),
+  precision: z.number().int().min(0).max(10),
+  contractSize: z.number().positive(),
+  minLot: z.number().positive(),
+  lotStep: z.number().positive(),
+  timeZone: z.enum(TIME_ZONES),
+  tradingHours: z.object({ open: tradingTimeSchema, close: tradingTimeSchema })
+    .refine(hours => hours.open !== hours.close, { message: 'Open and close must differ', path: ['close'] })
+    .nullable()
+    .describe('Weekly session in timeZone, or null to trade around the clock'),
+  // What the simulated provider draws prices around; without them the symbol has no simulated prices
+  basePrice: z.number().positive().nullable(),
+  volatility: z.number().positive().max(1).nullable()
+};
+
+// Slashes are the only separator, as dashes stand in for them in URLs and candle file names
+const symbolSchema = z.string().max(20)
+  .regex(/^[A-Z0-9.]+(\/[A-Z0-9.]+)?$/, 'Symbols are upper-case letters, digits and dots, such as "EUR/USD" or "US500"');
+
+// `EUR%2FUSD` or `EUR-USD`
+const symbolParamsSchema = z.object({ symbol: z.string().min(1).max(20).transform(symbol => symbol.replace(/-/g, '/')) });
+
+const createInstrumentSchema = z.object({
+  symbol: symbolSchema,
+  ...instrumentFields,
+  minLot: instrumentFields.minLot.default(0.01),
+  lotStep: instrumentFields.lotStep.default(0.01),
+  timeZone: instrumentFields.timeZone.default('America/New_York'),
+  tradingHours: instrumentFields.tradingHours.default({ open: 'Sun 17:00', close: 'Fri 17:00' }),
+  basePrice: instrumentFields.basePrice.default(null),
+  volatility: instrumentFields.volatility.default(null)
+});
+
+const instrumentSchema = z.object({ symbol: z.string(), ...instrumentFields });
+
+const marketSchema = z.object({
+  symbol: z.string(),
+  name: z.string(),
+  market: z.string(),
+  price: z.number().nullable(),
+  // Percent since the last daily close
+  change: z.number(),
+  signal: z.enum(['buy', 'sell']).nullable(),
+  timeframe: z.string(),
+  // Only on the most active markets, see analysis/activity-ranking.js
+  activity: z.object({
+    score: z.number(),
+    volume: z.number().describe('Volume of the last day relative to the days before'),
+    range: z.number().describe('Average true range of the last day relative to the ATR of the days before'),
+    setups: z.number().int().describe('Open Silver Bullet setups')
+  }).optional()
+});
+
+const columnsSchema = z.union([
+  z.string().describe('Text mapping such as "timestamp:Date,open:1"'),
+  z.record(z.union([z.string(), z.number().int().min(0)]))
+]);
+
+// With a text/csv body these come in the query string instead
+const importQuerySchema = z.object({
+  symbol: z.string().min(1).optional(),
+  timeframe: timeframeSchema.optional(),
+  columns: z.string().optional(),
+  delimiter: z.string().length(1).optional(),
+  hasHeader: z.enum(['true', 'false']).default('true'),
+  replace: z.enum(['true', 'false']).default('false')
+});
+
+const importBodySchema = z.object({
+  symbol: z.string().min(1),
+  timeframe: timeframeSchema,
+  format: z.enum(['json', 'csv']).default('json'),
+  // CSV text when format is csv, candles in the /api/candles shape otherwise
+  content: z.string().optional(),
+  candles: z.array(z.record(z.unknown())).optional(),
+  columns: columnsSchema.optional(),
+  delimiter: z.string().length(1).optional(),
+  hasHeader: z.boolean().default(true),
+  replace: z.boolean().default(false)
+});
+
+const positionSizeQuerySchema = z.object({
+  symbol: z.string().min(1),
+  accountCurrency: z.string().regex(/^[A-Za-z]{3}$/, 'Account currency must be a three-letter code')
+    .transform(currency => currency.toUpperCase()).default('USD'),
+  balance: z.coerce.number().positive(),
+  riskPercent: z.coerce.number().positive().max(100),
+  entry: z.coerce.number().positive(),
+  stop: z.coerce.number().positive()
+}).refine(query => query.entry !== query.stop, { message: 'Entry and stop must be different prices', path: ['stop'] });
+
+const positionSizeSchema = z.object({
+  symbol: z.string(),
+  accountCurrency: z.string(),
+  quoteCurrency: z.string(),
+  conversionRate: z.number(),
+  entry: z.number(),
+  stop: z.number(),
+  direction: z.enum(['buy', 'sell']),
+  stopDistance: z.number(),
+  stopPips: z.number(),
+  contractSize: z.number(),
+  lots: z.number(),
+  units: z.number(),
+  minLot: z.number(),
+  belowMinLot: z.boolean(),
+  pipValue: z.number(),
+  tickValue: z.number(),
+  targetRisk: z.number(),
+  moneyAtRisk: z.number()
+});
+
+export function setupMarketDataModule({ api, marketData, markets, instruments, realtime }) {
+  // Prices of quoted symbols and reference pairs, for currency conversion
+  const getQuotedPrice = createPriceLookup(marketData);
+
+  // Forming and closed bars for the candles channels
+  const candleStream = createCandleStream({ marketData, realtime, symbols: markets.symbols });
+  markets.onChange(() => candleStream.sync());
+
+  function sendUnknownSymbol(res, symbol) {
+    res.status(404).json({ message: `Unknown symbol ${symbol}` });
+  }
+
+  // The symbol catalogue, or the instruments of one asset class
+  api.get('/api/symbols', {
+    summary: 'The symbol catalogue',
+    tags: ['Symbols'],
+    query: z.object({ market: z.enum(ASSET_CLASSES).optional() }),
+    responses: { 200: z.array(instrumentSchema) }
+  }, requireScope('market:read'), (req, res) => {
+    res.json(listInstruments(req.query.market));
+  });
+
+  api.get('/api/symbols/:symbol', {
+    summary: 'A catalogue instrument',
+    tags: ['Symbols'],
+    params: symbolParamsSchema,
+    responses: { 200: instrumentSchema, 404: errorSchema }
+  }, requireScope('market:read'), (req, res) => {
+    const instrument = getInstrument(req.params.symbol);
+    if (!instrument) {
+      return sendUnknownSymbol(res, req.params.symbol);
+    }
+    res.json(instrument);
+  });
+
+  // Add an instrument to the catalogue
+  api.post('/api/symbols', {
+    summary: 'Add an instrument to the catalogue (admins)',
+    tags: ['Symbols'],
+    body: createInstrumentSchema,
+    responses: { 201: instrumentSchema, 409: errorSchema }
+  }, requireRole('admin'), requireScope('symbols:write'), async (req, res) => {
+    try {
+      if (await instruments.get(req.body.symbol)) {
+        return res.status(409).json({ message: `Symbol ${req.body.symbol} is already in the catalogue` });
+      }
+
+      const instrument = await instruments.create(req.body);
+      putInstrument(instrument);
+      console.log(`Added ${instrument.symbol} to the symbol catalogue`);
+      res.status(201).json(instrument);
+    } catch (error) {
+      console.error('Failed to add instrument:', error);
+      res.status(500).json({ message: 'Failed to add instrument' });
+    }
+  });
+
+  // Change some fields of an instrument
+  api.patch('/api/symbols/:symbol', {
+    summary: 'Update a catalogue instrument (admins)',
+    tags: ['Symbols'],
+    params: symbolParamsSchema,
+    body: z.object(instrumentFields).partial(),
+    responses: { 200: instrumentSchema, 404: errorSchema }
+  }, requireRole('admin'), requireScope('symbols:write'), async (req, res) => {
+    try {
+      const instrument = await instruments.update(req.params.symbol, req.body);
+      if (!instrument) {
+        return sendUnknownSymbol(res, req.params.symbol);
+      }
+
+      putInstrument(instrument);
+      res.json(instrument);
+    } catch (error) {
+      console.error('Failed to update instrument:', error);
+      res.status(500).json({ message: 'Failed to update instrument' });
+    }
+  });
+
+  // Remove an instrument; its imported candles stay on disk
+  api.delete('/api/symbols/:symbol', {
+    summary: 'Remove an instrument from the catalogue (admins)',
+    tags: ['Symbols'],
+    params: symbolParamsSchema,
+    responses: { 204: null, 404: errorSchema }
+  }, requireRole('admin'), requireScope('symbols:write'), async (req, res) => {
+    try {
+      if (!await instruments.remove(req.params.symbol)) {
+        return sendUnknownSymbol(res, req.params.symbol);
+      }
+
+      deleteInstrument(req.params.symbol);
+      console.log(`Removed ${req.params.symbol} from the symbol catalogue`);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Failed to remove instrument:', error);
+      res.status(500).json({ message: 'Failed to remove instrument' });
+    }
+  });
+
+  // 'buy' or 'sell' when the structure broke in that direction within the last few candles
+  function getRecentBreakSignal(candles) {
+    const { events } = analyzeMarketStructure(candles);
+    const latest = events[events.length - 1];
+    if (!latest || latest.breakingCandle.index < candles.length - SIGNAL_LOOKBACK) {
+      return null;
+    }
+    return latest.direction === 'bullish' ? 'buy' : 'sell';
+  }
+
+  // Percentage move since the last daily close, to two decimals
+  function getDailyChange(symbol) {
+    const [lastDay] = marketData.getCandles(symbol, 'D1', { count: 1 });
+    const price = marketData.getPrice(symbol);
+
+    if (!lastDay || price === null) {
+      return 0;
+    }
+    return Math.round((price - lastDay.close) / lastDay.close * 10000) / 100;
+  }
+
+  // Get market data; for `all` the most active markets, with what their ranking is based on
+  api.get('/api/markets', {
+    summary: 'Prices and daily change of an asset class, or of the most active markets',
+    tags: ['Market data'],
+    query: z.object({
+      market: marketTypeSchema.default('all'),
+      timeframe: timeframeSchema.default('D1'),
+      limit: z.coerce.number().int().min(1).max(50).optional()
+        .describe('How many of the most active markets `all` returns, MOST_ACTIVE_COUNT by default'),
+      sort: z.enum(ACTIVITY_SORTS).default('score').describe('What the most active markets are ranked by')
+    }),
+    responses: { 200: z.array(marketSchema) }
+  }, requireScope('market:read'), (req, res) => {
+    const { market, timeframe, limit, sort } = req.query;
+    const ranked = markets.select(market) ? null : markets.rankByActivity(sort);
+    const symbols = ranked ? markets.getMostActive(limit, sort) : markets.select(market);
+
+    res.json(symbols.map(symbol => {
+      const instrument = getInstrument(symbol);
+      const price = marketData.getPrice(symbol);
+      const activity = ranked && ranked.find(entry => entry.symbol === symbol);
+
+      return {
+        symbol,
+        name: instrument.name,
+        market: instrument.market,
+        price: price === null ? null : Number(price.toFixed(instrument.precision)),
+        change: getDailyChange(symbol),
+        signal: getRecentBreakSignal(markets.getCandles(symbol, timeframe)),
+        timeframe,
+        ...(activity && { activity: { score: activity.score, volume: activity.volume, range: activity.range, setups: activity.setups } })
+      };
+    }));
+  });
+
+  // Get candlestick data for a specific market
+  api.get('/api/candles', {
+    summary: 'Candles of a market tagged with their killzone and Silver Bullet window',
+    tags: ['Market data'],
+    query: z.object({ symbol: z.string().min(1), timeframe: timeframeSchema.default('D1') }),
+    responses: { 200: z.array(candleSchema), 404: errorSchema }
+  }, requireScope('market:read'), (req, res) => {
+    const { symbol, timeframe } = req.query;
+
+    if (!getInstrument(symbol)) {
+      return sendUnknownSymbol(res, symbol);
+    }
+
+    res.json(tagCandles(markets.getCandles(symbol, timeframe)));
+  });
+
+  // Import historical OHLCV candles, either a raw CSV body (Content-Type: text/csv, with
+  // symbol, timeframe, columns and delimiter in the query string) or a JSON body holding
+  // the same fields plus `content` (CSV text) or `candles` (the /api/candles shape)
+  api.post('/api/candles/import', {
+    summary: 'Import historical candles from CSV or JSON (admins)',
+    tags: ['Market data'],
+    query: importQuerySchema,
+    body: importBodySchema,
+    raw: 'text/csv',
+    responses: {
+      200: z.object({
+        symbol: z.string(),
+        timeframe: z.string(),
+        imported: z.number().int(),
+        stored: z.number().int(),
+        warnings: z.array(z.unknown())
+      }),
+      400: z.union([
+        validationErrorSchema,
+        z.object({ message: z.string(), errors: z.array(z.object({ message: z.string() }).passthrough()), warnings: z.array(z.unknown()) })
+      ]),
+      404: errorSchema
+    }
+  }, requireRole('admin'), requireScope('candles:write'), express.text({ type: 'text/csv', limit: '20mb' }), (req, res) => {
+    const rawCsv = typeof req.body === 'string';
+    const params = rawCsv
+      ? { ...req.query, hasHeader: req.query.hasHeader === 'true', replace: req.query.replace === 'true' }
+      : req.body;
+    const { symbol, timeframe } = params;
+
+    if (rawCsv && (!symbol || !timeframe)) {
+      return sendInvalid(res, ['symbol', 'timeframe']
+        .filter(field => !params[field])
+        .map(field => ({ in: 'query', path: field, message: 'Required' })));
+    }
+    if (!getInstrument(symbol)) {
+      return sendUnknownSymbol(res, symbol);
+    }
+
+    let parsed;
+    if (rawCsv || params.format === 'csv') {
+      parsed = parseCsvCandles(rawCsv ? req.body : params.content || '', {
+        columns: typeof params.columns === 'string' ? parseColumnMapping(params.columns) : params.columns,
+        delimiter: params.delimiter,
+        hasHeader: params.hasHeader
+      });
+    } else {
+      parsed = parseJsonCandles(params.candles);
+    }
+
+    const validated = validateCandles(parsed.candles, getTimeframeInterval(timeframe));
+    const errors = [...parsed.errors, ...validated.errors];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid candle data',
+        errors,
+        warnings: validated.warnings
+      });
+    }
+
+    const stored = saveCandles(symbol, timeframe, validated.candles, { replace: params.replace });
+
+    console.log(`Imported ${validated.candles.length} ${timeframe} candles for ${symbol}`);
+    res.json({
+      symbol,
+      timeframe,
+      imported: validated.candles.length,
+      stored: stored.length,
+      warnings: validated.warnings
+    });
+  });
+
+  // List the imported candle series
+  api.get('/api/candles/imports', {
+    summary: 'Imported candle series',
+    tags: ['Market data'],
+    responses: {
+      200: z.array(z.object({
+        symbol: z.string(),
+        timeframe: z.string(),
+        count: z.number().int(),
+        from: z.number().nullable(),
+        to: z.number().nullable()
+      }))
+    }
+  }, requireScope('market:read'), (req, res) => {
+    res.json(listStoredCandles());
+  });
+
+  // Position size for a trade risking riskPercent of the balance between entry and stop:
+  // lots and units, pip value and the money at risk, all in the account currency
+  api.get('/api/risk/position-size', {
+    summary: 'Lots and units risking a share of the balance between entry and stop',
+    tags: ['Risk'],
+    query: positionSizeQuerySchema,
+    responses: { 200: positionSizeSchema, 404: errorSchema, 422: errorSchema }
+  }, requireScope('market:read'), (req, res) => {
+    const { symbol, accountCurrency, balance, riskPercent, entry, stop } = req.query;
+
+    try {
+      res.json(calculatePositionSize({ symbol, accountCurrency, balance, riskPercent, entry, stop }, getQuotedPrice));
+    } catch (error) {
+      if (error.code === 'UNKNOWN_SYMBOL') {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.code === 'NO_CONVERSION') {
+        return res.status(422).json({ message: error.message });
+      }
+      console.error('Failed to size position:', error);
+      res.status(500).json({ message: 'Failed to size position' });
+    }
+  });
+}
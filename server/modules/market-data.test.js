@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import express from 'express';
+import { createApi } from '../http/api.js';
+import { createFileInstrumentRepository } from '../instruments/file-repository.js';
+import { DEFAULT_INSTRUMENTS, getInstrument, setInstruments } from '../market-data/instruments.js';
+import { setupMarketDataModule } from './market-data.js';
+
+const NZD_USD = {
+  symbol: 'NZD/USD',
+  name: 'New Zealand Dollar / US Dollar',
+  market: 'forex',
+  baseCurrency: 'NZD',
+  quoteCurrency: 'USD',
+  pipSize: 0.0001,
+  tickSize: 0.00001,
+  precision: 5,
+  contractSize: 100000
+};
+
+let server;
+let baseUrl;
+let dataDir;
+
+// The module behind an admin with a feed that has no prices, so only the catalogue routes matter
+before(async () => {
+  dataDir = mkdtempSync(path.join(tmpdir(), 'instruments-'));
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'admin', username: 'admin', role: 'admin' };
+    req.isAuthenticated = () => true;
+    next();
+  });
+
+  setupMarketDataModule({
+    api: createApi(app, { info: { title: 'Test', version: '1' }, validateResponses: true }),
+    marketData: {
+      getSymbols: () => [],
+      getPrice: () => null,
+      getCandles: () => [],
+      subscribeTicks: () => () => {}
+    },
+    markets: { symbols: [], onChange: () => {} },
+    instruments: createFileInstrumentRepository(path.join(dataDir, 'instruments.json')),
+    realtime: { handle: () => {}, publish: () => {}, hasSubscribers: () => false }
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  setInstruments(DEFAULT_INSTRUMENTS);
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, path, body) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+test('adds an instrument to the stored and the loaded catalogue', async () => {
+  const created = await request('POST', '/api/symbols', NZD_USD);
+
+  assert.equal(created.status, 201);
+  assert.equal(created.body.minLot, 0.01);
+  assert.deepEqual(created.body.tradingHours, { open: 'Sun 17:00', close: 'Fri 17:00' });
+  assert.equal(getInstrument('NZD/USD').name, NZD_USD.name);
+  assert.equal((await request('GET', '/api/symbols/NZD-USD')).body.symbol, 'NZD/USD');
+
+  const stored = JSON.parse(readFileSync(path.join(dataDir, 'instruments.json'), 'utf8'));
+  assert.equal(stored[stored.length - 1].symbol, 'NZD/USD');
+});
+
+test('rejects duplicate and malformed symbols', async () => {
+  const duplicate = await request('POST', '/api/symbols', { ...NZD_USD, symbol: 'EUR/USD' });
+  assert.equal(duplicate.status, 409);
+
+  const malformed = await request('POST', '/api/symbols', { ...NZD_USD, symbol: 'nzd-usd', quoteCurrency: 'usd' });
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(malformed.body.errors.map(error => error.path), ['symbol', 'quoteCurrency']);
+});
+
+test('updates some fields of an instrument', async () => {
+  const updated = await request('PATCH', '/api/symbols/NZD%2FUSD', { precision: 4, tradingHours: null });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.precision, 4);
+  assert.equal(updated.body.pipSize, NZD_USD.pipSize);
+  assert.equal(getInstrument('NZD/USD').tradingHours, null);
+  assert.equal((await request('PATCH', '/api/symbols/NZD-USD', { precision: 20 })).status, 400);
+});
+
+test('removes an instrument and answers 404 for unknown symbols', async () => {
+  assert.equal((await request('DELETE', '/api/symbols/NZD-USD')).status, 204);
+  assert.equal(getInstrument('NZD/USD'), null);
+
+  assert.equal((await request('GET', '/api/symbols/NZD-USD')).status, 404);
+  assert.equal((await request('PATCH', '/api/symbols/NZD-USD', { precision: 4 })).status, 404);
+  assert.equal((await request('DELETE', '/api/symbols/NZD-USD')).status, 404);
+});
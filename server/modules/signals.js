@@ -0,0 +1,314 @@
+// Signals module: the signal store and outcome tracker, manual signals and the periodic
+// Silver Bullet setup scanner, and every way a signal goes out: the signals channels,
+// filtered by each user's watchlists, webhooks and paper trading
+import { nanoid } from 'nanoid';
+import { z } from 'zod';
+import { tagSignal } from '../analysis/sessions.js';
+import { analyzeMarketStructure, getLatestBreak } from '../analysis/market-structure.js';
+import { findSilverBulletSetups } from '../analysis/silver-bullet-setups.js';
+import { requireRole, requireScope } from '../auth/roles.js';
+import { errorSchema, idParamsSchema, signalSchema, timeframeSchema, validationErrorSchema } from '../http/schemas.js';
+import { getInstrument, getMarketName } from '../market-data/instruments.js';
+import { SIGNAL_STATUSES, OPEN_STATUSES } from '../signals/lifecycle.js';
+import { createSignalRepository } from '../signals/repository.js';
+import { createOutcomeTracker } from '../signals/outcome-tracker.js';
+import { createWebhookRepository } from '../webhooks/repository.js';
+import { setupWebhooks } from '../webhooks/routes.js';
+import { createPaperRepository } from '../paper/repository.js';
+import { setupPaperTrading } from '../paper/routes.js';
+import { createWatchlistRepository } from '../watchlists/repository.js';
+import { setupWatchlists } from '../watchlists/routes.js';
+
+const historyQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(200).default(50),
+  status: z.string().transform(value => value.split(',')).pipe(z.array(z.enum(SIGNAL_STATUSES)))
+    .describe(`Comma-separated statuses out of ${SIGNAL_STATUSES.join(', ')}`)
+    .optional(),
+  symbol: z.string().min(1).optional()
+});
+
+export function setupSignalsModule({ app, api, config, marketData, markets, realtime, guardChannel }) {
+  const { signalWindows, signalWindowMode, setupTimeframe } = config;
+
+  // Where signals are kept: Postgres when DATABASE_URL is set, memory otherwise
+  const signalStore = createSignalRepository(config.env);
+
+  // Closes open signals at their stop-loss or take-profit and tells clients about every change
+  const outcomeTracker = createOutcomeTracker({
+    store: signalStore,
+    marketData,
+    onUpdate: signal => broadcastSignal(signal, 'signal_update')
+  });
+  outcomeTracker.start().catch(error => console.error('Failed to load open signals:', error));
+
+  // Webhooks registered for signals, delivered with retries in the background
+  const webhooks = setupWebhooks(app, {
+    api,
+    webhooks: createWebhookRepository(config.env),
+    symbols: markets.symbols,
+    allowPrivateAddresses: config.allowPrivateWebhooks
+  });
+
+  // Paper accounts that trade every signal, with their positions pushed on paper:<accountId>
+  const paperTrader = setupPaperTrading(app, {
+    api,
+    paper: createPaperRepository(config.env),
+    marketData,
+    symbols: markets.symbols,
+    publish: (channel, type, data) => realtime.publish(channel, type, data)
+  });
+  guardChannel(paperTrader.authorizeChannel);
+
+  // Named watchlists whose filters decide which signals each user is sent and sees as active
+  const watchlists = setupWatchlists(app, {
+    api,
+    watchlists: createWatchlistRepository(config.env),
+    symbols: markets.symbols
+  });
+
+  // Send a signal, or a change to one, to the clients subscribed to its market whose
+  // watchlists let it through, to webhooks and to the paper accounts
+  function broadcastSignal(signal, type = 'signal') {
+    // Held until the watchlists are loaded; afterwards this runs in the order signals were sent
+    watchlists.ready.then(() => {
+      realtime.publish(`signals:${signal.symbol}`, type, signal, user => watchlists.accepts(user, signal));
+    });
+    paperTrader.handleSignal(signal);
+    webhooks.dispatch(type, signal).catch(error => console.error('Failed to queue webhook deliveries:', error));
+  }
+
+  // The structure break a buy or sell signal is trading in the direction of
+  function getSignalStructureBreak(symbol, timeframe, type) {
+    const structure = analyzeMarketStructure(markets.getCandles(symbol, timeframe));
+    return getLatestBreak(structure, type === 'buy' ? 'bullish' : 'bearish');
+  }
+
+  // Turn a Silver Bullet setup into a signal carrying its levels and the conditions that fired
+  function createSetupSignal(symbol, timeframe, setup) {
+    return tagSignal({
+      id: nanoid(),
+      market: getMarketName(symbol),
+      symbol,
+      type: setup.type,
+      entryPrice: setup.entryPrice,
+      stopLoss: setup.stopLoss,
+      takeProfits: setup.takeProfits,
+      riskReward: setup.riskReward,
+      timestamp: new Date().toISOString(),
+      profitLoss: null,
+      status: 'pending',
+      timeframe,
+      structureBreak: setup.structureBreak,
+      conditions: setup.conditions
+    }, signalWindows);
+  }
+
+  // Generate a new signal
+  api.post('/api/signals/generate', {
+    summary: 'Send a manual signal at a price',
+    tags: ['Signals'],
+    body: z.object({
+      symbol: z.string().min(1),
+      type: z.enum(['buy', 'sell']),
+      price: z.number().positive(),
+      // Where the outcome tracker closes the signal; one without either expires after a while
+      stopLoss: z.number().positive().optional(),
+      takeProfit: z.number().positive().optional(),
+      timeframe: timeframeSchema.default('D1')
+    })
+      .refine(body => body.stopLoss === undefined || (body.price - body.stopLoss) * getDirection(body.type) > 0, {
+        message: 'Stop-loss must be below the price of a buy and above the price of a sell',
+        path: ['stopLoss']
+      })
+      .refine(body => body.takeProfit === undefined || (body.takeProfit - body.price) * getDirection(body.type) > 0, {
+        message: 'Take-profit must be above the price of a buy and below the price of a sell',
+        path: ['takeProfit']
+      }),
+    responses: {
+      200: signalSchema,
+      // Outside the Silver Bullet windows when SIGNAL_WINDOW_MODE is reject
+      400: z.union([validationErrorSchema, z.object({ message: z.string(), session: z.record(z.unknown()) })]),
+      404: errorSchema
+    }
+  }, requireRole('analyst'), requireScope('signals:write'), async (req, res) => {
+    const { symbol, type, price, stopLoss, takeProfit, timeframe } = req.body;
+
+    if (!getInstrument(symbol)) {
+      return res.status(404).json({ message: `Unknown symbol ${symbol}` });
+    }
+
+    // Create new signal, in the market from the moment it is sent
+    const timestamp = new Date().toISOString();
+    const signal = tagSignal({
+      id: nanoid(),
+      market: getMarketName(symbol),
+      symbol,
+      type,
+      entryPrice: price,
+      stopLoss: stopLoss ?? null,
+      takeProfits: takeProfit === undefined ? null : [takeProfit],
+      riskReward: stopLoss !== undefined && takeProfit !== undefined
+        ? Math.round(Math.abs(takeProfit - price) / Math.abs(price - stopLoss) * 100) / 100
+        : null,
+      timestamp,
+      activatedAt: timestamp,
+      profitLoss: null,
+      status: 'active',
+      timeframe,
+      structureBreak: getSignalStructureBreak(symbol, timeframe, type)
+    }, signalWindows);
+
+    if (!signal.inWindow && signalWindowMode === 'reject') {
+      return res.status(400).json({
+        message: 'Signal is outside the configured Silver Bullet windows',
+        session: signal.session
+      });
+    }
+
+    let stored;
+    try {
+      stored = await signalStore.create(signal);
+      outcomeTracker.track(stored);
+    } catch (error) {
+      console.error('Failed to store signal:', error);
+      return res.status(500).json({ message: 'Failed to store signal' });
+    }
+
+    // Broadcast the stored record, so later updates match what clients were sent
+    broadcastSignal(stored);
+
+    console.log(`Sent ${type} signal for ${symbol} at ${price}`);
+    res.json(stored);
+  });
+
+  // Signals waiting for their entry or in the market that your watchlists let through, newest first
+  api.get('/api/signals/active', {
+    summary: 'Signals waiting for their entry or in the market that your watchlists let through, newest first',
+    tags: ['Signals'],
+    query: z.object({ symbol: z.string().min(1).optional() }),
+    responses: { 200: z.array(signalSchema) }
+  }, requireScope('signals:read'), async (req, res) => {
+    try {
+      const { items } = await signalStore.list({ statuses: OPEN_STATUSES, symbol: req.query.symbol });
+      await watchlists.ready;
+      res.json(items.filter(signal => watchlists.accepts(req.user, signal)));
+    } catch (error) {
+      console.error('Failed to load active signals:', error);
+      res.status(500).json({ message: 'Failed to load signals' });
+    }
+  });
+
+  // Every signal ever sent, a page at a time
+  api.get('/api/signals/history', {
+    summary: 'Every signal ever sent, a page at a time, newest first',
+    tags: ['Signals'],
+    query: historyQuerySchema,
+    responses: {
+      200: z.object({
+        items: z.array(signalSchema),
+        page: z.number().int(),
+        pageSize: z.number().int(),
+        total: z.number().int()
+      })
+    }
+  }, requireScope('signals:read'), async (req, res) => {
+    const { page, pageSize } = req.query;
+
+    try {
+      const { items, total } = await signalStore.list({
+        statuses: req.query.status,
+        symbol: req.query.symbol,
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+      res.json({ items, page, pageSize, total });
+    } catch (error) {
+      console.error('Failed to load signal history:', error);
+      res.status(500).json({ message: 'Failed to load signals' });
+    }
+  });
+
+  api.get('/api/signals/:id', {
+    summary: 'A signal',
+    tags: ['Signals'],
+    params: idParamsSchema,
+    responses: { 200: signalSchema, 404: errorSchema }
+  }, requireScope('signals:read'), async (req, res) => {
+    try {
+      const signal = await signalStore.get(req.params.id);
+      if (!signal) {
+        return res.status(404).json({ message: 'Signal not found' });
+      }
+      res.json(signal);
+    } catch (error) {
+      console.error('Failed to load signal:', error);
+      res.status(500).json({ message: 'Failed to load signal' });
+    }
+  });
+
+  // Cancel a pending or active signal and tell clients about it
+  api.post('/api/signals/:id/cancel', {
+    summary: 'Cancel a pending or active signal',
+    tags: ['Signals'],
+    params: idParamsSchema,
+    responses: { 200: signalSchema, 404: errorSchema, 409: errorSchema }
+  }, requireRole('analyst'), requireScope('signals:write'), async (req, res) => {
+    try {
+      const signal = await signalStore.updateStatus(req.params.id, 'cancelled');
+      if (!signal) {
+        return res.status(404).json({ message: 'Signal not found' });
+      }
+      outcomeTracker.untrack(signal.id);
+      broadcastSignal(signal, 'signal_update');
+      res.json(signal);
+    } catch (error) {
+      if (error.code === 'INVALID_TRANSITION') {
+        return res.status(409).json({ message: error.message });
+      }
+      console.error('Failed to cancel signal:', error);
+      res.status(500).json({ message: 'Failed to cancel signal' });
+    }
+  });
+
+  // Timestamp of the last setup broadcast per market
+  const lastSetups = new Map();
+
+  // Scan every market for Silver Bullet setups and broadcast the ones that just formed. This
+  // runs with no WebSocket clients too: the store, webhooks and paper accounts want every setup.
+  setInterval(() => {
+    markets.all.forEach(symbol => {
+      const candles = markets.getCandles(symbol, setupTimeframe);
+      // Only a setup confirmed by the last closed candle is new. Setups come in the order of
+      // their structure breaks, so that is not necessarily the last one.
+      const setup = findSilverBulletSetups(candles, { windows: signalWindows })
+        .filter(candidate => candidate.confirmedIndex === candles.length - 1)
+        .pop();
+
+      // Imported candles stay the same between scans, so each setup is only sent once
+      if (!setup || lastSetups.get(symbol) === setup.timestamp) {
+        return;
+      }
+      lastSetups.set(symbol, setup.timestamp);
+
+      const signal = createSetupSignal(symbol, setupTimeframe, setup);
+
+      if (!signal.inWindow && signalWindowMode === 'reject') {
+        return;
+      }
+
+      signalStore.create(signal)
+        .then(stored => {
+          outcomeTracker.track(stored);
+          console.log(`Broadcasting ${signal.type} setup for ${symbol} at ${signal.entryPrice}`);
+          broadcastSignal(stored);
+        })
+        .catch(error => console.error(`Failed to store ${symbol} setup signal:`, error));
+    });
+  }, config.scanInterval);
+}
+
+// 1 for buys and -1 for sells, so levels can be checked against the price for either side
+function getDirection(type) {
+  return type === 'buy' ? 1 : -1;
+}
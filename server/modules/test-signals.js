@@ -0,0 +1,56 @@
+// Test signals module, for checking WebSocket connectivity: a page showing the frames it
+// receives at /, and random signals that are published but never stored, every 15 seconds
+// while anyone is connected and on demand from POST /api/test-signal
+import { z } from 'zod';
+import { WEBSOCKET_TEST_PAGE } from '../diagnostics/pages.js';
+
+const TEST_SIGNAL_INTERVAL = 15000;
+
+const testSignalSchema = z.object({
+  id: z.string(),
+  type: z.enum(['buy', 'sell']),
+  symbol: z.string(),
+  entryPrice: z.number().nullable(),
+  timestamp: z.string(),
+  timeframe: z.string(),
+  auto: z.boolean()
+});
+
+export function setupTestSignalsModule({ app, api, marketData, markets, realtime }) {
+  // A random signal priced from the market data provider; `auto` marks the periodic ones
+  function createTestSignal(auto) {
+    const symbol = markets.symbols[Math.floor(Math.random() * markets.symbols.length)];
+    return {
+      id: Date.now().toString(),
+      type: Math.random() > 0.5 ? 'buy' : 'sell',
+      symbol,
+      entryPrice: marketData.getPrice(symbol),
+      timestamp: new Date().toISOString(),
+      timeframe: 'D1',
+      auto
+    };
+  }
+
+  app.get('/', (req, res) => {
+    res.send(WEBSOCKET_TEST_PAGE);
+  });
+
+  // Publish a test signal to the clients subscribed to its market
+  api.post('/api/test-signal', {
+    summary: 'Publish a random test signal without storing it',
+    tags: ['Signals'],
+    responses: { 200: testSignalSchema }
+  }, (req, res) => {
+    const signal = createTestSignal(false);
+    realtime.publish(`signals:${signal.symbol}`, 'signal', signal);
+    res.json(signal);
+  });
+
+  setInterval(() => {
+    if (realtime.size > 0 && markets.symbols.length > 0) {
+      const signal = createTestSignal(true);
+      realtime.publish(`signals:${signal.symbol}`, 'signal', signal);
+      console.log(`Sent signal: ${signal.type} ${signal.symbol} @ ${signal.entryPrice}`);
+    }
+  }, TEST_SIGNAL_INTERVAL);
+}
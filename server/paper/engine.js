@@ -0,0 +1,286 @@
+// Paper trading: every account follows the signal stream and opens a simulated position when
+// a signal becomes active, at the live price from the market data feed. The position risks the
+// account's riskPercent of its balance between the fill and the signal's stop-loss, reduced to
+// what the free margin allows at the account's leverage. Positions close when the outcome
+// tracker closes their signal: at the stop-loss or take-profit level, or at the live price
+// when the signal is cancelled or expires.
+//
+// Profit in a quote currency other than the account's is converted at the feed's prices, with
+// reference pairs filling in for currencies no traded symbol links directly. Signals that
+// cannot be traded are reported on the account with the reason they were skipped.
+import { isOpen } from '../signals/lifecycle.js';
+import { getConversionRate as convertCurrency, createPriceLookup } from '../market-data/currency.js';
+import { getSymbolSpec } from '../market-data/symbol-specs.js';
+
+const ACCOUNT_CURRENCY = 'USD';
+// How many skipped signals each account remembers
+const MAX_SKIPPED = 20;
+// How often the equity of accounts with open positions is recorded
+const EQUITY_INTERVAL = 5 * 60 * 1000;
+
+// publish(channel, type, data) sends paper_position and paper_account frames on
+// `paper:<accountId>`
+export function createPaperTrader({ store, marketData, publish }) {
+  const accounts = new Map();
+  const open = new Map();
+  // Balance changes of one account run one after another
+  const queues = new Map();
+  // The latest signals each account did not trade, newest first. Kept only until restart.
+  const skipped = new Map();
+  const getQuotedPrice = createPriceLookup(marketData);
+  let equityTimer = null;
+
+  // Pick up the accounts and open positions left by the last run
+  async function start() {
+    (await store.listAccounts()).forEach(account => accounts.set(account.id, account));
+    (await store.listPositions({ status: 'open', limit: null })).forEach(position => open.set(position.id, position));
+    equityTimer = setInterval(recordOpenEquity, EQUITY_INTERVAL);
+  }
+
+  function stop() {
+    clearInterval(equityTimer);
+  }
+
+  function enqueue(accountId, task) {
+    const next = (queues.get(accountId) || Promise.resolve())
+      .then(task)
+      .catch(error => console.error(`Paper account ${accountId} failed to trade:`, error));
+    queues.set(accountId, next);
+    return next;
+  }
+
+  async function addAccount(account) {
+    accounts.set(account.id, account);
+    await recordEquity(account);
+  }
+
+  function removeAccount(id) {
+    accounts.delete(id);
+    queues.delete(id);
+    skipped.delete(id);
+    open.forEach((position, positionId) => {
+      if (position.accountId === id) {
+        open.delete(positionId);
+      }
+    });
+  }
+
+  // Follow a new signal or a change to one
+  function handleSignal(signal) {
+    if (signal.status === 'active') {
+      accounts.forEach(account => {
+        if (!account.symbols || account.symbols.includes(signal.symbol)) {
+          enqueue(account.id, () => openPosition(account.id, signal));
+        }
+      });
+    } else if (!isOpen(signal.status)) {
+      // Queued behind any open of the same signal that is still in flight
+      accounts.forEach(account => {
+        enqueue(account.id, () => closeSignalPositions(account.id, signal));
+      });
+    }
+  }
+
+  async function openPosition(accountId, signal) {
+    const account = accounts.get(accountId);
+    const alreadyOpen = [...open.values()].some(position => position.accountId === accountId && position.signalId === signal.id);
+    if (!account || alreadyOpen) {
+      return;
+    }
+
+    const price = marketData.getPrice(signal.symbol);
+    const rate = getConversionRate(signal.symbol, account);
+    const reason = getSkipReason(account, signal, price, rate);
+    if (reason) {
+      skipSignal(account, signal, reason);
+      return;
+    }
+
+    const riskUnits = account.balance * account.riskPercent / 100 / (Math.abs(price - signal.stopLoss) * rate);
+    const freeMargin = account.balance - getUsedMargin(accountId);
+    const marginUnits = freeMargin * account.leverage / (price * rate);
+    const units = roundUnits(Math.min(riskUnits, marginUnits));
+    if (units <= 0) {
+      skipSignal(account, signal, 'Not enough free margin or risk for the smallest position');
+      return;
+    }
+
+    const position = await store.createPosition({
+      accountId,
+      signalId: signal.id,
+      symbol: signal.symbol,
+      side: signal.type,
+      units,
+      entryPrice: price,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfits && signal.takeProfits.length > 0 ? signal.takeProfits[0] : null,
+      margin: roundMoney(units * price * rate / account.leverage),
+      openedAt: new Date().toISOString()
+    });
+    open.set(position.id, position);
+    publish(`paper:${accountId}`, 'paper_position', position);
+    await recordEquity(account);
+  }
+
+  // Why the signal cannot be traded at `price`, or null. Signals without a stop cannot be
+  // sized, and a fill beyond the stop would close at once.
+  function getSkipReason(account, signal, price, rate) {
+    if (price === null) {
+      return `No live price for ${signal.symbol}`;
+    }
+    if (rate === null) {
+      return `No conversion rate into ${getAccountCurrency(account)}`;
+    }
+    if (typeof signal.stopLoss !== 'number') {
+      return 'Signal has no stop-loss';
+    }
+    const direction = signal.type === 'buy' ? 1 : -1;
+    return (price - signal.stopLoss) * direction <= 0 ? 'Live price is already beyond the stop-loss' : null;
+  }
+
+  function skipSignal(account, signal, reason) {
+    const entries = [
+      { signalId: signal.id, symbol: signal.symbol, reason, skippedAt: new Date().toISOString() },
+      ...(skipped.get(account.id) || [])
+    ];
+    skipped.set(account.id, entries.slice(0, MAX_SKIPPED));
+    publish(`paper:${account.id}`, 'paper_account', summarize(account));
+  }
+
+  async function closeSignalPositions(accountId, signal) {
+    const positions = getOpenPositions(accountId).filter(position => position.signalId === signal.id);
+    for (const position of positions) {
+      await closePosition(position, signal);
+    }
+  }
+
+  async function closePosition(position, signal) {
+    const account = accounts.get(position.accountId);
+    if (!account) {
+      return;
+    }
+
+    const hitLevel = signal.status === 'hit_tp' || signal.status === 'hit_sl';
+    const exitPrice = hitLevel && typeof signal.exitPrice === 'number' ? signal.exitPrice : marketData.getPrice(position.symbol);
+    const profitLoss = exitPrice === null ? 0 : getProfitLoss(position, exitPrice);
+
+    const closed = await store.updatePosition(position.id, {
+      status: 'closed',
+      exitPrice: exitPrice === null ? position.entryPrice : exitPrice,
+      closeReason: signal.status,
+      profitLoss,
+      closedAt: new Date().toISOString()
+    });
+    open.delete(position.id);
+
+    const updated = await store.updateAccount(account.id, { balance: roundMoney(account.balance + profitLoss) });
+    if (updated) {
+      accounts.set(updated.id, updated);
+      publish(`paper:${account.id}`, 'paper_position', closed);
+      await recordEquity(updated);
+    }
+  }
+
+  // Profit in account currency at `price`, 0 when the quote cannot be converted
+  function getProfitLoss(position, price) {
+    const direction = position.side === 'buy' ? 1 : -1;
+    const rate = getConversionRate(position.symbol, accounts.get(position.accountId));
+    return rate === null ? 0 : roundMoney((price - position.entryPrice) * direction * position.units * rate);
+  }
+
+  // Account currency per unit of the symbol's quote currency, or null when unknown
+  function getConversionRate(symbol, account) {
+    const spec = getSymbolSpec(symbol);
+    const quote = spec ? spec.quoteCurrency : symbol.split('/')[1];
+    return convertCurrency(quote, getAccountCurrency(account), getQuotedPrice);
+  }
+
+  function getOpenPositions(accountId) {
+    return [...open.values()].filter(position => position.accountId === accountId);
+  }
+
+  function getUsedMargin(accountId) {
+    return getOpenPositions(accountId).reduce((sum, position) => sum + position.margin, 0);
+  }
+
+  // Open positions of an account marked to the live price
+  function getMarkedPositions(accountId) {
+    return getOpenPositions(accountId).map(position => {
+      const price = marketData.getPrice(position.symbol);
+      return {
+        ...position,
+        currentPrice: price,
+        unrealizedProfitLoss: price === null ? 0 : getProfitLoss(position, price)
+      };
+    });
+  }
+
+  // The account with its live equity and margin
+  function summarize(account) {
+    const positions = getMarkedPositions(account.id);
+    const unrealized = positions.reduce((sum, position) => sum + position.unrealizedProfitLoss, 0);
+    const usedMargin = roundMoney(getUsedMargin(account.id));
+
+    return {
+      ...account,
+      equity: roundMoney(account.balance + unrealized),
+      usedMargin,
+      freeMargin: roundMoney(account.balance - usedMargin),
+      openPositions: positions.length,
+      skippedSignals: skipped.get(account.id) || []
+    };
+  }
+
+  async function recordEquity(account) {
+    const summary = summarize(account);
+    await store.addEquityPoint({
+      accountId: account.id,
+      timestamp: new Date().toISOString(),
+      balance: summary.balance,
+      equity: summary.equity
+    });
+    publish(`paper:${account.id}`, 'paper_account', summary);
+  }
+
+  function recordOpenEquity() {
+    accounts.forEach(account => {
+      if (getOpenPositions(account.id).length > 0) {
+        enqueue(account.id, () => recordEquity(accounts.get(account.id)));
+      }
+    });
+  }
+
+  // The error message for a paper channel `user` may not subscribe to, or null
+  function authorizeChannel(user, channel) {
+    const [kind, accountId] = channel.split(':');
+    if (kind !== 'paper') {
+      return null;
+    }
+    const account = accounts.get(accountId);
+    return account && user && account.userId === user.id ? null : `Unknown paper account ${accountId}`;
+  }
+
+  return {
+    start,
+    stop,
+    addAccount,
+    removeAccount,
+    handleSignal,
+    getMarkedPositions,
+    getAccountSummary: id => accounts.has(id) ? summarize(accounts.get(id)) : null,
+    authorizeChannel
+  };
+}
+
+function getAccountCurrency(account) {
+  return account && account.currency ? account.currency : ACCOUNT_CURRENCY;
+}
+
+// Rounded down, with slack for floating point error so 19999.99999... stays 20000
+function roundUnits(units) {
+  return Math.floor(units * 10000 * (1 + 1e-9)) / 10000;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100 || 0;
+}
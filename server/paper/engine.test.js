@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPaperTrader } from './engine.js';
+import { createMemoryPaperRepository } from './memory-repository.js';
+
+// A feed that lists GBP/JPY only; USD/JPY is priced as a reference pair
+function createMarketData(prices) {
+  return {
+    getSymbols: () => [{ symbol: 'GBP/JPY' }],
+    getPrice: symbol => prices[symbol] || null
+  };
+}
+
+async function createTrader(prices) {
+  const store = createMemoryPaperRepository();
+  const frames = [];
+  const trader = createPaperTrader({
+    store,
+    marketData: createMarketData(prices),
+    publish: (channel, type, data) => frames.push({ channel, type, data })
+  });
+  const account = await store.createAccount({
+    userId: 'user-1',
+    name: 'Test',
+    initialBalance: 10000,
+    balance: 10000,
+    leverage: 30,
+    riskPercent: 1,
+    symbols: null
+  });
+  await trader.addAccount(account);
+  return { trader, account, frames };
+}
+
+function createSignal(fields) {
+  return { id: 'signal-1', symbol: 'GBP/JPY', type: 'buy', status: 'active', stopLoss: 189, takeProfits: [192], ...fields };
+}
+
+// Trades run on a per-account queue
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('opens a cross position converted through a reference pair', async () => {
+  const { trader, account } = await createTrader({ 'GBP/JPY': 190, 'USD/JPY': 150 });
+
+  trader.handleSignal(createSignal());
+  await settle();
+
+  const [position] = trader.getMarkedPositions(account.id);
+  // 1% of 10,000 USD over a 1 yen stop at 150 yen per dollar
+  assert.equal(position.units, 15000);
+  assert.deepEqual(trader.getAccountSummary(account.id).skippedSignals, []);
+});
+
+test('reports why a signal was not traded', async () => {
+  const prices = { 'GBP/JPY': 190, 'USD/JPY': 150 };
+  const { trader, account, frames } = await createTrader(prices);
+
+  trader.handleSignal(createSignal({ stopLoss: null }));
+  await settle();
+  delete prices['USD/JPY'];
+  trader.handleSignal(createSignal({ id: 'signal-2' }));
+  await settle();
+
+  assert.deepEqual(trader.getMarkedPositions(account.id), []);
+  const reasons = trader.getAccountSummary(account.id).skippedSignals.map(entry => [entry.signalId, entry.reason]);
+  assert.deepEqual(reasons, [
+    ['signal-2', 'No conversion rate into USD'],
+    ['signal-1', 'Signal has no stop-loss']
+  ]);
+  assert.equal(frames[frames.length - 1].type, 'paper_account');
+  assert.equal(frames[frames.length - 1].data.skippedSignals.length, 2);
+});
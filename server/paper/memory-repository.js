@@ -0,0 +1,102 @@
+// In-memory paper trading repository for local runs without a database. Same interface as
+// the Postgres repository; accounts and their history are lost on restart.
+import { nanoid } from 'nanoid';
+
+// Equity points kept per account, oldest dropped first
+const MAX_EQUITY_POINTS = 5000;
+
+export function createMemoryPaperRepository() {
+  const accounts = new Map();
+  const positions = new Map();
+  const equity = new Map();
+
+  return {
+    async createAccount(fields) {
+      const account = { id: nanoid(), currency: 'USD', ...fields, createdAt: new Date().toISOString() };
+      accounts.set(account.id, account);
+      equity.set(account.id, []);
+      return { ...account };
+    },
+
+    async getAccount(id) {
+      const account = accounts.get(id);
+      return account ? { ...account } : null;
+    },
+
+    async listAccounts(filter = {}) {
+      return [...accounts.values()]
+        .filter(account => !filter.userId || account.userId === filter.userId)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .map(account => ({ ...account }));
+    },
+
+    async updateAccount(id, changes) {
+      const account = accounts.get(id);
+      if (!account) {
+        return null;
+      }
+      Object.assign(account, changes);
+      return { ...account };
+    },
+
+    async removeAccount(id) {
+      positions.forEach((position, positionId) => {
+        if (position.accountId === id) {
+          positions.delete(positionId);
+        }
+      });
+      equity.delete(id);
+      return accounts.delete(id);
+    },
+
+    async createPosition(fields) {
+      const position = {
+        id: nanoid(),
+        status: 'open',
+        exitPrice: null,
+        closeReason: null,
+        profitLoss: null,
+        closedAt: null,
+        ...fields
+      };
+      positions.set(position.id, position);
+      return { ...position };
+    },
+
+    async updatePosition(id, changes) {
+      const position = positions.get(id);
+      if (!position) {
+        return null;
+      }
+      Object.assign(position, changes);
+      return { ...position };
+    },
+
+    // Newest first; closed positions are ordered by when they closed. A null limit returns all.
+    async listPositions({ accountId, status, limit = 100 } = {}) {
+      const sortKey = status === 'closed' ? 'closedAt' : 'openedAt';
+      return [...positions.values()]
+        .filter(position => (!accountId || position.accountId === accountId) && (!status || position.status === status))
+        .sort((a, b) => Date.parse(b[sortKey]) - Date.parse(a[sortKey]))
+        .slice(0, limit === null ? undefined : limit)
+        .map(position => ({ ...position }));
+    },
+
+    async addEquityPoint(fields) {
+      const points = equity.get(fields.accountId);
+      if (!points) {
+        return null;
+      }
+      const point = { id: nanoid(), ...fields };
+      points.push(point);
+      if (points.length > MAX_EQUITY_POINTS) {
+        points.shift();
+      }
+      return { ...point };
+    },
+
+    async listEquity(accountId, { limit = 500 } = {}) {
+      return (equity.get(accountId) || []).slice(-limit).map(point => ({ ...point }));
+    }
+  };
+}
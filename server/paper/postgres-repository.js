@@ -0,0 +1,110 @@
+// Paper trading repository on the paper_accounts, paper_positions and paper_equity tables in
+// shared/schema.ts
+import { and, asc, desc, eq } from 'drizzle-orm';
+import { nanoid } from 'nanoid';
+import { getDatabase } from '../db.js';
+
+export function createPostgresPaperRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, accounts: schema.paperAccounts, positions: schema.paperPositions, equity: schema.paperEquity };
+  }
+
+  return {
+    async createAccount(fields) {
+      const { db, accounts } = await ready();
+      const [row] = await db.insert(accounts).values({ id: nanoid(), ...fields }).returning();
+      return fromRow(row);
+    },
+
+    async getAccount(id) {
+      const { db, accounts } = await ready();
+      const [row] = await db.select().from(accounts).where(eq(accounts.id, id));
+      return row ? fromRow(row) : null;
+    },
+
+    async listAccounts(filter = {}) {
+      const { db, accounts } = await ready();
+      const where = filter.userId ? eq(accounts.userId, filter.userId) : undefined;
+      const rows = await db.select().from(accounts).where(where).orderBy(asc(accounts.createdAt));
+      return rows.map(fromRow);
+    },
+
+    async updateAccount(id, changes) {
+      const { db, accounts } = await ready();
+      const [row] = await db.update(accounts).set(toRow(changes)).where(eq(accounts.id, id)).returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async removeAccount(id) {
+      const { db, accounts } = await ready();
+      const rows = await db.delete(accounts).where(eq(accounts.id, id)).returning();
+      return rows.length > 0;
+    },
+
+    async createPosition(fields) {
+      const { db, positions } = await ready();
+      const [row] = await db.insert(positions).values(toRow({ id: nanoid(), ...fields })).returning();
+      return fromRow(row);
+    },
+
+    async updatePosition(id, changes) {
+      const { db, positions } = await ready();
+      const [row] = await db.update(positions).set(toRow(changes)).where(eq(positions.id, id)).returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async listPositions({ accountId, status, limit = 100 } = {}) {
+      const { db, positions } = await ready();
+      const conditions = [];
+      if (accountId) {
+        conditions.push(eq(positions.accountId, accountId));
+      }
+      if (status) {
+        conditions.push(eq(positions.status, status));
+      }
+      const query = db.select().from(positions)
+        .where(conditions.length > 0 ? and(...conditions) : undefined)
+        .orderBy(desc(status === 'closed' ? positions.closedAt : positions.openedAt));
+      const rows = limit === null ? await query : await query.limit(limit);
+      return rows.map(fromRow);
+    },
+
+    async addEquityPoint(fields) {
+      const { db, equity } = await ready();
+      const [row] = await db.insert(equity).values(toRow({ id: nanoid(), ...fields })).returning();
+      return fromRow(row);
+    },
+
+    async listEquity(accountId, { limit = 500 } = {}) {
+      const { db, equity } = await ready();
+      const rows = await db.select().from(equity)
+        .where(eq(equity.accountId, accountId))
+        .orderBy(desc(equity.timestamp))
+        .limit(limit);
+      return rows.map(fromRow).reverse();
+    }
+  };
+}
+
+const DATE_FIELDS = ['openedAt', 'closedAt', 'timestamp', 'createdAt'];
+
+function toRow(record) {
+  const row = { ...record };
+  DATE_FIELDS.forEach(field => {
+    if (typeof row[field] === 'string') {
+      row[field] = new Date(row[field]);
+    }
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const record = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (record[field] instanceof Date) {
+      record[field] = record[field].toISOString();
+    }
+  });
+  return record;
+}
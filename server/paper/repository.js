@@ -0,0 +1,21 @@
+// Picks where paper accounts are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemoryPaperRepository } from './memory-repository.js';
+import { createPostgresPaperRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   createAccount({ userId, name, initialBalance, balance, leverage, riskPercent, symbols }) -> account
+//   getAccount(id)                   -> account or null
+//   listAccounts({ userId })         -> accounts, oldest first
+//   updateAccount(id, changes)       -> account or null
+//   removeAccount(id)                -> whether it existed; positions and equity go with it
+//   createPosition(fields)           -> position, open
+//   updatePosition(id, changes)      -> position or null
+//   listPositions({ accountId, status, limit }) -> positions, newest first; limit null for all
+//   addEquityPoint({ accountId, timestamp, balance, equity }) -> point
+//   listEquity(accountId, { limit }) -> the latest points, oldest first
+export function createPaperRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresPaperRepository(config.DATABASE_URL);
+  }
+  return createMemoryPaperRepository();
+}
@@ -0,0 +1,242 @@
+// Paper trading accounts of the logged-in user or an API key with the paper:trade scope:
+//   POST /api/paper/accounts, GET /api/paper/accounts, GET /api/paper/accounts/:id,
+//   DELETE /api/paper/accounts/:id, GET /api/paper/accounts/:id/positions,
+//   GET /api/paper/accounts/:id/trades, GET /api/paper/accounts/:id/equity
+import { z } from 'zod';
+import { requireScope } from '../auth/roles.js';
+import { errorSchema, idParamsSchema, limitQuerySchema } from '../http/schemas.js';
+import { createPaperTrader } from './engine.js';
+
+const MAX_ACCOUNTS = 10;
+const DEFAULT_BALANCE = 10000;
+const MAX_BALANCE = 100000000;
+const DEFAULT_LEVERAGE = 30;
+const MAX_LEVERAGE = 500;
+const DEFAULT_RISK_PERCENT = 1;
+const MAX_RISK_PERCENT = 10;
+const MAX_LIST_LIMIT = 1000;
+
+// An account as stored; the summary fields are there while the trader has it loaded
+const accountSchema = z.object({
+  id: z.string(),
+  userId: z.string(),
+  name: z.string(),
+  currency: z.string(),
+  initialBalance: z.number(),
+  balance: z.number(),
+  leverage: z.number().int(),
+  riskPercent: z.number(),
+  symbols: z.array(z.string()).nullable(),
+  createdAt: z.string(),
+  equity: z.number().optional(),
+  usedMargin: z.number().optional(),
+  freeMargin: z.number().optional(),
+  openPositions: z.number().int().optional(),
+  // The latest signals the account did not trade, newest first
+  skippedSignals: z.array(z.object({
+    signalId: z.string(),
+    symbol: z.string(),
+    reason: z.string(),
+    skippedAt: z.string()
+  })).optional()
+});
+
+const positionSchema = z.object({
+  id: z.string(),
+  accountId: z.string(),
+  signalId: z.string(),
+  symbol: z.string(),
+  side: z.enum(['buy', 'sell']),
+  status: z.enum(['open', 'closed']),
+  units: z.number(),
+  entryPrice: z.number(),
+  stopLoss: z.number().nullish(),
+  takeProfit: z.number().nullish(),
+  margin: z.number(),
+  openedAt: z.string(),
+  exitPrice: z.number().nullish(),
+  closeReason: z.string().nullish(),
+  profitLoss: z.number().nullish(),
+  closedAt: z.string().nullish()
+});
+
+const equityPointSchema = z.object({
+  accountId: z.string(),
+  timestamp: z.string(),
+  balance: z.number(),
+  equity: z.number()
+}).passthrough();
+
+// Registers the routes and starts trading; returns the trader, whose handleSignal(signal)
+// takes every new or updated signal and authorizeChannel(user, channel) guards paper channels
+export function setupPaperTrading(app, { api, paper, marketData, symbols, publish }) {
+  const trader = createPaperTrader({ store: paper, marketData, publish });
+  trader.start().catch(error => console.error('Failed to load paper accounts:', error));
+
+  const canTrade = requireScope('paper:trade');
+
+  // Only the owner sees an account; anyone else gets a 404
+  async function loadOwnAccount(req, res) {
+    const account = await paper.getAccount(req.params.id);
+    if (!account || account.userId !== req.user.id) {
+      res.status(404).json({ message: 'Paper account not found' });
+      return null;
+    }
+    return account;
+  }
+
+  // Balances are in USD; accounts without symbols trade every market
+  const createAccountSchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    balance: z.number().positive().max(MAX_BALANCE).default(DEFAULT_BALANCE),
+    leverage: z.number().int().min(1).max(MAX_LEVERAGE).default(DEFAULT_LEVERAGE),
+    riskPercent: z.number().positive().max(MAX_RISK_PERCENT).default(DEFAULT_RISK_PERCENT),
+    symbols: z.array(z.string().refine(symbol => symbols.includes(symbol), 'Unsupported symbol')).min(1).nullable().default(null)
+  });
+
+  api.post('/api/paper/accounts', {
+    summary: 'Open a paper trading account',
+    tags: ['Paper trading'],
+    body: createAccountSchema,
+    responses: { 201: accountSchema, 409: errorSchema }
+  }, canTrade, async (req, res) => {
+    const { name, balance, leverage, riskPercent, symbols: tradedSymbols } = req.body;
+
+    try {
+      if ((await paper.listAccounts({ userId: req.user.id })).length >= MAX_ACCOUNTS) {
+        return res.status(409).json({ message: `At most ${MAX_ACCOUNTS} paper accounts per user` });
+      }
+
+      const account = await paper.createAccount({
+        userId: req.user.id,
+        name,
+        initialBalance: balance,
+        balance,
+        leverage,
+        riskPercent,
+        symbols: tradedSymbols && [...new Set(tradedSymbols)]
+      });
+      await trader.addAccount(account);
+      res.status(201).json(trader.getAccountSummary(account.id));
+    } catch (error) {
+      console.error('Failed to create paper account:', error);
+      res.status(500).json({ message: 'Failed to create paper account' });
+    }
+  });
+
+  api.get('/api/paper/accounts', {
+    summary: 'Your paper trading accounts',
+    tags: ['Paper trading'],
+    responses: { 200: z.array(accountSchema) }
+  }, canTrade, async (req, res) => {
+    try {
+      const accounts = await paper.listAccounts({ userId: req.user.id });
+      res.json(accounts.map(account => trader.getAccountSummary(account.id) || account));
+    } catch (error) {
+      console.error('Failed to load paper accounts:', error);
+      res.status(500).json({ message: 'Failed to load paper accounts' });
+    }
+  });
+
+  api.get('/api/paper/accounts/:id', {
+    summary: 'A paper trading account with its equity and margin',
+    tags: ['Paper trading'],
+    params: idParamsSchema,
+    responses: { 200: accountSchema, 404: errorSchema }
+  }, canTrade, async (req, res) => {
+    try {
+      const account = await loadOwnAccount(req, res);
+      if (account) {
+        res.json(trader.getAccountSummary(account.id) || account);
+      }
+    } catch (error) {
+      console.error('Failed to load paper account:', error);
+      res.status(500).json({ message: 'Failed to load paper account' });
+    }
+  });
+
+  api.delete('/api/paper/accounts/:id', {
+    summary: 'Delete a paper trading account',
+    tags: ['Paper trading'],
+    params: idParamsSchema,
+    responses: { 200: accountSchema, 404: errorSchema }
+  }, canTrade, async (req, res) => {
+    try {
+      const account = await loadOwnAccount(req, res);
+      if (!account) {
+        return;
+      }
+      trader.removeAccount(account.id);
+      await paper.removeAccount(account.id);
+      res.json(account);
+    } catch (error) {
+      console.error('Failed to delete paper account:', error);
+      res.status(500).json({ message: 'Failed to delete paper account' });
+    }
+  });
+
+  // Open positions marked to the live price
+  api.get('/api/paper/accounts/:id/positions', {
+    summary: 'Open positions marked to the live price',
+    tags: ['Paper trading'],
+    params: idParamsSchema,
+    responses: {
+      200: z.array(positionSchema.extend({ currentPrice: z.number().nullable(), unrealizedProfitLoss: z.number() })),
+      404: errorSchema
+    }
+  }, canTrade, async (req, res) => {
+    try {
+      const account = await loadOwnAccount(req, res);
+      if (account) {
+        res.json(trader.getMarkedPositions(account.id));
+      }
+    } catch (error) {
+      console.error('Failed to load paper positions:', error);
+      res.status(500).json({ message: 'Failed to load paper positions' });
+    }
+  });
+
+  // Closed positions, most recently closed first
+  api.get('/api/paper/accounts/:id/trades', {
+    summary: 'Closed positions, most recently closed first',
+    tags: ['Paper trading'],
+    params: idParamsSchema,
+    query: limitQuerySchema(100, MAX_LIST_LIMIT),
+    responses: { 200: z.array(positionSchema), 404: errorSchema }
+  }, canTrade, async (req, res) => {
+    const { limit } = req.query;
+
+    try {
+      const account = await loadOwnAccount(req, res);
+      if (account) {
+        res.json(await paper.listPositions({ accountId: account.id, status: 'closed', limit }));
+      }
+    } catch (error) {
+      console.error('Failed to load paper trades:', error);
+      res.status(500).json({ message: 'Failed to load paper trades' });
+    }
+  });
+
+  // Balance and equity over time, oldest first
+  api.get('/api/paper/accounts/:id/equity', {
+    summary: 'Balance and equity over time, oldest first',
+    tags: ['Paper trading'],
+    params: idParamsSchema,
+    query: limitQuerySchema(500, MAX_LIST_LIMIT),
+    responses: { 200: z.array(equityPointSchema), 404: errorSchema }
+  }, canTrade, async (req, res) => {
+    const { limit } = req.query;
+
+    try {
+      const account = await loadOwnAccount(req, res);
+      if (account) {
+        res.json(await paper.listEquity(account.id, { limit }));
+      }
+    } catch (error) {
+      console.error('Failed to load paper equity:', error);
+      res.status(500).json({ message: 'Failed to load paper equity' });
+    }
+  });
+
+  return trader;
+}
@@ -0,0 +1,145 @@
+// Live candles for the candles:<symbol>:<timeframe> channels. Each tick updates the forming
+// bar of every watched timeframe and is sent as a partial bar; the first tick of a new bar
+// sends the previous one again, closed. Frames are numbered per channel (`seq`) so a client
+// that sees a number skipped can ask for a backfill of the closed bars it missed.
+import { TIMEFRAMES, getTimeframeInterval } from '../market-data/timeframes.js';
+import { getBucketStart, getDayStart } from '../market-data/resample.js';
+import { ERROR_CODES, validateChannel } from './protocol.js';
+
+const HOUR = TIMEFRAMES.H1;
+const MAX_BACKFILL = 1000;
+
+export function createCandleStream({ marketData, realtime, symbols }) {
+  const streams = new Map();
+  const unsubscribes = new Map();
+  sync();
+
+  realtime.handle('backfill', backfill);
+
+  function onTick(tick) {
+    Object.keys(TIMEFRAMES).forEach(timeframe => {
+      const channel = `candles:${tick.symbol}:${timeframe}`;
+
+      // Bars are only kept for channels someone is watching
+      if (!realtime.hasSubscribers(channel)) {
+        streams.delete(channel);
+        return;
+      }
+
+      const start = getBucketStart(tick.timestamp, timeframe, getDayStart(tick.symbol));
+      let stream = streams.get(channel);
+
+      if (!stream) {
+        stream = { seq: 0, candle: seedBar(tick.symbol, timeframe, start, tick.timestamp) };
+        streams.set(channel, stream);
+      } else if (start > stream.candle.timestamp) {
+        publish(channel, stream, getClosedBar(tick.symbol, timeframe, stream.candle, tick.timestamp), true);
+        stream.candle = seedBar(tick.symbol, timeframe, start, tick.timestamp);
+      }
+
+      const candle = stream.candle;
+      if (candle.open === null) {
+        candle.open = tick.price;
+        candle.high = tick.price;
+        candle.low = tick.price;
+      }
+      candle.high = Math.max(candle.high, tick.price);
+      candle.low = Math.min(candle.low, tick.price);
+      candle.close = tick.price;
+
+      publish(channel, stream, candle, false);
+    });
+  }
+
+  function publish(channel, stream, candle, closed) {
+    const [, symbol, timeframe] = channel.split(':');
+    stream.seq += 1;
+    realtime.publish(channel, 'candle', { seq: stream.seq, symbol, timeframe, closed, ...candle });
+  }
+
+  // The part of the bar from `start` that has already traded, from the provider's candles
+  function seedBar(symbol, timeframe, start, now) {
+    const pieces = [];
+
+    // Whole hours of a longer bar come from H1 candles, the rest from M1
+    let minutesFrom = start;
+    if (getTimeframeInterval(timeframe) > HOUR) {
+      minutesFrom = Math.max(start, Math.floor(now / HOUR) * HOUR);
+      if (minutesFrom > start) {
+        pieces.push(...getCandlesBetween(symbol, 'H1', start, minutesFrom));
+      }
+    }
+    pieces.push(...getCandlesBetween(symbol, 'M1', minutesFrom, now));
+
+    const candle = { timestamp: start, open: null, high: null, low: null, close: null, volume: 0 };
+    pieces.forEach(piece => {
+      candle.open = candle.open === null ? piece.open : candle.open;
+      candle.high = candle.high === null ? piece.high : Math.max(candle.high, piece.high);
+      candle.low = candle.low === null ? piece.low : Math.min(candle.low, piece.low);
+      candle.close = piece.close;
+      candle.volume += piece.volume || 0;
+    });
+    return candle;
+  }
+
+  function getCandlesBetween(symbol, timeframe, from, to) {
+    const count = Math.ceil((to - from) / getTimeframeInterval(timeframe));
+    if (count <= 0) {
+      return [];
+    }
+    return marketData.getCandles(symbol, timeframe, { count, end: to })
+      .filter(candle => candle.timestamp >= from);
+  }
+
+  // The provider's own bar once it has closed, so streamed bars match /api/candles
+  function getClosedBar(symbol, timeframe, forming, now) {
+    const [last] = marketData.getCandles(symbol, timeframe, { count: 1, end: now });
+    return last && last.timestamp === forming.timestamp ? last : forming;
+  }
+
+  // Closed bars of a channel after `since`, oldest first, with the channel's current seq
+  function backfill(request, reply) {
+    const problem = validateChannel(request.channel, symbols);
+    const [kind, symbol, timeframe] = request.channel.split(':');
+
+    if (problem || kind !== 'candles' || request.channel.includes('*')) {
+      return reply.error(ERROR_CODES.invalidChannel, problem || 'Backfill needs a single candles:<symbol>:<timeframe> channel');
+    }
+
+    const count = Math.min(Math.ceil((Date.now() - request.since) / getTimeframeInterval(timeframe)) + 1, MAX_BACKFILL);
+    const candles = count > 0
+      ? marketData.getCandles(symbol, timeframe, { count }).filter(candle => candle.timestamp > request.since)
+      : [];
+    const stream = streams.get(request.channel);
+
+    reply.send('backfill', {
+      channel: request.channel,
+      seq: stream ? stream.seq : 0,
+      data: { candles }
+    });
+  }
+
+  // Follow `symbols` after it changed: ticks for added symbols, none for removed ones
+  function sync() {
+    symbols.forEach(symbol => {
+      if (!unsubscribes.has(symbol)) {
+        unsubscribes.set(symbol, marketData.subscribeTicks(symbol, onTick));
+      }
+    });
+    [...unsubscribes.keys()].filter(symbol => !symbols.includes(symbol)).forEach(symbol => {
+      unsubscribes.get(symbol)();
+      unsubscribes.delete(symbol);
+      [...streams.keys()].filter(channel => channel.split(':')[1] === symbol).forEach(channel => streams.delete(channel));
+    });
+  }
+
+  return {
+    sync,
+
+    stop() {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      unsubscribes.clear();
+      streams.clear();
+    }
+  };
+}
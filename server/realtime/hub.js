@@ -0,0 +1,372 @@
+// Per-client channel subscriptions on top of a WebSocketServer. Clients subscribe with the
+// frames in protocol.js and are only sent what their subscriptions cover. Other request types
+// are answered by handlers registered with handle().
+//
+// Every connection gets a session that outlives the socket for SESSION_TTL, so a client that
+// reconnects can resume it and be replayed the signal frames it missed. Sockets that stop
+// answering WebSocket pings are terminated.
+//
+// With an `authenticate(apiKey)` option, resolving to { user, key } or null, connections that
+// arrive without a user must send an `auth` message within AUTH_TIMEOUT before anything else
+// is accepted; a socket is closed after MAX_AUTH_FAILURES failed attempts. With a
+// `consume(key)` option every message but pings from a socket opened with an API key spends
+// that key's rate limit, as REST requests do. An `authorizeChannel(user, channel)` option can
+// refuse channels to a user by returning an error message.
+import { nanoid } from 'nanoid';
+import {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  CHANNEL_KINDS,
+  REPLAYED_TYPES,
+  clientMessageSchema,
+  createFrame,
+  validateChannel,
+  channelMatches
+} from './protocol.js';
+
+const HEARTBEAT_INTERVAL = 30000;
+const SESSION_TTL = 5 * 60 * 1000;
+const REPLAY_BUFFER_SIZE = 1000;
+const AUTH_TIMEOUT = 10000;
+const MAX_AUTH_FAILURES = 3;
+
+export function createRealtimeHub(wss, { symbols, authenticate = null, consume = null, authorizeChannel = null }) {
+  const clients = new Map();
+  const sessions = new Map();
+  const handlers = new Map();
+  const replayBuffer = [];
+  let lastEventId = 0;
+
+  // `req.user`, and `req.apiKey` for key logins, are set when the server authenticates upgrades
+  wss.on('connection', (ws, req) => {
+    console.log('WebSocket client connected');
+    const session = {
+      id: nanoid(),
+      user: req.user || null,
+      apiKey: req.apiKey || null,
+      authenticating: null,
+      authFailures: 0,
+      channels: new Set(),
+      ws,
+      alive: true,
+      disconnectedAt: null
+    };
+    sessions.set(session.id, session);
+    clients.set(ws, session);
+
+    send(ws, createFrame('connection', {
+      status: 'connected',
+      channels: CHANNEL_KINDS,
+      session: session.id,
+      heartbeatInterval: HEARTBEAT_INTERVAL
+    }));
+
+    if (authenticate && !session.user) {
+      const timer = setTimeout(() => {
+        if (!clients.has(ws) || !clients.get(ws).user) {
+          ws.close(4401, 'Authentication required');
+        }
+      }, AUTH_TIMEOUT);
+      ws.on('close', () => clearTimeout(timer));
+    }
+
+    // Sockets replaced by a resuming socket are no longer in `clients`
+    ws.on('pong', () => {
+      if (clients.has(ws)) {
+        clients.get(ws).alive = true;
+      }
+    });
+
+    ws.on('message', (message) => {
+      if (clients.has(ws)) {
+        clients.get(ws).alive = true;
+        handleMessage(ws, message);
+      }
+    });
+
+    ws.on('close', () => {
+      console.log('WebSocket client disconnected');
+      const closed = clients.get(ws);
+      // Not there when the session was taken over by a resuming socket
+      if (closed) {
+        closed.ws = null;
+        closed.disconnectedAt = Date.now();
+        clients.delete(ws);
+      }
+    });
+  });
+
+  // Terminate sockets that missed a whole heartbeat and forget sessions nobody resumed
+  const heartbeat = setInterval(() => {
+    clients.forEach((session, ws) => {
+      if (!session.alive) {
+        console.log('Terminating unresponsive WebSocket client');
+        ws.terminate();
+        return;
+      }
+      session.alive = false;
+      ws.ping();
+    });
+
+    const now = Date.now();
+    sessions.forEach((session, id) => {
+      if (session.disconnectedAt !== null && now - session.disconnectedAt > SESSION_TTL) {
+        sessions.delete(id);
+      }
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  function handleMessage(ws, message) {
+    // Messages sent right behind an auth message wait for its outcome
+    const pending = clients.has(ws) && clients.get(ws).authenticating;
+    if (pending) {
+      return pending
+        .then(() => {
+          // The socket may have closed while it waited
+          if (clients.has(ws)) {
+            return handleMessage(ws, message);
+          }
+        })
+        .catch(error => console.error('Failed to handle WebSocket message:', error));
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      return sendError(ws, ERROR_CODES.invalidJson, 'Messages must be JSON');
+    }
+
+    const parsed = clientMessageSchema.safeParse(data);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      return sendError(ws, ERROR_CODES.invalidMessage, `${issue.path.join('.') || 'message'}: ${issue.message}`, {
+        id: typeof data.id === 'string' ? data.id : undefined
+      });
+    }
+
+    const request = parsed.data;
+    if (request.v !== undefined && request.v !== PROTOCOL_VERSION) {
+      return sendError(ws, ERROR_CODES.unsupportedVersion, `Protocol version ${request.v} is not supported, use ${PROTOCOL_VERSION}`, {
+        id: request.id
+      });
+    }
+
+    if (authenticate && !clients.get(ws).user && request.type !== 'auth' && request.type !== 'ping') {
+      return sendError(ws, ERROR_CODES.unauthorized, 'Send an auth message with an API key first', { id: request.id });
+    }
+
+    if (request.type !== 'ping' && isRateLimited(ws, clients.get(ws).apiKey, request.id)) {
+      return;
+    }
+
+    switch (request.type) {
+      case 'auth':
+        return authenticateSocket(ws, request);
+      case 'subscribe':
+      case 'unsubscribe':
+        return updateSubscriptions(ws, request);
+      case 'ping':
+        return send(ws, createFrame('pong', { id: request.id }));
+      case 'resume':
+        return resume(ws, request);
+      default:
+        return handleRequest(ws, request);
+    }
+  }
+
+  function updateSubscriptions(ws, request) {
+    const clientChannels = clients.get(ws).channels;
+    const accepted = [];
+
+    request.channels.forEach(channel => {
+      if (request.type === 'unsubscribe') {
+        clientChannels.delete(channel);
+        accepted.push(channel);
+        return;
+      }
+
+      const problem = validateChannel(channel, symbols);
+      const refusal = !problem && authorizeChannel && authorizeChannel(clients.get(ws).user, channel);
+      if (problem) {
+        sendError(ws, ERROR_CODES.invalidChannel, problem, { id: request.id, channel });
+      } else if (refusal) {
+        sendError(ws, ERROR_CODES.unauthorized, refusal, { id: request.id, channel });
+      } else {
+        clientChannels.add(channel);
+        accepted.push(channel);
+      }
+    });
+
+    if (accepted.length > 0) {
+      send(ws, createFrame(request.type === 'subscribe' ? 'subscribed' : 'unsubscribed', {
+        id: request.id,
+        channels: accepted
+      }));
+    }
+  }
+
+  function authenticateSocket(ws, request) {
+    if (!authenticate) {
+      return sendError(ws, ERROR_CODES.invalidMessage, 'auth is not supported by this server', { id: request.id });
+    }
+
+    const session = clients.get(ws);
+    session.authenticating = authenticate(request.apiKey)
+      .then(auth => {
+        if (!clients.has(ws)) {
+          return;
+        }
+        if (!auth) {
+          session.authFailures += 1;
+          sendError(ws, ERROR_CODES.unauthorized, 'Invalid API key or missing signals:read scope', { id: request.id });
+          if (session.authFailures >= MAX_AUTH_FAILURES) {
+            ws.close(4401, 'Too many failed auth attempts');
+          }
+          return;
+        }
+        // The auth message is the key's first message on this socket
+        if (isRateLimited(ws, auth.key, request.id)) {
+          return;
+        }
+        session.user = auth.user;
+        session.apiKey = auth.key;
+        send(ws, createFrame('authenticated', { id: request.id, user: auth.user }));
+      })
+      .catch(error => {
+        console.error('Failed to authenticate WebSocket client:', error);
+        sendError(ws, ERROR_CODES.unauthorized, 'Authentication failed', { id: request.id });
+      })
+      .finally(() => {
+        session.authenticating = null;
+      });
+  }
+
+  // Move this socket onto an earlier session and replay what that session missed
+  function resume(ws, request) {
+    const session = sessions.get(request.session);
+    const current = clients.get(ws);
+    // Only the user who opened a session may resume it
+    const owner = session && session.user ? session.user.id : null;
+    const resumer = current.user ? current.user.id : null;
+    if (!session || owner !== resumer) {
+      return sendError(ws, ERROR_CODES.sessionExpired, 'Session is unknown or expired, subscribe again', {
+        id: request.id
+      });
+    }
+
+    // The old socket may not have been reaped yet when the client noticed the drop first
+    if (session.ws && session.ws !== ws) {
+      clients.delete(session.ws);
+      session.ws.terminate();
+    }
+
+    if (current !== session) {
+      sessions.delete(current.id);
+      session.alive = true;
+      session.ws = ws;
+      session.disconnectedAt = null;
+      clients.set(ws, session);
+    }
+
+    const missed = replayBuffer.filter(entry =>
+      entry.eventId > request.lastEventId && isSubscribed(session, entry.channel) && (!entry.accepts || entry.accepts(session.user))
+    );
+    const oldest = replayBuffer.length > 0 ? replayBuffer[0].eventId : lastEventId + 1;
+
+    send(ws, createFrame('resumed', {
+      id: request.id,
+      session: session.id,
+      channels: [...session.channels],
+      replayed: missed.length,
+      truncated: request.lastEventId < oldest - 1
+    }));
+    missed.forEach(entry => ws.send(entry.message));
+  }
+
+  function handleRequest(ws, request) {
+    const handler = handlers.get(request.type);
+    if (!handler) {
+      return sendError(ws, ERROR_CODES.invalidMessage, `${request.type} is not supported by this server`, { id: request.id });
+    }
+
+    handler(request, {
+      send: (type, fields) => send(ws, createFrame(type, { id: request.id, ...fields })),
+      error: (code, message) => sendError(ws, code, message, { id: request.id, channel: request.channel })
+    });
+  }
+
+  // Spends one of the key's requests and answers with an error when none are left
+  function isRateLimited(ws, key, id) {
+    if (!consume || !key) {
+      return false;
+    }
+
+    const limit = consume(key);
+    if (limit.exceeded) {
+      sendError(ws, ERROR_CODES.rateLimited, 'Rate limit exceeded', { id, retryAfter: limit.resetIn });
+    }
+    return limit.exceeded;
+  }
+
+  function sendError(ws, code, message, fields = {}) {
+    send(ws, createFrame('error', { code, message, ...fields }));
+  }
+
+  function isSubscribed(session, channel) {
+    return [...session.channels].some(pattern => channelMatches(pattern, channel));
+  }
+
+  // Send a `type` frame carrying `data` to every client subscribed to `channel`, or only to
+  // those whose user passes accepts(user) when it is given
+  function publish(channel, type, data, accepts = null) {
+    let message = null;
+
+    if (REPLAYED_TYPES.includes(type)) {
+      lastEventId += 1;
+      message = JSON.stringify(createFrame(type, { channel, eventId: lastEventId, data }));
+      replayBuffer.push({ eventId: lastEventId, channel, message, accepts });
+      if (replayBuffer.length > REPLAY_BUFFER_SIZE) {
+        replayBuffer.shift();
+      }
+    }
+
+    clients.forEach((session, ws) => {
+      if (session.channels.size === 0 || !isSubscribed(session, channel) || (accepts && !accepts(session.user))) {
+        return;
+      }
+      message = message || JSON.stringify(createFrame(type, { channel, data }));
+      if (ws.readyState === 1) { // WebSocket.OPEN
+        ws.send(message);
+      }
+    });
+  }
+
+  // Whether anyone would receive a frame on `channel`, to skip work nobody is waiting for
+  function hasSubscribers(channel) {
+    return [...clients.values()].some(session => isSubscribed(session, channel));
+  }
+
+  // Answer `type` requests with handler(request, reply); reply.send(type, fields) sends a
+  // frame back, reply.error(code, message) an error frame
+  function handle(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  return {
+    publish,
+    hasSubscribers,
+    handle,
+    get size() {
+      return clients.size;
+    }
+  };
+}
+
+function send(ws, frame) {
+  if (ws.readyState === 1) { // WebSocket.OPEN
+    ws.send(JSON.stringify(frame));
+  }
+}
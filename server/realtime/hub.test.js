@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createRealtimeHub } from './hub.js';
+
+const KEY = { id: 'key-1', rateLimit: 3 };
+const USER = { id: 'user-1', username: 'bot', role: 'viewer' };
+
+// A stand-in socket that keeps the frames sent to it
+function createSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.frames = [];
+  ws.send = message => ws.frames.push(JSON.parse(message));
+  ws.close = code => {
+    ws.closedWith = code;
+    ws.emit('close');
+  };
+  ws.ping = () => {};
+  ws.terminate = () => {};
+  ws.message = data => ws.emit('message', Buffer.from(JSON.stringify(data)));
+  return ws;
+}
+
+// A hub whose keys have `rateLimit` messages a minute and whose only valid key is 'good'
+function createHub() {
+  const wss = new EventEmitter();
+  const sockets = [];
+  const used = new Map();
+  createRealtimeHub(wss, {
+    symbols: ['EUR/USD'],
+    authenticate: async rawKey => rawKey === 'good' ? { user: USER, key: KEY } : null,
+    consume: key => {
+      used.set(key.id, (used.get(key.id) || 0) + 1);
+      return { exceeded: used.get(key.id) > key.rateLimit, remaining: 0, resetIn: 42 };
+    }
+  });
+
+  return {
+    connect(req = {}) {
+      const ws = createSocket();
+      wss.emit('connection', ws, req);
+      sockets.push(ws);
+      return ws;
+    },
+    close() {
+      sockets.forEach(ws => ws.emit('close'));
+      wss.emit('close');
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('spends the key\'s rate limit on messages from a socket opened with a key', () => {
+  const server = createHub();
+  const ws = server.connect({ user: USER, apiKey: KEY });
+
+  for (let i = 0; i < 4; i++) {
+    ws.message({ type: 'subscribe', id: String(i), channels: ['signals:EUR/USD'] });
+  }
+  ws.message({ type: 'ping', id: 'ping' });
+
+  const replies = ws.frames.slice(1).map(frame => frame.code || frame.type);
+  assert.deepEqual(replies, ['subscribed', 'subscribed', 'subscribed', 'rate_limited', 'pong']);
+  assert.equal(ws.frames[4].retryAfter, 42);
+  assert.equal(ws.frames[4].id, '3');
+  server.close();
+});
+
+test('counts the auth message against the key it logs in with', async () => {
+  const server = createHub();
+  const ws = server.connect();
+
+  ws.message({ type: 'auth', id: 'auth', apiKey: 'good' });
+  await settle();
+  ws.message({ type: 'resume', id: 'resume', session: 'unknown', lastEventId: 0 });
+  ws.message({ type: 'subscribe', id: 'subscribe', channels: ['signals:EUR/USD'] });
+  ws.message({ type: 'subscribe', id: 'again', channels: ['signals:EUR/USD'] });
+
+  const replies = ws.frames.slice(1).map(frame => frame.code || frame.type);
+  assert.deepEqual(replies, ['authenticated', 'session_expired', 'subscribed', 'rate_limited']);
+  server.close();
+});
+
+test('closes a socket after repeated failed auth attempts', async () => {
+  const server = createHub();
+  const ws = server.connect();
+
+  for (let i = 0; i < 3; i++) {
+    ws.message({ type: 'auth', id: String(i), apiKey: 'bad' });
+    await settle();
+  }
+
+  assert.equal(ws.frames.filter(frame => frame.code === 'unauthorized').length, 3);
+  assert.equal(ws.closedWith, 4401);
+  server.close();
+});
+
+test('drops messages queued behind an auth message when the socket closes', async () => {
+  const server = createHub();
+  const ws = server.connect();
+  const failures = [];
+  const onRejection = error => failures.push(error);
+  process.on('unhandledRejection', onRejection);
+
+  ws.message({ type: 'auth', id: 'auth', apiKey: 'good' });
+  ws.message({ type: 'subscribe', id: 'subscribe', channels: ['signals:EUR/USD'] });
+  ws.emit('close');
+  await settle();
+  await settle();
+
+  process.off('unhandledRejection', onRejection);
+  assert.deepEqual(failures, []);
+  assert.deepEqual(ws.frames.slice(1), []);
+  server.close();
+});
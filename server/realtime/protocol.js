@@ -0,0 +1,237 @@
+// WebSocket message protocol, version 1. Every frame is a JSON object with a `type`; frames
+// from the server also carry `v` and a `timestamp`.
+//
+// Channels name what a client receives, as `<kind>:<symbol>[:<timeframe>]`:
+//   signals:EUR/USD        new signals and signal_update frames for one market, the ones the
+//                          user's watchlists let through, see watchlists/filters.js
+//   candles:BTC/USD:M5     candle frames for one market and timeframe, see candle-stream.js
+//   analysis:XAU/USD       analysis frames for one market
+//   paper:<accountId>      paper_position and paper_account frames for one of the user's
+//                          paper trading accounts, see paper/engine.js
+// A `*` segment matches anything, and a trailing `*` matches the rest of the channel, so
+// `analysis:*` and `candles:*` cover every market and `candles:*:M5` every M5 stream. Paper
+// channels take no wildcards.
+//
+// The connection frame hands out a session token. A client that reconnects sends `resume`
+// with it and the last eventId it saw, gets its subscriptions back and is sent the signal
+// frames it missed, as long as they are still in the server's replay buffer.
+import { z } from 'zod';
+import { TIMEFRAMES } from '../market-data/timeframes.js';
+
+export const PROTOCOL_VERSION = 1;
+
+export const CHANNEL_KINDS = ['signals', 'candles', 'analysis', 'paper'];
+
+export const ERROR_CODES = {
+  invalidJson: 'invalid_json',
+  invalidMessage: 'invalid_message',
+  unsupportedVersion: 'unsupported_version',
+  invalidChannel: 'invalid_channel',
+  sessionExpired: 'session_expired',
+  unauthorized: 'unauthorized',
+  rateLimited: 'rate_limited'
+};
+
+// Frames kept for replay to resuming sessions; they carry an increasing eventId. Candles are
+// left out since bars can be backfilled, and analysis and paper_account frames are replaced
+// by the next one.
+export const REPLAYED_TYPES = ['signal', 'signal_update', 'paper_position'];
+
+const channelSchema = z.string().min(1).max(100);
+
+// Frames a client may send
+export const clientMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('subscribe'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional(),
+    channels: z.array(channelSchema).min(1).max(50)
+  }),
+  z.object({
+    type: z.literal('unsubscribe'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional(),
+    channels: z.array(channelSchema).min(1).max(50)
+  }),
+  // Closed bars of one candles channel after the bar opened at `since` (ms)
+  z.object({
+    type: z.literal('backfill'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional(),
+    channel: channelSchema,
+    since: z.number()
+  }),
+  // For clients that cannot send WebSocket pings, e.g. browsers
+  z.object({
+    type: z.literal('ping'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional()
+  }),
+  // API key for connections that were not authenticated during the upgrade
+  z.object({
+    type: z.literal('auth'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional(),
+    apiKey: z.string().min(1).max(200)
+  }),
+  z.object({
+    type: z.literal('resume'),
+    v: z.number().int().optional(),
+    id: z.string().max(100).optional(),
+    session: z.string().min(1).max(100),
+    lastEventId: z.number().int().min(0).default(0)
+  })
+]);
+
+const envelope = {
+  v: z.literal(PROTOCOL_VERSION),
+  timestamp: z.string()
+};
+
+// Frames the server sends
+export const serverMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    ...envelope,
+    type: z.literal('connection'),
+    status: z.literal('connected'),
+    channels: z.array(z.string()),
+    session: z.string(),
+    heartbeatInterval: z.number()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('resumed'),
+    id: z.string().optional(),
+    session: z.string(),
+    channels: z.array(z.string()),
+    replayed: z.number().int(),
+    // Some missed frames had already left the replay buffer
+    truncated: z.boolean()
+  }),
+  z.object({ ...envelope, type: z.literal('pong'), id: z.string().optional() }),
+  z.object({
+    ...envelope,
+    type: z.literal('authenticated'),
+    id: z.string().optional(),
+    user: z.object({ id: z.string(), username: z.string(), role: z.string() }).passthrough()
+  }),
+  z.object({ ...envelope, type: z.literal('subscribed'), id: z.string().optional(), channels: z.array(z.string()) }),
+  z.object({ ...envelope, type: z.literal('unsubscribed'), id: z.string().optional(), channels: z.array(z.string()) }),
+  z.object({
+    ...envelope,
+    type: z.literal('error'),
+    code: z.enum(Object.values(ERROR_CODES)),
+    message: z.string(),
+    id: z.string().optional(),
+    channel: z.string().optional(),
+    // Seconds until a rate limited key may send again
+    retryAfter: z.number().int().optional()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('signal'),
+    channel: z.string(),
+    eventId: z.number().int(),
+    data: z.object({ id: z.string(), symbol: z.string() }).passthrough()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('signal_update'),
+    channel: z.string(),
+    eventId: z.number().int(),
+    data: z.object({ id: z.string(), status: z.string() }).passthrough()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('candle'),
+    channel: z.string(),
+    data: z.object({
+      seq: z.number().int(),
+      symbol: z.string(),
+      timeframe: z.string(),
+      closed: z.boolean(),
+      timestamp: z.number(),
+      open: z.number(),
+      high: z.number(),
+      low: z.number(),
+      close: z.number()
+    }).passthrough()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('backfill'),
+    id: z.string().optional(),
+    channel: z.string(),
+    seq: z.number().int(),
+    data: z.object({ candles: z.array(z.object({ timestamp: z.number() }).passthrough()) })
+  }),
+  z.object({ ...envelope, type: z.literal('analysis'), channel: z.string(), data: z.record(z.unknown()) }),
+  z.object({
+    ...envelope,
+    type: z.literal('paper_position'),
+    channel: z.string(),
+    eventId: z.number().int(),
+    data: z.object({ id: z.string(), accountId: z.string(), status: z.string() }).passthrough()
+  }),
+  z.object({
+    ...envelope,
+    type: z.literal('paper_account'),
+    channel: z.string(),
+    data: z.object({ id: z.string(), balance: z.number(), equity: z.number() }).passthrough()
+  })
+]);
+
+// Build a server frame. Outside production every frame is checked against the schema so a
+// malformed frame fails where it is built rather than in a client.
+export function createFrame(type, fields = {}) {
+  const frame = { v: PROTOCOL_VERSION, type, ...fields, timestamp: new Date().toISOString() };
+  if (process.env.NODE_ENV !== 'production') {
+    serverMessageSchema.parse(frame);
+  }
+  return frame;
+}
+
+// The error message for a channel clients may not subscribe to, or null when it is fine
+export function validateChannel(channel, symbols) {
+  const [kind, symbol, timeframe, ...rest] = channel.split(':');
+
+  if (!CHANNEL_KINDS.includes(kind)) {
+    return `Unknown channel kind "${kind}", expected one of ${CHANNEL_KINDS.join(', ')}`;
+  }
+  if (rest.length > 0 || (kind !== 'candles' && timeframe !== undefined)) {
+    return `Too many segments in channel ${channel}`;
+  }
+  // Whether the account belongs to the user is up to the hub's authorizeChannel
+  if (kind === 'paper') {
+    return symbol === undefined || symbol === '*' ? `Channel ${channel} needs a paper account id` : null;
+  }
+  if (symbol === undefined) {
+    return `Channel ${channel} needs a symbol or *`;
+  }
+  if (symbol !== '*' && !symbols.includes(symbol)) {
+    return `Unknown symbol ${symbol}`;
+  }
+  if (kind === 'candles' && symbol !== '*' && timeframe === undefined) {
+    return `Channel ${channel} needs a timeframe or *`;
+  }
+  if (timeframe !== undefined && timeframe !== '*' && !TIMEFRAMES[timeframe]) {
+    return `Unknown timeframe ${timeframe}`;
+  }
+  return null;
+}
+
+// Whether a subscribed channel pattern covers a published channel
+export function channelMatches(pattern, channel) {
+  const patternParts = pattern.split(':');
+  const channelParts = channel.split(':');
+
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i] === '*' && i === patternParts.length - 1) {
+      return channelParts.length >= patternParts.length;
+    }
+    if (patternParts[i] !== '*' && patternParts[i] !== channelParts[i]) {
+      return false;
+    }
+  }
+  return patternParts.length === channelParts.length;
+}
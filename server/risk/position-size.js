@@ -0,0 +1,65 @@
+// Position sizing: how much of a symbol to trade so that a stop-out loses a given share of
+// the balance, with the pip value and money at risk in the account currency
+import { getSymbolSpec } from '../market-data/symbol-specs.js';
+import { getConversionRate } from '../market-data/currency.js';
+
+// Throws an Error with code UNKNOWN_SYMBOL when there is no spec for the symbol, or
+// NO_CONVERSION when the feed has no price linking its quote and the account currency
+export function calculatePositionSize({ symbol, accountCurrency, balance, riskPercent, entry, stop }, getPrice) {
+  const spec = getSymbolSpec(symbol);
+  if (!spec) {
+    throw createError('UNKNOWN_SYMBOL', `No contract specification for ${symbol}`);
+  }
+
+  const rate = getConversionRate(spec.quoteCurrency, accountCurrency, getPrice);
+  if (rate === null) {
+    throw createError('NO_CONVERSION', `No price to convert ${spec.quoteCurrency} to ${accountCurrency}`);
+  }
+
+  const stopDistance = Math.abs(entry - stop);
+  const targetRisk = balance * riskPercent / 100;
+  // Loss per lot at the stop, in account currency
+  const lossPerLot = stopDistance * spec.contractSize * rate;
+  const exactLots = targetRisk / lossPerLot;
+  // Rounded down to the lot step, with slack for floating point error
+  const lots = roundTo(Math.floor(exactLots / spec.lotStep * (1 + 1e-9)) * spec.lotStep, spec.lotStep);
+  const tradable = lots >= spec.minLot;
+
+  return {
+    symbol,
+    accountCurrency,
+    quoteCurrency: spec.quoteCurrency,
+    conversionRate: rate,
+    entry,
+    stop,
+    direction: entry > stop ? 'buy' : 'sell',
+    stopDistance,
+    stopPips: Math.round(stopDistance / spec.pipSize * 10) / 10,
+    contractSize: spec.contractSize,
+    lots: tradable ? lots : 0,
+    units: tradable ? roundTo(lots * spec.contractSize, spec.lotStep) : 0,
+    minLot: spec.minLot,
+    // Below minLot the risk budget is too small to open the trade at all
+    belowMinLot: !tradable,
+    pipValue: roundMoney(spec.pipSize * spec.contractSize * rate),
+    tickValue: roundMoney(spec.tickSize * spec.contractSize * rate),
+    targetRisk: roundMoney(targetRisk),
+    moneyAtRisk: tradable ? roundMoney(lots * lossPerLot) : 0
+  };
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Round to the precision of `step` so 0.07 * 100000 prints as 7000
+function roundTo(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return Number(value.toFixed(decimals));
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePositionSize } from './position-size.js';
+import { createPriceLookup } from '../market-data/currency.js';
+import { createSimulatedProvider } from '../market-data/simulated-provider.js';
+
+const PRICES = { 'EUR/USD': 1.1, 'GBP/JPY': 190, 'USD/JPY': 150 };
+const getPrice = pair => PRICES[pair] || null;
+
+test('risks the share of the balance between entry and stop, rounded down to the lot step', () => {
+  const size = calculatePositionSize({
+    symbol: 'EUR/USD', accountCurrency: 'USD', balance: 10000, riskPercent: 1, entry: 1.1, stop: 1.097
+  }, getPrice);
+
+  assert.equal(size.direction, 'buy');
+  assert.equal(size.stopPips, 30);
+  assert.equal(size.pipValue, 10);
+  assert.equal(size.lots, 0.33);
+  assert.equal(size.units, 33000);
+  assert.equal(size.moneyAtRisk, 99);
+});
+
+test('sizes a cross pair in an account currency it is not quoted in', () => {
+  const size = calculatePositionSize({
+    symbol: 'GBP/JPY', accountCurrency: 'USD', balance: 10000, riskPercent: 1, entry: 190, stop: 190.5
+  }, getPrice);
+
+  assert.equal(size.direction, 'sell');
+  assert.equal(size.quoteCurrency, 'JPY');
+  assert.equal(size.conversionRate, 1 / 150);
+  // 50 pips of 1000 JPY per lot is 50000 JPY, about 333 USD a lot
+  assert.equal(size.lots, 0.3);
+  assert.equal(size.pipValue, 6.67);
+});
+
+test('sizes GBP/JPY for USD and EUR accounts from the simulated reference pairs', () => {
+  const lookup = createPriceLookup(createSimulatedProvider({ seed: 1 }));
+
+  ['USD', 'EUR', 'GBP'].forEach(accountCurrency => {
+    const size = calculatePositionSize({
+      symbol: 'GBP/JPY', accountCurrency, balance: 10000, riskPercent: 1, entry: 176.5, stop: 176
+    }, lookup);
+    assert.ok(size.lots > 0, accountCurrency);
+  });
+});
+
+test('reports a missing conversion and an unknown symbol', () => {
+  const order = { accountCurrency: 'CHF', balance: 10000, riskPercent: 1, entry: 1.1, stop: 1.09 };
+
+  assert.throws(() => calculatePositionSize({ ...order, symbol: 'EUR/USD' }, getPrice), { code: 'NO_CONVERSION' });
+  assert.throws(() => calculatePositionSize({ ...order, symbol: 'NOPE/USD' }, getPrice), { code: 'UNKNOWN_SYMBOL' });
+});
@@ -0,0 +1,41 @@
+// Signal lifecycle: which statuses exist and which moves between them are allowed
+
+export const SIGNAL_STATUSES = ['pending', 'active', 'hit_tp', 'hit_sl', 'expired', 'cancelled'];
+
+// Pending signals wait for price to reach the entry, active ones are in the market
+export const OPEN_STATUSES = ['pending', 'active'];
+
+const TRANSITIONS = {
+  pending: ['active', 'expired', 'cancelled'],
+  active: ['hit_tp', 'hit_sl', 'expired', 'cancelled'],
+  hit_tp: [],
+  hit_sl: [],
+  expired: [],
+  cancelled: []
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function isOpen(status) {
+  return OPEN_STATUSES.includes(status);
+}
+
+// The changes to apply to a signal moving to `status`. Throws an error with
+// code 'INVALID_TRANSITION' when the move is not allowed.
+export function transition(signal, status, changes = {}) {
+  if (!canTransition(signal.status, status)) {
+    const error = new Error(`Cannot move a signal from ${signal.status} to ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ...changes,
+    status,
+    updatedAt: now,
+    closedAt: isOpen(status) ? null : now
+  };
+}
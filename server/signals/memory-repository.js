@@ -0,0 +1,60 @@
+// In-memory signal repository for local runs without a database. Same interface as the
+// Postgres repository; everything is lost on restart.
+import { transition } from './lifecycle.js';
+
+export function createMemorySignalRepository() {
+  const signals = new Map();
+
+  return {
+    async create(signal) {
+      const stored = {
+        ...signal,
+        updatedAt: signal.timestamp,
+        closedAt: null
+      };
+      signals.set(stored.id, stored);
+      return { ...stored };
+    },
+
+    async get(id) {
+      const signal = signals.get(id);
+      return signal ? { ...signal } : null;
+    },
+
+    // Newest first; filter by `statuses` and `symbol`
+    async list(filter = {}) {
+      const matching = [...signals.values()]
+        .filter(signal => !filter.statuses || filter.statuses.includes(signal.status))
+        .filter(signal => !filter.symbol || signal.symbol === filter.symbol)
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+      const offset = filter.offset || 0;
+      const limit = filter.limit || matching.length;
+
+      return {
+        items: matching.slice(offset, offset + limit).map(signal => ({ ...signal })),
+        total: matching.length
+      };
+    },
+
+    async updateStatus(id, status, changes) {
+      const signal = signals.get(id);
+      if (!signal) {
+        return null;
+      }
+
+      Object.assign(signal, transition(signal, status, changes));
+      return { ...signal };
+    },
+
+    // Field updates that do not change the status, e.g. running P/L
+    async update(id, changes) {
+      const signal = signals.get(id);
+      if (!signal) {
+        return null;
+      }
+
+      Object.assign(signal, changes, { updatedAt: new Date().toISOString() });
+      return { ...signal };
+    }
+  };
+}
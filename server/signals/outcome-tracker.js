@@ -0,0 +1,201 @@
+// Watches live prices for every open signal: fills pending entries, closes signals at their
+// stop-loss or first take-profit and records the outcome in pips and R, with the maximum
+// adverse and favourable excursions (MAE/MFE) seen while the signal was active. Signals with
+// neither level are closed at the market once they have been active for a while.
+import { getPipSize } from '../analysis/liquidity.js';
+import { getTimeframeInterval } from '../market-data/timeframes.js';
+import { OPEN_STATUSES, isOpen } from './lifecycle.js';
+
+// Bars of the signal's timeframe a pending entry stays live, as in the backtester
+const ENTRY_EXPIRY = 20;
+
+// Bars of the signal's timeframe an active signal without a stop-loss or take-profit stays open
+const ACTIVE_EXPIRY = 20;
+
+// How often running excursions of active signals are written to the store
+const FLUSH_INTERVAL = 60000;
+
+// onUpdate(signal) is called with the stored signal after every status change
+export function createOutcomeTracker({
+  store,
+  marketData,
+  onUpdate,
+  entryExpiry = ENTRY_EXPIRY,
+  activeExpiry = ACTIVE_EXPIRY
+}) {
+  const open = new Map();
+  const subscriptions = new Map();
+  const writing = new Set();
+  const dirty = new Set();
+  let flushTimer = null;
+
+  // Pick up the signals left open by the last run
+  async function start() {
+    const { items } = await store.list({ statuses: OPEN_STATUSES });
+    items.forEach(track);
+    flushTimer = setInterval(flush, FLUSH_INTERVAL);
+  }
+
+  function stop() {
+    clearInterval(flushTimer);
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions.clear();
+    open.clear();
+  }
+
+  function track(signal) {
+    open.set(signal.id, { ...signal });
+    if (!subscriptions.has(signal.symbol)) {
+      subscriptions.set(signal.symbol, marketData.subscribeTicks(signal.symbol, onTick));
+    }
+  }
+
+  // Stop watching a signal, e.g. after it was cancelled through the API
+  function untrack(id) {
+    const signal = open.get(id);
+    if (!signal) {
+      return;
+    }
+
+    open.delete(id);
+    dirty.delete(id);
+    const symbolStillOpen = [...open.values()].some(other => other.symbol === signal.symbol);
+    if (!symbolStillOpen && subscriptions.has(signal.symbol)) {
+      subscriptions.get(signal.symbol)();
+      subscriptions.delete(signal.symbol);
+    }
+  }
+
+  function onTick(tick) {
+    open.forEach(signal => {
+      if (signal.symbol !== tick.symbol || writing.has(signal.id)) {
+        return;
+      }
+
+      const change = evaluate(signal, tick, entryExpiry, activeExpiry);
+      if (change) {
+        apply(signal, change);
+      } else if (signal.status === 'active' && updateExcursions(signal, tick.price)) {
+        dirty.add(signal.id);
+      }
+    });
+  }
+
+  async function apply(signal, { status, changes }) {
+    writing.add(signal.id);
+    try {
+      const updated = await store.updateStatus(signal.id, status, changes);
+      if (updated && isOpen(updated.status)) {
+        open.set(updated.id, updated);
+      } else {
+        untrack(signal.id);
+      }
+      if (updated) {
+        onUpdate(updated);
+      }
+    } catch (error) {
+      // Closed elsewhere in the meantime, e.g. cancelled
+      if (error.code === 'INVALID_TRANSITION') {
+        untrack(signal.id);
+      } else {
+        console.error(`Failed to update signal ${signal.id}:`, error);
+      }
+    } finally {
+      writing.delete(signal.id);
+    }
+  }
+
+  function flush() {
+    dirty.forEach(id => {
+      const signal = open.get(id);
+      if (signal) {
+        store.update(id, { mae: signal.mae, mfe: signal.mfe })
+          .catch(error => console.error(`Failed to save excursions of signal ${id}:`, error));
+      }
+    });
+    dirty.clear();
+  }
+
+  return { start, stop, track, untrack };
+}
+
+// The status change a tick causes for a signal, or null
+function evaluate(signal, tick, entryExpiry, activeExpiry) {
+  const direction = signal.type === 'buy' ? 1 : -1;
+  const timestamp = new Date(tick.timestamp).toISOString();
+  const interval = getTimeframeInterval(signal.timeframe);
+
+  if (signal.status === 'pending') {
+    const expiresAt = Date.parse(signal.timestamp) + entryExpiry * interval;
+    if (tick.timestamp > expiresAt) {
+      return { status: 'expired', changes: {} };
+    }
+    if ((tick.price - signal.entryPrice) * direction <= 0) {
+      const changes = { activatedAt: timestamp, mae: 0, mfe: 0 };
+      updateExcursions({ ...signal, ...changes }, tick.price, changes);
+      return { status: 'active', changes };
+    }
+    return null;
+  }
+
+  const hasStop = signal.stopLoss !== null && signal.stopLoss !== undefined;
+  const target = signal.takeProfits ? signal.takeProfits[0] : undefined;
+
+  // Nothing would ever close it, so it is closed at the market when it expires
+  if (!hasStop && target === undefined) {
+    const expiresAt = Date.parse(signal.activatedAt || signal.timestamp) + activeExpiry * interval;
+    return tick.timestamp > expiresAt ? close(signal, 'expired', tick.price) : null;
+  }
+
+  const stopHit = hasStop && (tick.price - signal.stopLoss) * direction <= 0;
+  const targetHit = target !== undefined && (tick.price - target) * direction >= 0;
+
+  if (!stopHit && !targetHit) {
+    return null;
+  }
+
+  // A tick beyond a level fills at the level, as a resting stop or limit order would
+  return close(signal, stopHit ? 'hit_sl' : 'hit_tp', stopHit ? signal.stopLoss : target);
+}
+
+// Close at a price, with the outcome and the excursions up to that price
+function close(signal, status, exitPrice) {
+  const changes = { exitPrice, mae: signal.mae, mfe: signal.mfe };
+  updateExcursions({ ...signal, ...changes }, exitPrice, changes);
+
+  return {
+    status,
+    changes: { ...changes, ...getOutcome(signal, exitPrice) }
+  };
+}
+
+// Realised P/L in pips and, when the signal has a stop-loss, in R
+function getOutcome(signal, exitPrice) {
+  const direction = signal.type === 'buy' ? 1 : -1;
+  const move = (exitPrice - signal.entryPrice) * direction;
+  const risk = signal.stopLoss !== null && signal.stopLoss !== undefined
+    ? Math.abs(signal.entryPrice - signal.stopLoss)
+    : 0;
+
+  return {
+    profitLoss: toPips(signal.symbol, move),
+    profitLossR: risk > 0 ? Math.round(move / risk * 100) / 100 : null
+  };
+}
+
+// Widen MAE/MFE (in pips) with a price, writing them to `target`; true when either grew
+function updateExcursions(signal, price, target = signal) {
+  const direction = signal.type === 'buy' ? 1 : -1;
+  const move = toPips(signal.symbol, (price - signal.entryPrice) * direction);
+  const mae = Math.max(signal.mae || 0, -move);
+  const mfe = Math.max(signal.mfe || 0, move);
+  const changed = mae !== signal.mae || mfe !== signal.mfe;
+
+  target.mae = mae;
+  target.mfe = mfe;
+  return changed;
+}
+
+function toPips(symbol, priceMove) {
+  return Math.round(priceMove / getPipSize(symbol) * 10) / 10;
+}
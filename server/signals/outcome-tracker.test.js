@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutcomeTracker } from './outcome-tracker.js';
+import { createMemorySignalRepository } from './memory-repository.js';
+
+const HOUR = 3600000;
+const START = Date.UTC(2026, 2, 10, 14);
+
+// A tracker over a memory store whose ticks are sent by hand
+async function createTracker(signal, options = {}) {
+  const store = createMemorySignalRepository();
+  const ticks = new Map();
+  const updates = [];
+  const tracker = createOutcomeTracker({
+    store,
+    marketData: {
+      subscribeTicks(symbol, onTick) {
+        ticks.set(symbol, onTick);
+        return () => ticks.delete(symbol);
+      }
+    },
+    onUpdate: updated => updates.push(updated),
+    ...options
+  });
+
+  tracker.track(await store.create({
+    id: 'signal-1',
+    symbol: 'EUR/USD',
+    type: 'buy',
+    timeframe: 'H1',
+    status: 'active',
+    entryPrice: 1.1,
+    stopLoss: null,
+    takeProfits: null,
+    timestamp: new Date(START).toISOString(),
+    activatedAt: new Date(START).toISOString(),
+    ...signal
+  }));
+
+  return {
+    store,
+    updates,
+    async tick(price, timestamp) {
+      ticks.get('EUR/USD')({ symbol: 'EUR/USD', price, timestamp });
+      // Let the store write settle
+      await new Promise(resolve => setImmediate(resolve));
+    },
+    stop: () => tracker.stop()
+  };
+}
+
+test('closes a manual signal at its take-profit with the outcome in pips and R', async () => {
+  const tracker = await createTracker({ stopLoss: 1.095, takeProfits: [1.11] });
+
+  await tracker.tick(1.105, START + HOUR);
+  assert.equal(tracker.updates.length, 0);
+
+  await tracker.tick(1.1102, START + 2 * HOUR);
+  const [closed] = tracker.updates;
+  assert.equal(closed.status, 'hit_tp');
+  assert.equal(closed.exitPrice, 1.11);
+  assert.equal(closed.profitLoss, 100);
+  assert.equal(closed.profitLossR, 2);
+  tracker.stop();
+});
+
+test('expires an active signal without levels at the market after its expiry', async () => {
+  const tracker = await createTracker({}, { activeExpiry: 5 });
+
+  await tracker.tick(1.09, START + 5 * HOUR);
+  assert.equal(tracker.updates.length, 0);
+
+  await tracker.tick(1.102, START + 5 * HOUR + 1);
+  const [expired] = tracker.updates;
+  assert.equal(expired.status, 'expired');
+  assert.equal(expired.exitPrice, 1.102);
+  assert.equal(expired.profitLoss, 20);
+  assert.equal(expired.profitLossR, null);
+  assert.equal(expired.mae, 100);
+  assert.equal((await tracker.store.get('signal-1')).status, 'expired');
+  tracker.stop();
+});
+
+test('keeps a signal with a stop-loss open past the expiry', async () => {
+  const tracker = await createTracker({ stopLoss: 1.095 }, { activeExpiry: 5 });
+
+  await tracker.tick(1.1, START + 50 * HOUR);
+  assert.equal(tracker.updates.length, 0);
+
+  await tracker.tick(1.094, START + 51 * HOUR);
+  assert.equal(tracker.updates[0].status, 'hit_sl');
+  assert.equal(tracker.updates[0].profitLossR, -1);
+  tracker.stop();
+});
@@ -0,0 +1,105 @@
+// Signal repository on the signals table in shared/schema.ts
+import { and, count, desc, eq, inArray } from 'drizzle-orm';
+import { getDatabase } from '../db.js';
+import { transition } from './lifecycle.js';
+
+export function createPostgresSignalRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, signals: schema.signals };
+  }
+
+  async function get(id) {
+    const { db, signals } = await ready();
+    const [row] = await db.select().from(signals).where(eq(signals.id, id));
+    return row ? fromRow(row) : null;
+  }
+
+  async function save(id, changes) {
+    const { db, signals } = await ready();
+    const [row] = await db.update(signals).set(toRow(changes)).where(eq(signals.id, id)).returning();
+    return row ? fromRow(row) : null;
+  }
+
+  return {
+    async create(signal) {
+      const { db, signals } = await ready();
+      const [row] = await db.insert(signals).values(toRow(signal)).returning();
+      return fromRow(row);
+    },
+
+    get,
+
+    async list(filter = {}) {
+      const { db, signals } = await ready();
+      const conditions = [];
+      if (filter.statuses) {
+        conditions.push(inArray(signals.status, filter.statuses));
+      }
+      if (filter.symbol) {
+        conditions.push(eq(signals.symbol, filter.symbol));
+      }
+      const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+      let query = db.select().from(signals).where(where).orderBy(desc(signals.timestamp)).offset(filter.offset || 0);
+      if (filter.limit) {
+        query = query.limit(filter.limit);
+      }
+
+      const [rows, [{ total }]] = await Promise.all([
+        query,
+        db.select({ total: count() }).from(signals).where(where)
+      ]);
+
+      return { items: rows.map(fromRow), total };
+    },
+
+    // The update only applies while the signal still has the status it was checked against, so
+    // a cancel and an outcome landing together cannot both go through
+    async updateStatus(id, status, changes) {
+      const signal = await get(id);
+      if (!signal) {
+        return null;
+      }
+
+      const { db, signals } = await ready();
+      const [row] = await db.update(signals)
+        .set(toRow(transition(signal, status, changes)))
+        .where(and(eq(signals.id, id), eq(signals.status, signal.status)))
+        .returning();
+      if (!row) {
+        const error = new Error(`Signal left ${signal.status} before it could move to ${status}`);
+        error.code = 'INVALID_TRANSITION';
+        throw error;
+      }
+      return fromRow(row);
+    },
+
+    async update(id, changes) {
+      return save(id, { ...changes, updatedAt: new Date().toISOString() });
+    }
+  };
+}
+
+const DATE_FIELDS = ['timestamp', 'activatedAt', 'updatedAt', 'closedAt'];
+
+// Signals carry ISO strings for dates, the table uses Date objects
+function toRow(signal) {
+  const row = { ...signal };
+  DATE_FIELDS.forEach(field => {
+    if (typeof row[field] === 'string') {
+      row[field] = new Date(row[field]);
+    }
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const signal = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (signal[field] instanceof Date) {
+      signal[field] = signal[field].toISOString();
+    }
+  });
+  return signal;
+}
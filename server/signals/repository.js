@@ -0,0 +1,16 @@
+// Picks where signals are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemorySignalRepository } from './memory-repository.js';
+import { createPostgresSignalRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   create(signal)                   -> stored signal
+//   get(id)                          -> signal or null
+//   list({ statuses, symbol, limit, offset }) -> { items, total }, newest first
+//   updateStatus(id, status, changes) -> signal or null; throws on an invalid transition
+//   update(id, changes)              -> signal or null
+export function createSignalRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresSignalRepository(config.DATABASE_URL);
+  }
+  return createMemorySignalRepository();
+}
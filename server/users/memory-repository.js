@@ -0,0 +1,44 @@
+// In-memory user repository for local runs without a database. Same interface as the
+// Postgres repository; accounts are lost on restart.
+import { nanoid } from 'nanoid';
+
+export function createMemoryUserRepository() {
+  const users = new Map();
+
+  return {
+    async create({ username, passwordHash, role }) {
+      const user = { id: nanoid(), username, passwordHash, role, createdAt: new Date().toISOString() };
+      users.set(user.id, user);
+      return { ...user };
+    },
+
+    async get(id) {
+      const user = users.get(id);
+      return user ? { ...user } : null;
+    },
+
+    async getByUsername(username) {
+      const user = [...users.values()].find(entry => entry.username === username);
+      return user ? { ...user } : null;
+    },
+
+    async list() {
+      return [...users.values()]
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .map(user => ({ ...user }));
+    },
+
+    async count() {
+      return users.size;
+    },
+
+    async updateRole(id, role) {
+      const user = users.get(id);
+      if (!user) {
+        return null;
+      }
+      user.role = role;
+      return { ...user };
+    }
+  };
+}
@@ -0,0 +1,51 @@
+// User repository on the users table in shared/schema.ts
+import { asc, count, eq } from 'drizzle-orm';
+import { nanoid } from 'nanoid';
+import { getDatabase } from '../db.js';
+
+export function createPostgresUserRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, users: schema.users };
+  }
+
+  async function findOne(column, value) {
+    const { db, users } = await ready();
+    const [row] = await db.select().from(users).where(eq(users[column], value));
+    return row ? fromRow(row) : null;
+  }
+
+  return {
+    async create({ username, passwordHash, role }) {
+      const { db, users } = await ready();
+      const [row] = await db.insert(users).values({ id: nanoid(), username, passwordHash, role }).returning();
+      return fromRow(row);
+    },
+
+    get: id => findOne('id', id),
+
+    getByUsername: username => findOne('username', username),
+
+    async list() {
+      const { db, users } = await ready();
+      const rows = await db.select().from(users).orderBy(asc(users.createdAt));
+      return rows.map(fromRow);
+    },
+
+    async count() {
+      const { db, users } = await ready();
+      const [{ total }] = await db.select({ total: count() }).from(users);
+      return total;
+    },
+
+    async updateRole(id, role) {
+      const { db, users } = await ready();
+      const [row] = await db.update(users).set({ role }).where(eq(users.id, id)).returning();
+      return row ? fromRow(row) : null;
+    }
+  };
+}
+
+function fromRow(row) {
+  return { ...row, createdAt: row.createdAt.toISOString() };
+}
@@ -0,0 +1,16 @@
+// Picks where accounts are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemoryUserRepository } from './memory-repository.js';
+import { createPostgresUserRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   create({ username, passwordHash, role }) -> user
+//   get(id), getByUsername(username)         -> user or null
+//   list()                                   -> users, oldest first
+//   count()                                  -> number of users
+//   updateRole(id, role)                     -> user or null
+export function createUserRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresUserRepository(config.DATABASE_URL);
+  }
+  return createMemoryUserRepository();
+}
@@ -0,0 +1,34 @@
+// Which signals a user's watchlists let through. A filter left null matches every signal; a
+// watchlist with both session filters takes signals inside any of the windows they list.
+export function matchesWatchlist(watchlist, signal) {
+  if (watchlist.symbols && !watchlist.symbols.includes(signal.symbol)) {
+    return false;
+  }
+  if (watchlist.timeframes && !watchlist.timeframes.includes(signal.timeframe)) {
+    return false;
+  }
+  if (watchlist.direction && signal.type !== watchlist.direction) {
+    return false;
+  }
+  // Manual signals carry a risk-to-reward only when they were sent with both a stop-loss and a
+  // take-profit; without one there is nothing to hold up against a minimum
+  if (typeof watchlist.minRiskReward === 'number' && !(signal.riskReward >= watchlist.minRiskReward)) {
+    return false;
+  }
+
+  if (watchlist.killzones || watchlist.silverBulletWindows) {
+    const { killzone, silverBullet } = signal.session || {};
+    return Boolean(
+      (watchlist.killzones && killzone && watchlist.killzones.includes(killzone.id)) ||
+      (watchlist.silverBulletWindows && silverBullet && watchlist.silverBulletWindows.includes(silverBullet.id))
+    );
+  }
+  return true;
+}
+
+// A user without enabled watchlists gets every signal, otherwise the ones at least one of them
+// lets through
+export function acceptsSignal(watchlists, signal) {
+  const enabled = watchlists.filter(watchlist => watchlist.enabled);
+  return enabled.length === 0 || enabled.some(watchlist => matchesWatchlist(watchlist, signal));
+}
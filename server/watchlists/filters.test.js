@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { acceptsSignal, matchesWatchlist } from './filters.js';
+
+function createWatchlist(fields) {
+  return {
+    enabled: true,
+    symbols: null,
+    timeframes: null,
+    direction: null,
+    minRiskReward: null,
+    killzones: null,
+    silverBulletWindows: null,
+    ...fields
+  };
+}
+
+const signal = {
+  symbol: 'EUR/USD',
+  timeframe: 'M5',
+  type: 'buy',
+  riskReward: 2,
+  session: { killzone: { id: 'new-york-am' }, silverBullet: null }
+};
+
+test('a watchlist without filters matches every signal', () => {
+  assert.equal(matchesWatchlist(createWatchlist({}), signal), true);
+});
+
+test('every filter has to match', () => {
+  assert.equal(matchesWatchlist(createWatchlist({ symbols: ['EUR/USD'], timeframes: ['M5'], direction: 'buy' }), signal), true);
+  assert.equal(matchesWatchlist(createWatchlist({ symbols: ['GBP/USD'] }), signal), false);
+  assert.equal(matchesWatchlist(createWatchlist({ timeframes: ['H1'] }), signal), false);
+  assert.equal(matchesWatchlist(createWatchlist({ direction: 'sell' }), signal), false);
+});
+
+test('a minimum risk-to-reward rejects signals without one', () => {
+  assert.equal(matchesWatchlist(createWatchlist({ minRiskReward: 2 }), signal), true);
+  assert.equal(matchesWatchlist(createWatchlist({ minRiskReward: 2.5 }), signal), false);
+  assert.equal(matchesWatchlist(createWatchlist({ minRiskReward: 1 }), { ...signal, riskReward: null }), false);
+  // A manual signal sent with a stop-loss and take-profit is held to the minimum like any other
+  const manual = { ...signal, stopLoss: 1.09, takeProfits: [1.13], riskReward: 3 };
+  assert.equal(matchesWatchlist(createWatchlist({ minRiskReward: 2 }), manual), true);
+  assert.equal(matchesWatchlist(createWatchlist({ minRiskReward: 4 }), manual), false);
+});
+
+test('signals inside any of the listed session windows match', () => {
+  assert.equal(matchesWatchlist(createWatchlist({ killzones: ['new-york-am'] }), signal), true);
+  assert.equal(matchesWatchlist(createWatchlist({ killzones: ['london'] }), signal), false);
+  assert.equal(matchesWatchlist(createWatchlist({ killzones: ['london'], silverBulletWindows: ['am'] }), signal), false);
+  assert.equal(matchesWatchlist(
+    createWatchlist({ killzones: ['london'], silverBulletWindows: ['am'] }),
+    { ...signal, session: { killzone: null, silverBullet: { id: 'am' } } }
+  ), true);
+  assert.equal(matchesWatchlist(createWatchlist({ silverBulletWindows: ['am'] }), { ...signal, session: undefined }), false);
+});
+
+test('users get every signal unless an enabled watchlist filters them', () => {
+  const sellsOnly = createWatchlist({ direction: 'sell' });
+
+  assert.equal(acceptsSignal([], signal), true);
+  assert.equal(acceptsSignal([{ ...sellsOnly, enabled: false }], signal), true);
+  assert.equal(acceptsSignal([sellsOnly], signal), false);
+  assert.equal(acceptsSignal([sellsOnly, createWatchlist({ symbols: ['EUR/USD'] })], signal), true);
+});
@@ -0,0 +1,41 @@
+// In-memory watchlist repository for local runs without a database. Same interface as the
+// Postgres repository; watchlists are lost on restart.
+import { nanoid } from 'nanoid';
+
+export function createMemoryWatchlistRepository() {
+  const watchlists = new Map();
+
+  return {
+    async create(fields) {
+      const now = new Date().toISOString();
+      const watchlist = { id: nanoid(), ...fields, createdAt: now, updatedAt: now };
+      watchlists.set(watchlist.id, watchlist);
+      return { ...watchlist };
+    },
+
+    async get(id) {
+      const watchlist = watchlists.get(id);
+      return watchlist ? { ...watchlist } : null;
+    },
+
+    async list(filter = {}) {
+      return [...watchlists.values()]
+        .filter(watchlist => !filter.userId || watchlist.userId === filter.userId)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .map(watchlist => ({ ...watchlist }));
+    },
+
+    async update(id, changes) {
+      const watchlist = watchlists.get(id);
+      if (!watchlist) {
+        return null;
+      }
+      Object.assign(watchlist, changes, { updatedAt: new Date().toISOString() });
+      return { ...watchlist };
+    },
+
+    async remove(id) {
+      return watchlists.delete(id);
+    }
+  };
+}
@@ -0,0 +1,59 @@
+// Watchlist repository on the watchlists table in shared/schema.ts
+import { asc, eq } from 'drizzle-orm';
+import { nanoid } from 'nanoid';
+import { getDatabase } from '../db.js';
+
+export function createPostgresWatchlistRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, watchlists: schema.watchlists };
+  }
+
+  return {
+    async create(fields) {
+      const { db, watchlists } = await ready();
+      const [row] = await db.insert(watchlists).values({ id: nanoid(), ...fields }).returning();
+      return fromRow(row);
+    },
+
+    async get(id) {
+      const { db, watchlists } = await ready();
+      const [row] = await db.select().from(watchlists).where(eq(watchlists.id, id));
+      return row ? fromRow(row) : null;
+    },
+
+    async list(filter = {}) {
+      const { db, watchlists } = await ready();
+      const where = filter.userId ? eq(watchlists.userId, filter.userId) : undefined;
+      const rows = await db.select().from(watchlists).where(where).orderBy(asc(watchlists.createdAt));
+      return rows.map(fromRow);
+    },
+
+    async update(id, changes) {
+      const { db, watchlists } = await ready();
+      const [row] = await db.update(watchlists)
+        .set({ ...changes, updatedAt: new Date() })
+        .where(eq(watchlists.id, id))
+        .returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async remove(id) {
+      const { db, watchlists } = await ready();
+      const rows = await db.delete(watchlists).where(eq(watchlists.id, id)).returning();
+      return rows.length > 0;
+    }
+  };
+}
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+function fromRow(row) {
+  const record = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (record[field] instanceof Date) {
+      record[field] = record[field].toISOString();
+    }
+  });
+  return record;
+}
@@ -0,0 +1,17 @@
+// Picks where watchlists are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemoryWatchlistRepository } from './memory-repository.js';
+import { createPostgresWatchlistRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   create({ userId, name, enabled, symbols, timeframes, direction, minRiskReward,
+//            killzones, silverBulletWindows }) -> watchlist
+//   get(id)                          -> watchlist or null
+//   list({ userId })                 -> watchlists, oldest first; every user's without userId
+//   update(id, changes)              -> watchlist or null
+//   remove(id)                       -> whether it existed
+export function createWatchlistRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresWatchlistRepository(config.DATABASE_URL);
+  }
+  return createMemoryWatchlistRepository();
+}
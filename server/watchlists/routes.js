@@ -0,0 +1,210 @@
+// Watchlist management for the logged-in user or an API key with the watchlists:manage scope:
+//   POST /api/watchlists, GET /api/watchlists, GET, PATCH and DELETE /api/watchlists/:id
+// Every user's watchlists are also kept in memory, so the signals channels can be filtered
+// per client without a database round trip for each signal.
+import { z } from 'zod';
+import { KILLZONES, SILVER_BULLET_WINDOWS } from '../analysis/sessions.js';
+import { requireScope } from '../auth/roles.js';
+import { errorSchema, idParamsSchema, timeframeSchema } from '../http/schemas.js';
+import { acceptsSignal } from './filters.js';
+
+const MAX_WATCHLISTS = 20;
+const MAX_RISK_REWARD = 100;
+
+const watchlistSchema = z.object({
+  id: z.string(),
+  userId: z.string(),
+  name: z.string(),
+  enabled: z.boolean(),
+  symbols: z.array(z.string()).nullable(),
+  timeframes: z.array(z.string()).nullable(),
+  direction: z.enum(['buy', 'sell']).nullable(),
+  minRiskReward: z.number().nullable(),
+  killzones: z.array(z.string()).nullable(),
+  silverBulletWindows: z.array(z.string()).nullable(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+// Registers the routes and loads every watchlist; returns accepts(user, signal), whether the
+// user's watchlists let a signal through, and ready, which resolves once they are loaded.
+// accepts lets every signal through until then, so callers filtering signals wait for ready.
+export function setupWatchlists(app, { api, watchlists, symbols }) {
+  const byUser = new Map();
+
+  // Changes made while the load is running are applied after it, so it cannot undo them
+  const ready = watchlists.list()
+    .then(all => all.forEach(remember))
+    .catch(error => console.error('Failed to load watchlists:', error));
+
+  function remember(watchlist) {
+    const own = (byUser.get(watchlist.userId) || []).filter(entry => entry.id !== watchlist.id);
+    byUser.set(watchlist.userId, [...own, watchlist]);
+  }
+
+  function forget(watchlist) {
+    byUser.set(watchlist.userId, (byUser.get(watchlist.userId) || []).filter(entry => entry.id !== watchlist.id));
+  }
+
+  const canManage = requireScope('watchlists:manage');
+
+  // Only the owner sees a watchlist; anyone else gets a 404
+  async function loadOwnWatchlist(req, res) {
+    const watchlist = await watchlists.get(req.params.id);
+    if (!watchlist || watchlist.userId !== req.user.id) {
+      res.status(404).json({ message: 'Watchlist not found' });
+      return null;
+    }
+    return watchlist;
+  }
+
+  // Filters left null match every signal
+  const watchlistFields = {
+    name: z.string().trim().min(1).max(100),
+    enabled: z.boolean(),
+    symbols: z.array(z.string().refine(symbol => symbols.includes(symbol), 'Unsupported symbol')).min(1).nullable(),
+    timeframes: z.array(timeframeSchema).min(1).nullable(),
+    direction: z.enum(['buy', 'sell']).nullable(),
+    minRiskReward: z.number().positive().max(MAX_RISK_REWARD).nullable()
+      .describe('Signals without a risk-to-reward, such as manual ones sent without a stop-loss and take-profit, do not pass a minimum'),
+    killzones: z.array(z.enum(KILLZONES.map(window => window.id))).min(1).nullable(),
+    silverBulletWindows: z.array(z.enum(SILVER_BULLET_WINDOWS.map(window => window.id))).min(1).nullable()
+  };
+
+  const createWatchlistSchema = z.object({
+    ...watchlistFields,
+    enabled: watchlistFields.enabled.default(true),
+    symbols: watchlistFields.symbols.default(null),
+    timeframes: watchlistFields.timeframes.default(null),
+    direction: watchlistFields.direction.default(null),
+    minRiskReward: watchlistFields.minRiskReward.default(null),
+    killzones: watchlistFields.killzones.default(null),
+    silverBulletWindows: watchlistFields.silverBulletWindows.default(null)
+  });
+
+  // Lists are stored without repeats
+  function toFields(body) {
+    const fields = { ...body };
+    ['symbols', 'timeframes', 'killzones', 'silverBulletWindows'].forEach(key => {
+      if (fields[key]) {
+        fields[key] = [...new Set(fields[key])];
+      }
+    });
+    return fields;
+  }
+
+  async function isNameTaken(userId, name, exceptId = null) {
+    const own = await watchlists.list({ userId });
+    return own.some(watchlist => watchlist.name === name && watchlist.id !== exceptId);
+  }
+
+  api.post('/api/watchlists', {
+    summary: 'Create a watchlist filtering the signals you are sent',
+    tags: ['Watchlists'],
+    body: createWatchlistSchema,
+    responses: { 201: watchlistSchema, 409: errorSchema }
+  }, canManage, async (req, res) => {
+    try {
+      if ((await watchlists.list({ userId: req.user.id })).length >= MAX_WATCHLISTS) {
+        return res.status(409).json({ message: `At most ${MAX_WATCHLISTS} watchlists per user` });
+      }
+      if (await isNameTaken(req.user.id, req.body.name)) {
+        return res.status(409).json({ message: `You already have a watchlist named ${req.body.name}` });
+      }
+
+      const watchlist = await watchlists.create({ userId: req.user.id, ...toFields(req.body) });
+      await ready;
+      remember(watchlist);
+      res.status(201).json(watchlist);
+    } catch (error) {
+      console.error('Failed to create watchlist:', error);
+      res.status(500).json({ message: 'Failed to create watchlist' });
+    }
+  });
+
+  api.get('/api/watchlists', {
+    summary: 'Your watchlists',
+    tags: ['Watchlists'],
+    responses: { 200: z.array(watchlistSchema) }
+  }, canManage, async (req, res) => {
+    try {
+      res.json(await watchlists.list({ userId: req.user.id }));
+    } catch (error) {
+      console.error('Failed to load watchlists:', error);
+      res.status(500).json({ message: 'Failed to load watchlists' });
+    }
+  });
+
+  api.get('/api/watchlists/:id', {
+    summary: 'A watchlist',
+    tags: ['Watchlists'],
+    params: idParamsSchema,
+    responses: { 200: watchlistSchema, 404: errorSchema }
+  }, canManage, async (req, res) => {
+    try {
+      const watchlist = await loadOwnWatchlist(req, res);
+      if (watchlist) {
+        res.json(watchlist);
+      }
+    } catch (error) {
+      console.error('Failed to load watchlist:', error);
+      res.status(500).json({ message: 'Failed to load watchlist' });
+    }
+  });
+
+  // Change the name, filters or whether the watchlist is applied
+  api.patch('/api/watchlists/:id', {
+    summary: 'Update a watchlist',
+    tags: ['Watchlists'],
+    params: idParamsSchema,
+    body: z.object(watchlistFields).partial(),
+    responses: { 200: watchlistSchema, 404: errorSchema, 409: errorSchema }
+  }, canManage, async (req, res) => {
+    try {
+      const watchlist = await loadOwnWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+      if (req.body.name && await isNameTaken(req.user.id, req.body.name, watchlist.id)) {
+        return res.status(409).json({ message: `You already have a watchlist named ${req.body.name}` });
+      }
+
+      const updated = await watchlists.update(watchlist.id, toFields(req.body));
+      await ready;
+      remember(updated);
+      res.json(updated);
+    } catch (error) {
+      console.error('Failed to update watchlist:', error);
+      res.status(500).json({ message: 'Failed to update watchlist' });
+    }
+  });
+
+  api.delete('/api/watchlists/:id', {
+    summary: 'Delete a watchlist',
+    tags: ['Watchlists'],
+    params: idParamsSchema,
+    responses: { 200: watchlistSchema, 404: errorSchema }
+  }, canManage, async (req, res) => {
+    try {
+      const watchlist = await loadOwnWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+      await watchlists.remove(watchlist.id);
+      await ready;
+      forget(watchlist);
+      res.json(watchlist);
+    } catch (error) {
+      console.error('Failed to delete watchlist:', error);
+      res.status(500).json({ message: 'Failed to delete watchlist' });
+    }
+  });
+
+  return {
+    ready,
+    // Clients without a user get every signal
+    accepts(user, signal) {
+      return !user || acceptsSignal(byUser.get(user.id) || [], signal);
+    }
+  };
+}
@@ -0,0 +1,49 @@
+// Webhook URLs are fetched from inside our network, so they may only point at public
+// addresses: never loopback, private, link-local or other special-purpose ranges, which
+// would let a webhook probe internal services or cloud metadata endpoints.
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+
+const blocked = new BlockList();
+[
+  ['0.0.0.0', 8], // this network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 onto IPv4
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList
+export function isPublicAddress(address) {
+  const version = isIP(address);
+  return version !== 0 && !blocked.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why the URL's host may not be called, or null when every address it resolves to is public.
+// Checked when a webhook is registered and again before each delivery, since DNS can change.
+export async function checkWebhookHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch {
+    return `${hostname} could not be resolved`;
+  }
+
+  return addresses.every(isPublicAddress) ? null : `${hostname} is not a public address`;
+}
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWebhookHost, isPublicAddress } from './addresses.js';
+
+test('tells public addresses from loopback, private and link-local ones', () => {
+  ['8.8.8.8', '172.15.255.255', '2606:4700::1111', '::ffff:808:808'].forEach(address => {
+    assert.equal(isPublicAddress(address), true, address);
+  });
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:7f00:1', 'not an address'].forEach(address => {
+    assert.equal(isPublicAddress(address), false, address);
+  });
+});
+
+test('checks the host of a URL however its address is written', async () => {
+  assert.equal(await checkWebhookHost('https://203.0.113.10/hook'), null);
+  assert.match(await checkWebhookHost('http://2130706433/'), /not a public address/);
+  assert.match(await checkWebhookHost('http://[::ffff:127.0.0.1]/'), /not a public address/);
+  assert.match(await checkWebhookHost('http://localhost:3000/'), /not a public address/);
+});
@@ -0,0 +1,163 @@
+// Outbound webhook delivery. Every matching webhook gets its own delivery record, POSTed as
+// JSON and signed with the webhook's secret:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`>
+// Failed attempts (network errors, timeouts, non-2xx responses) are retried with exponential
+// backoff until MAX_ATTEMPTS, after which the delivery is marked failed. Only the status code
+// and the kind of error are recorded, never what the receiver sent back, and hosts that have
+// come to resolve to a non-public address are not called unless `allowPrivateAddresses` is set.
+import { createHmac } from 'crypto';
+import { checkWebhookHost } from './addresses.js';
+
+export const WEBHOOK_EVENTS = ['signal', 'signal_update'];
+
+const MAX_ATTEMPTS = 6;
+// Wait before the second attempt, doubled for each one after it
+const RETRY_BASE = 10000;
+const RETRY_MAX = 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10000;
+const POLL_INTERVAL = 5000;
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function createWebhookDelivery({ store, allowPrivateAddresses = false }) {
+  const inFlight = new Set();
+  let timer = null;
+
+  function matches(webhook, event, signal) {
+    return webhook.events.includes(event) &&
+      (!webhook.symbols || webhook.symbols.includes(signal.symbol)) &&
+      (!webhook.timeframes || webhook.timeframes.includes(signal.timeframe));
+  }
+
+  // Queue a delivery of `signal` to every webhook subscribed to it
+  async function dispatch(event, signal) {
+    const webhooks = (await store.list()).filter(webhook => matches(webhook, event, signal));
+    const createdAt = new Date().toISOString();
+
+    await Promise.all(webhooks.map(async webhook => {
+      const delivery = await store.createDelivery({
+        webhookId: webhook.id,
+        event,
+        payload: { event, createdAt, data: signal },
+        nextAttemptAt: createdAt
+      });
+      if (delivery) {
+        attempt(delivery, webhook);
+      }
+    }));
+  }
+
+  async function attempt(delivery, webhook) {
+    if (inFlight.has(delivery.id)) {
+      return;
+    }
+    inFlight.add(delivery.id);
+
+    try {
+      webhook = webhook || await store.get(delivery.webhookId);
+      if (!webhook) {
+        return;
+      }
+
+      const attempts = delivery.attempts + 1;
+      const result = await send(webhook, delivery);
+      if (result.ok) {
+        await store.updateDelivery(delivery.id, {
+          status: 'delivered',
+          attempts,
+          responseStatus: result.status,
+          error: null,
+          nextAttemptAt: null,
+          deliveredAt: new Date().toISOString()
+        });
+        return;
+      }
+
+      const retry = attempts < MAX_ATTEMPTS;
+      const delay = Math.min(RETRY_BASE * 2 ** (attempts - 1), RETRY_MAX);
+      await store.updateDelivery(delivery.id, {
+        status: retry ? 'pending' : 'failed',
+        attempts,
+        responseStatus: result.status,
+        error: result.error,
+        nextAttemptAt: retry ? new Date(Date.now() + delay).toISOString() : null
+      });
+    } catch (error) {
+      console.error(`Failed to deliver webhook ${delivery.webhookId}:`, error);
+    } finally {
+      inFlight.delete(delivery.id);
+    }
+  }
+
+  async function send(webhook, delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      if (!allowPrivateAddresses && await checkWebhookHost(webhook.url)) {
+        return { ok: false, status: null, error: 'Blocked address' };
+      }
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ICT-Silver-Bullet-Webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+      // Only the status is used, so the body is discarded unread
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      if (response.ok) {
+        return { ok: true, status: response.status };
+      }
+      return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, status: null, error: describeError(error) };
+    }
+  }
+
+  // Picks up retries that are due, including ones left over from before a restart
+  async function poll() {
+    try {
+      const due = await store.listDue(Date.now());
+      await Promise.all(due.map(delivery => attempt(delivery)));
+    } catch (error) {
+      console.error('Failed to load due webhook deliveries:', error);
+    }
+  }
+
+  return {
+    dispatch,
+
+    start() {
+      if (!timer) {
+        timer = setInterval(poll, POLL_INTERVAL);
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+// The kind of failure, e.g. ECONNREFUSED, without any detail from the other side
+function describeError(error) {
+  if (error.name === 'TimeoutError') {
+    return 'Request timed out';
+  }
+  return (error.cause && error.cause.code) || error.name;
+}
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import { createWebhookDelivery, signPayload } from './delivery.js';
+import { createMemoryWebhookRepository } from './memory-repository.js';
+
+const SIGNAL = { id: 'signal-1', symbol: 'EUR/USD', timeframe: 'M5', type: 'buy' };
+
+// Delivers one signal to a webhook at `url` through a stand-in fetch and returns its delivery
+async function deliver(url, respond) {
+  const store = createMemoryWebhookRepository();
+  const webhook = await store.create({ userId: 'user-1', url, secret: 'whsec_test', events: ['signal'], symbols: null, timeframes: null });
+  const requests = [];
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (target, options) => {
+    requests.push({ target, options });
+    return respond();
+  };
+  try {
+    await createWebhookDelivery({ store }).dispatch('signal', SIGNAL);
+    // Wait for the attempt dispatch started in the background
+    while ((await store.listDeliveries(webhook.id))[0].attempts === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  const [delivery] = await store.listDeliveries(webhook.id);
+  return { delivery, requests };
+}
+
+test('signs the timestamp and body with the webhook secret', async () => {
+  const { delivery, requests } = await deliver('https://203.0.113.10/hook', () => new Response(null, { status: 204 }));
+  const { headers, body } = requests[0].options;
+
+  const expected = 'sha256=' + createHmac('sha256', 'whsec_test').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['X-Webhook-Signature'], expected);
+  assert.equal(signPayload('whsec_test', 1700000000, '{}'), 'sha256=' + createHmac('sha256', 'whsec_test').update('1700000000.{}').digest('hex'));
+  assert.equal(JSON.parse(body).data.id, 'signal-1');
+  assert.equal(delivery.status, 'delivered');
+});
+
+test('records only the status of a failed response, not its body', async () => {
+  const { delivery } = await deliver('https://203.0.113.10/hook', () => new Response('internal secrets', { status: 500 }));
+
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.responseStatus, 500);
+  assert.equal(delivery.error, 'HTTP 500');
+});
+
+test('does not call hosts on loopback, private or link-local addresses', async () => {
+  for (const url of ['http://127.0.0.1:8080/', 'http://10.0.0.5/', 'http://169.254.169.254/latest', 'http://[::1]/']) {
+    const { delivery, requests } = await deliver(url, () => new Response(null, { status: 204 }));
+
+    assert.equal(requests.length, 0);
+    assert.equal(delivery.error, 'Blocked address');
+  }
+});
+
+test('delivers to a local receiver when private addresses are allowed', async () => {
+  const received = [];
+  const receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const store = createMemoryWebhookRepository();
+    const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    const webhook = await store.create({ userId: 'user-1', url, secret: 'whsec_test', events: ['signal'], symbols: null, timeframes: null });
+
+    await createWebhookDelivery({ store, allowPrivateAddresses: true }).dispatch('signal', SIGNAL);
+    while ((await store.listDeliveries(webhook.id))[0].attempts === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const [delivery] = await store.listDeliveries(webhook.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-webhook-event'], 'signal');
+    assert.equal(received[0].body.data.id, 'signal-1');
+  } finally {
+    receiver.close();
+  }
+});
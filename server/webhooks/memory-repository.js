@@ -0,0 +1,93 @@
+// In-memory webhook repository for local runs without a database. Same interface as the
+// Postgres repository; webhooks and their delivery log are lost on restart.
+import { nanoid } from 'nanoid';
+
+// Deliveries kept per webhook, oldest dropped first
+const MAX_DELIVERIES = 500;
+
+export function createMemoryWebhookRepository() {
+  const webhooks = new Map();
+  const deliveries = new Map();
+
+  return {
+    async create(fields) {
+      const webhook = { id: nanoid(), ...fields, createdAt: new Date().toISOString() };
+      webhooks.set(webhook.id, webhook);
+      deliveries.set(webhook.id, []);
+      return { ...webhook };
+    },
+
+    async get(id) {
+      const webhook = webhooks.get(id);
+      return webhook ? { ...webhook } : null;
+    },
+
+    async list(filter = {}) {
+      return [...webhooks.values()]
+        .filter(webhook => !filter.userId || webhook.userId === filter.userId)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .map(webhook => ({ ...webhook }));
+    },
+
+    async remove(id) {
+      deliveries.delete(id);
+      return webhooks.delete(id);
+    },
+
+    async createDelivery(fields) {
+      const log = deliveries.get(fields.webhookId);
+      if (!log) {
+        return null;
+      }
+
+      const delivery = {
+        id: nanoid(),
+        status: 'pending',
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        nextAttemptAt: null,
+        deliveredAt: null,
+        ...fields,
+        createdAt: new Date().toISOString()
+      };
+      log.push(delivery);
+      if (log.length > MAX_DELIVERIES) {
+        log.shift();
+      }
+      return { ...delivery };
+    },
+
+    async updateDelivery(id, changes) {
+      for (const log of deliveries.values()) {
+        const delivery = log.find(entry => entry.id === id);
+        if (delivery) {
+          Object.assign(delivery, changes);
+          return { ...delivery };
+        }
+      }
+      return null;
+    },
+
+    async listDeliveries(webhookId, { limit = 50 } = {}) {
+      const log = deliveries.get(webhookId) || [];
+      return log.slice(-limit).reverse().map(delivery => ({ ...delivery }));
+    },
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async listDue(now, { limit = 20 } = {}) {
+      const due = [];
+      deliveries.forEach(log => {
+        log.forEach(delivery => {
+          if (delivery.status === 'pending' && delivery.nextAttemptAt !== null && Date.parse(delivery.nextAttemptAt) <= now) {
+            due.push(delivery);
+          }
+        });
+      });
+      return due
+        .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt))
+        .slice(0, limit)
+        .map(delivery => ({ ...delivery }));
+    }
+  };
+}
@@ -0,0 +1,90 @@
+// Webhook repository on the webhooks and webhook_deliveries tables in shared/schema.ts
+import { and, asc, desc, eq, lte } from 'drizzle-orm';
+import { nanoid } from 'nanoid';
+import { getDatabase } from '../db.js';
+
+export function createPostgresWebhookRepository(connectionString) {
+  async function ready() {
+    const { db, schema } = await getDatabase(connectionString);
+    return { db, webhooks: schema.webhooks, deliveries: schema.webhookDeliveries };
+  }
+
+  return {
+    async create(fields) {
+      const { db, webhooks } = await ready();
+      const [row] = await db.insert(webhooks).values({ id: nanoid(), ...fields }).returning();
+      return fromRow(row);
+    },
+
+    async get(id) {
+      const { db, webhooks } = await ready();
+      const [row] = await db.select().from(webhooks).where(eq(webhooks.id, id));
+      return row ? fromRow(row) : null;
+    },
+
+    async list(filter = {}) {
+      const { db, webhooks } = await ready();
+      const where = filter.userId ? eq(webhooks.userId, filter.userId) : undefined;
+      const rows = await db.select().from(webhooks).where(where).orderBy(asc(webhooks.createdAt));
+      return rows.map(fromRow);
+    },
+
+    async remove(id) {
+      const { db, webhooks } = await ready();
+      const rows = await db.delete(webhooks).where(eq(webhooks.id, id)).returning();
+      return rows.length > 0;
+    },
+
+    async createDelivery(fields) {
+      const { db, deliveries } = await ready();
+      const [row] = await db.insert(deliveries).values(toRow({ id: nanoid(), ...fields })).returning();
+      return fromRow(row);
+    },
+
+    async updateDelivery(id, changes) {
+      const { db, deliveries } = await ready();
+      const [row] = await db.update(deliveries).set(toRow(changes)).where(eq(deliveries.id, id)).returning();
+      return row ? fromRow(row) : null;
+    },
+
+    async listDeliveries(webhookId, { limit = 50 } = {}) {
+      const { db, deliveries } = await ready();
+      const rows = await db.select().from(deliveries)
+        .where(eq(deliveries.webhookId, webhookId))
+        .orderBy(desc(deliveries.createdAt))
+        .limit(limit);
+      return rows.map(fromRow);
+    },
+
+    async listDue(now, { limit = 20 } = {}) {
+      const { db, deliveries } = await ready();
+      const rows = await db.select().from(deliveries)
+        .where(and(eq(deliveries.status, 'pending'), lte(deliveries.nextAttemptAt, new Date(now))))
+        .orderBy(asc(deliveries.nextAttemptAt))
+        .limit(limit);
+      return rows.map(fromRow);
+    }
+  };
+}
+
+const DATE_FIELDS = ['nextAttemptAt', 'deliveredAt', 'createdAt'];
+
+function toRow(record) {
+  const row = { ...record };
+  DATE_FIELDS.forEach(field => {
+    if (typeof row[field] === 'string') {
+      row[field] = new Date(row[field]);
+    }
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const record = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (record[field] instanceof Date) {
+      record[field] = record[field].toISOString();
+    }
+  });
+  return record;
+}
@@ -0,0 +1,19 @@
+// Picks where webhooks are stored: Postgres when DATABASE_URL is set, memory otherwise
+import { createMemoryWebhookRepository } from './memory-repository.js';
+import { createPostgresWebhookRepository } from './postgres-repository.js';
+
+// Every repository offers (all async):
+//   create({ userId, url, secret, events, symbols, timeframes }) -> webhook
+//   get(id)                          -> webhook or null
+//   list({ userId })                 -> webhooks, oldest first
+//   remove(id)                       -> whether it existed; its deliveries go with it
+//   createDelivery({ webhookId, event, payload, nextAttemptAt }) -> delivery
+//   updateDelivery(id, changes)      -> delivery or null
+//   listDeliveries(webhookId, { limit }) -> deliveries, newest first
+//   listDue(now, { limit })          -> pending deliveries due for an attempt
+export function createWebhookRepository(config = process.env) {
+  if (config.DATABASE_URL) {
+    return createPostgresWebhookRepository(config.DATABASE_URL);
+  }
+  return createMemoryWebhookRepository();
+}
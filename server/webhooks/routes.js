@@ -0,0 +1,167 @@
+// Webhook management for the logged-in user or an API key with the webhooks:manage scope:
+//   POST /api/webhooks, GET /api/webhooks, DELETE /api/webhooks/:id,
+//   GET /api/webhooks/:id/deliveries
+import { randomBytes } from 'crypto';
+import { z } from 'zod';
+import { requireScope } from '../auth/roles.js';
+import { errorSchema, idParamsSchema, limitQuerySchema, timeframeSchema } from '../http/schemas.js';
+import { WEBHOOK_EVENTS, createWebhookDelivery } from './delivery.js';
+import { checkWebhookHost } from './addresses.js';
+
+const MAX_WEBHOOKS = 20;
+const MAX_URL_LENGTH = 2000;
+const MAX_DELIVERY_LIMIT = 200;
+
+const webhookSchema = z.object({
+  id: z.string(),
+  userId: z.string(),
+  url: z.string(),
+  events: z.array(z.string()),
+  symbols: z.array(z.string()).nullable(),
+  timeframes: z.array(z.string()).nullable(),
+  createdAt: z.string()
+});
+
+const deliverySchema = z.object({
+  id: z.string(),
+  webhookId: z.string(),
+  event: z.string(),
+  payload: z.unknown(),
+  status: z.enum(['pending', 'delivered', 'failed']),
+  attempts: z.number().int(),
+  responseStatus: z.number().int().nullish(),
+  error: z.string().nullish(),
+  nextAttemptAt: z.string().nullish(),
+  deliveredAt: z.string().nullish(),
+  createdAt: z.string()
+});
+
+// Registers the routes and starts delivery; returns `dispatch(event, signal)`. Webhook URLs
+// must point at public addresses unless `allowPrivateAddresses` is set.
+export function setupWebhooks(app, { api, webhooks, symbols, allowPrivateAddresses = false }) {
+  const delivery = createWebhookDelivery({ store: webhooks, allowPrivateAddresses });
+  delivery.start();
+
+  const canManage = requireScope('webhooks:manage');
+
+  // Only the owner sees a webhook; anyone else gets a 404
+  async function loadOwnWebhook(req, res) {
+    const webhook = await webhooks.get(req.params.id);
+    if (!webhook || webhook.userId !== req.user.id) {
+      res.status(404).json({ message: 'Webhook not found' });
+      return null;
+    }
+    return webhook;
+  }
+
+  // Filters left out match every symbol or timeframe
+  const createWebhookSchema = z.object({
+    url: z.string().max(MAX_URL_LENGTH).refine(isWebhookUrl, 'URL must be an http or https URL'),
+    events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).default(WEBHOOK_EVENTS),
+    symbols: z.array(z.string().refine(symbol => symbols.includes(symbol), 'Unsupported symbol')).min(1).nullable().default(null),
+    timeframes: z.array(timeframeSchema).min(1).nullable().default(null)
+  });
+
+  // The signing secret is only ever returned here
+  api.post('/api/webhooks', {
+    summary: 'Register a webhook; the signing secret is only returned here',
+    tags: ['Webhooks'],
+    body: createWebhookSchema,
+    responses: { 201: webhookSchema.extend({ secret: z.string() }), 409: errorSchema, 422: errorSchema }
+  }, canManage, async (req, res) => {
+    const { url, events, symbols: filterSymbols, timeframes } = req.body;
+
+    try {
+      const problem = allowPrivateAddresses ? null : await checkWebhookHost(url);
+      if (problem) {
+        return res.status(422).json({ message: `Webhook URL must point at a public address: ${problem}` });
+      }
+
+      if ((await webhooks.list({ userId: req.user.id })).length >= MAX_WEBHOOKS) {
+        return res.status(409).json({ message: `At most ${MAX_WEBHOOKS} webhooks per user` });
+      }
+
+      const webhook = await webhooks.create({
+        userId: req.user.id,
+        url,
+        secret: 'whsec_' + randomBytes(24).toString('base64url'),
+        events: [...new Set(events)],
+        symbols: filterSymbols && [...new Set(filterSymbols)],
+        timeframes: timeframes && [...new Set(timeframes)]
+      });
+      res.status(201).json(webhook);
+    } catch (error) {
+      console.error('Failed to create webhook:', error);
+      res.status(500).json({ message: 'Failed to create webhook' });
+    }
+  });
+
+  api.get('/api/webhooks', {
+    summary: 'Your webhooks',
+    tags: ['Webhooks'],
+    responses: { 200: z.array(webhookSchema) }
+  }, canManage, async (req, res) => {
+    try {
+      res.json((await webhooks.list({ userId: req.user.id })).map(toPublicWebhook));
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+      res.status(500).json({ message: 'Failed to load webhooks' });
+    }
+  });
+
+  api.delete('/api/webhooks/:id', {
+    summary: 'Delete a webhook',
+    tags: ['Webhooks'],
+    params: idParamsSchema,
+    responses: { 200: webhookSchema, 404: errorSchema }
+  }, canManage, async (req, res) => {
+    try {
+      const webhook = await loadOwnWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      await webhooks.remove(webhook.id);
+      res.json(toPublicWebhook(webhook));
+    } catch (error) {
+      console.error('Failed to delete webhook:', error);
+      res.status(500).json({ message: 'Failed to delete webhook' });
+    }
+  });
+
+  // Delivery log, newest first
+  api.get('/api/webhooks/:id/deliveries', {
+    summary: 'Deliveries of a webhook, newest first',
+    tags: ['Webhooks'],
+    params: idParamsSchema,
+    query: limitQuerySchema(50, MAX_DELIVERY_LIMIT),
+    responses: { 200: z.array(deliverySchema), 404: errorSchema }
+  }, canManage, async (req, res) => {
+    const { limit } = req.query;
+
+    try {
+      const webhook = await loadOwnWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      res.json(await webhooks.listDeliveries(webhook.id, { limit }));
+    } catch (error) {
+      console.error('Failed to load webhook deliveries:', error);
+      res.status(500).json({ message: 'Failed to load webhook deliveries' });
+    }
+  });
+
+  return { dispatch: delivery.dispatch };
+}
+
+function isWebhookUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
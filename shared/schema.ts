@@ -0,0 +1,253 @@
+import {
+  pgTable,
+  text,
+  doublePrecision,
+  boolean,
+  jsonb,
+  timestamp,
+  index,
+  integer,
+} from "drizzle-orm/pg-core";
+import { createInsertSchema } from "drizzle-zod";
+import { z } from "zod";
+
+// Roles are viewer, analyst and admin, see server/auth/roles.js
+export const users = pgTable("users", {
+  id: text("id").primaryKey(),
+  username: text("username").notNull().unique(),
+  passwordHash: text("password_hash").notNull(),
+  role: text("role").notNull().default("viewer"),
+  createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+});
+
+export const insertUserSchema = createInsertSchema(users).pick({
+  username: true,
+  passwordHash: true,
+  role: true,
+});
+
+export type InsertUser = z.infer<typeof insertUserSchema>;
+export type User = typeof users.$inferSelect;
+
+// Keys are only stored as SHA-256 hashes; `prefix` is the start of the key, to tell them apart
+export const apiKeys = pgTable(
+  "api_keys",
+  {
+    id: text("id").primaryKey(),
+    userId: text("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+    name: text("name").notNull(),
+    prefix: text("prefix").notNull(),
+    keyHash: text("key_hash").notNull().unique(),
+    scopes: jsonb("scopes").$type<string[]>().notNull(),
+    // Requests per minute
+    rateLimit: integer("rate_limit").notNull(),
+    lastUsedAt: timestamp("last_used_at", { withTimezone: true }),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+    revokedAt: timestamp("revoked_at", { withTimezone: true }),
+  },
+  (table) => [index("api_keys_user_idx").on(table.userId)],
+);
+
+export type ApiKey = typeof apiKeys.$inferSelect;
+
+// Signal statuses and the moves between them live in server/signals/lifecycle.js
+export const signals = pgTable(
+  "signals",
+  {
+    id: text("id").primaryKey(),
+    symbol: text("symbol").notNull(),
+    market: text("market").notNull(),
+    type: text("type").notNull(),
+    timeframe: text("timeframe").notNull(),
+    status: text("status").notNull().default("active"),
+    entryPrice: doublePrecision("entry_price").notNull(),
+    stopLoss: doublePrecision("stop_loss"),
+    takeProfits: jsonb("take_profits").$type<number[]>(),
+    riskReward: doublePrecision("risk_reward"),
+    exitPrice: doublePrecision("exit_price"),
+    // Realised P/L in pips and R, excursions in pips
+    profitLoss: doublePrecision("profit_loss"),
+    profitLossR: doublePrecision("profit_loss_r"),
+    mae: doublePrecision("mae"),
+    mfe: doublePrecision("mfe"),
+    inWindow: boolean("in_window"),
+    session: jsonb("session"),
+    structureBreak: jsonb("structure_break"),
+    conditions: jsonb("conditions"),
+    timestamp: timestamp("timestamp", { withTimezone: true }).notNull().defaultNow(),
+    activatedAt: timestamp("activated_at", { withTimezone: true }),
+    updatedAt: timestamp("updated_at", { withTimezone: true }).notNull().defaultNow(),
+    closedAt: timestamp("closed_at", { withTimezone: true }),
+  },
+  (table) => [
+    index("signals_status_idx").on(table.status),
+    index("signals_symbol_timestamp_idx").on(table.symbol, table.timestamp),
+  ],
+);
+
+export const insertSignalSchema = createInsertSchema(signals).omit({
+  activatedAt: true,
+  updatedAt: true,
+  closedAt: true,
+});
+
+export type InsertSignal = z.infer<typeof insertSignalSchema>;
+export type Signal = typeof signals.$inferSelect;
+
+// Outbound webhooks; null filters match every symbol or timeframe
+export const webhooks = pgTable(
+  "webhooks",
+  {
+    id: text("id").primaryKey(),
+    userId: text("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+    url: text("url").notNull(),
+    // HMAC-SHA256 key for the X-Webhook-Signature header
+    secret: text("secret").notNull(),
+    events: jsonb("events").$type<string[]>().notNull(),
+    symbols: jsonb("symbols").$type<string[]>(),
+    timeframes: jsonb("timeframes").$type<string[]>(),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => [index("webhooks_user_idx").on(table.userId)],
+);
+
+export const webhookDeliveries = pgTable(
+  "webhook_deliveries",
+  {
+    id: text("id").primaryKey(),
+    webhookId: text("webhook_id").notNull().references(() => webhooks.id, { onDelete: "cascade" }),
+    event: text("event").notNull(),
+    payload: jsonb("payload").notNull(),
+    // pending, delivered or failed
+    status: text("status").notNull().default("pending"),
+    attempts: integer("attempts").notNull().default(0),
+    responseStatus: integer("response_status"),
+    error: text("error"),
+    nextAttemptAt: timestamp("next_attempt_at", { withTimezone: true }),
+    deliveredAt: timestamp("delivered_at", { withTimezone: true }),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => [
+    index("webhook_deliveries_webhook_idx").on(table.webhookId, table.createdAt),
+    index("webhook_deliveries_due_idx").on(table.status, table.nextAttemptAt),
+  ],
+);
+
+export type Webhook = typeof webhooks.$inferSelect;
+export type WebhookDelivery = typeof webhookDeliveries.$inferSelect;
+
+// Named watchlists whose signal filters decide which signals a user is sent on the signals
+// channels and sees in /api/signals/active; null filters match every signal
+export const watchlists = pgTable(
+  "watchlists",
+  {
+    id: text("id").primaryKey(),
+    userId: text("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+    name: text("name").notNull(),
+    enabled: boolean("enabled").notNull().default(true),
+    symbols: jsonb("symbols").$type<string[]>(),
+    timeframes: jsonb("timeframes").$type<string[]>(),
+    // buy or sell
+    direction: text("direction"),
+    minRiskReward: doublePrecision("min_risk_reward"),
+    // Killzone and Silver Bullet window ids the signal has to be in, see server/analysis/sessions.js
+    killzones: jsonb("killzones").$type<string[]>(),
+    silverBulletWindows: jsonb("silver_bullet_windows").$type<string[]>(),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+    updatedAt: timestamp("updated_at", { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => [index("watchlists_user_idx").on(table.userId)],
+);
+
+export type Watchlist = typeof watchlists.$inferSelect;
+
+// Paper trading accounts that open simulated positions on incoming signals
+export const paperAccounts = pgTable(
+  "paper_accounts",
+  {
+    id: text("id").primaryKey(),
+    userId: text("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+    name: text("name").notNull(),
+    currency: text("currency").notNull().default("USD"),
+    initialBalance: doublePrecision("initial_balance").notNull(),
+    balance: doublePrecision("balance").notNull(),
+    leverage: integer("leverage").notNull(),
+    // Share of the balance risked per trade, in percent
+    riskPercent: doublePrecision("risk_percent").notNull(),
+    // Null trades every symbol
+    symbols: jsonb("symbols").$type<string[]>(),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => [index("paper_accounts_user_idx").on(table.userId)],
+);
+
+export const paperPositions = pgTable(
+  "paper_positions",
+  {
+    id: text("id").primaryKey(),
+    accountId: text("account_id").notNull().references(() => paperAccounts.id, { onDelete: "cascade" }),
+    signalId: text("signal_id").notNull(),
+    symbol: text("symbol").notNull(),
+    side: text("side").notNull(),
+    units: doublePrecision("units").notNull(),
+    entryPrice: doublePrecision("entry_price").notNull(),
+    stopLoss: doublePrecision("stop_loss").notNull(),
+    takeProfit: doublePrecision("take_profit"),
+    margin: doublePrecision("margin").notNull(),
+    // open or closed
+    status: text("status").notNull().default("open"),
+    exitPrice: doublePrecision("exit_price"),
+    // The signal status that closed the position: hit_tp, hit_sl, cancelled or expired
+    closeReason: text("close_reason"),
+    profitLoss: doublePrecision("profit_loss"),
+    openedAt: timestamp("opened_at", { withTimezone: true }).notNull(),
+    closedAt: timestamp("closed_at", { withTimezone: true }),
+  },
+  (table) => [
+    index("paper_positions_account_idx").on(table.accountId, table.status, table.openedAt),
+    index("paper_positions_signal_idx").on(table.signalId),
+  ],
+);
+
+export const paperEquity = pgTable(
+  "paper_equity",
+  {
+    id: text("id").primaryKey(),
+    accountId: text("account_id").notNull().references(() => paperAccounts.id, { onDelete: "cascade" }),
+    timestamp: timestamp("timestamp", { withTimezone: true }).notNull(),
+    balance: doublePrecision("balance").notNull(),
+    equity: doublePrecision("equity").notNull(),
+  },
+  (table) => [index("paper_equity_account_idx").on(table.accountId, table.timestamp)],
+);
+
+export type PaperAccount = typeof paperAccounts.$inferSelect;
+export type PaperPosition = typeof paperPositions.$inferSelect;
+export type PaperEquityPoint = typeof paperEquity.$inferSelect;
+
+// The symbol catalogue, see server/market-data/instruments.js; seeded with the built-in
+// instruments the first time it is read
+export const instruments = pgTable("instruments", {
+  symbol: text("symbol").primaryKey(),
+  name: text("name").notNull(),
+  // Asset class: forex, crypto, commodities or indices
+  market: text("market").notNull(),
+  baseCurrency: text("base_currency").notNull(),
+  quoteCurrency: text("quote_currency").notNull(),
+  pipSize: doublePrecision("pip_size").notNull(),
+  tickSize: doublePrecision("tick_size").notNull(),
+  precision: integer("precision").notNull(),
+  contractSize: doublePrecision("contract_size").notNull(),
+  minLot: doublePrecision("min_lot").notNull(),
+  lotStep: doublePrecision("lot_step").notNull(),
+  timeZone: text("time_zone").notNull(),
+  // { open: "Sun 17:00", close: "Fri 17:00" } in time_zone; null trades around the clock
+  tradingHours: jsonb("trading_hours").$type<{ open: string; close: string }>(),
+  // Simulated provider parameters
+  basePrice: doublePrecision("base_price"),
+  volatility: doublePrecision("volatility"),
+  // Catalogue order
+  position: integer("position").notNull(),
+});
+
+export type Instrument = typeof instruments.$inferSelect;